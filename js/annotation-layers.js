@@ -0,0 +1,107 @@
+/**
+ * 注記レイヤー（寸法線・ラベル・接続線・マンホール番号・掘削寸法・計測）
+ * 注記のオブジェクトに userData.annotation = レイヤー名 を付け、レイヤー単位で表示を切り替える
+ * 表示状態はプロジェクト名ごとに端末（localStorage）へ保存し、3Dビューア・AR画面で共有する
+ */
+const AnnotationLayers = {
+  STORAGE_KEY: 'sewer_annotation_layers',
+
+  LAYERS: {
+    dimensions: '寸法線',
+    labels: '管名・管径ラベル',
+    connections: '接続線',
+    manholeIds: 'マンホール番号',
+    excavationLabels: '掘削寸法',
+    measurements: '計測',
+  },
+
+  /**
+   * オブジェクトをレイヤーに登録
+   * @param {THREE.Object3D} object
+   * @param {string} layer - LAYERS のキー
+   * @returns {THREE.Object3D} object
+   */
+  tag(object, layer) {
+    object.userData.annotation = layer;
+    return object;
+  },
+
+  /**
+   * 表示状態を反映
+   * @param {THREE.Object3D} root - 走査するオブジェクト（シーンなど）
+   * @param {Object} state - load() の結果
+   */
+  apply(root, state) {
+    if (!root) return;
+    root.traverse(obj => {
+      const layer = obj.userData.annotation;
+      if (layer) obj.visible = this.isVisible(state, layer);
+    });
+  },
+
+  isVisible(state, layer) {
+    return state.enabled && state.layers[layer] !== false;
+  },
+
+  /**
+   * プロジェクトの表示状態を取得
+   * @param {Object|null} data - プロジェクトデータ
+   * @returns {{enabled: boolean, layers: Object<string, boolean>}}
+   */
+  load(data) {
+    const state = { enabled: true, layers: {} };
+    Object.keys(this.LAYERS).forEach(k => { state.layers[k] = true; });
+    try {
+      const saved = JSON.parse(localStorage.getItem(this._key(data)));
+      if (saved) {
+        if (typeof saved.enabled === 'boolean') state.enabled = saved.enabled;
+        Object.keys(state.layers).forEach(k => {
+          if (saved.layers && typeof saved.layers[k] === 'boolean') state.layers[k] = saved.layers[k];
+        });
+      }
+    } catch (e) {
+      // 保存内容が壊れている・localStorage が使えない場合は既定値
+    }
+    return state;
+  },
+
+  /**
+   * プロジェクトの表示状態を保存
+   */
+  save(data, state) {
+    try {
+      localStorage.setItem(this._key(data), JSON.stringify(state));
+    } catch (e) {
+      console.warn('注記レイヤーの表示状態を保存できません:', e);
+    }
+  },
+
+  /**
+   * レイヤーごとのチェックボックスを生成
+   * @param {HTMLElement} container
+   * @param {Object} state - load() の結果（チェック時に直接書き換える）
+   * @param {Function} onChange - (state) 変更時
+   */
+  renderControls(container, state, onChange) {
+    container.innerHTML = '';
+    Object.keys(this.LAYERS).forEach(key => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = state.layers[key];
+      input.disabled = !state.enabled;
+      input.dataset.layer = key;
+      input.addEventListener('change', () => {
+        state.layers[key] = input.checked;
+        onChange(state);
+      });
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(' ' + this.LAYERS[key]));
+      container.appendChild(label);
+    });
+  },
+
+  _key(data) {
+    return `${this.STORAGE_KEY}:${(data && data.project) || '-'}`;
+  },
+};
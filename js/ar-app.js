@@ -17,10 +17,17 @@
   let pipeGroup = null;
   let excavationGroup = null;
   let excavationState = 0; // 0=非表示, 1=AR表示のみ, 2=AR+パラメータ
+  let excavationFollowsPipe = true; // 掘削を表示中の管の管路に沿わせる
+  let safetySoil = ExcavationSafety.DEFAULT_RULES.soil; // プロジェクトが無いときの地山の種類
   let currentPipeData = null;
+  let currentProject = null;   // 接続先の本管などを含むプロジェクトデータ
   let fallbackMode = false;
   let cameraVideo = null;
   let showPipeInfo = true;
+  let annotationState = null; // 注記レイヤーの表示状態（AnnotationLayers.load）
+  let utilityState = PipeUtility.createState(); // 埋設物の種別ごとの表示
+  let clashGroup = null;      // 離隔チェックの強調表示（pipeGroup の子）
+  let showTakeoff = false;    // 掘削パネルの土量計算書を表示中
 
   // --- Device Orientation ---
   let useDeviceOrientation = false;
@@ -40,8 +47,23 @@
   // --- Pinch Zoom ---
   let lastPinchDist = 0;
 
+  // --- Measurement（現地計測）---
+  let measureMode = false;
+  let measurePoints = [];
+  let measureGroup = null;
+  let measurePreview = null; // 最後の点 → 照準 の仮線
+
   // --- Placement Position ---
   let placedPosition = null;
+  let baseRotation = 0; // GPS設置時の方位（回転スライダーはこの角度からの補正）
+
+  // --- GPS Placement ---
+  let gpsWatchId = null;
+  let gpsTimer = null;
+  let compassListening = false;
+  let compassOrientation = null; // 絶対方位の deviceorientation（alpha: 北基準）
+  const GPS_TARGET_ACCURACY = 5;   // この精度(m)以下になったら即設置
+  const GPS_MAX_WAIT_MS = 10000;   // 初回測位からの最大待ち時間
 
   // --- DOM Elements ---
   const canvas = document.getElementById('arCanvas');
@@ -106,13 +128,21 @@
     }
     if (!checkDependencies()) return;
 
+    currentProject = SAMPLE_PIPE_DATA;
     currentPipeData = SAMPLE_PIPE_DATA.pipes[0];
 
     const urlParams = new URLSearchParams(window.location.search);
     const qrData = urlParams.get('qr');
     if (qrData) {
-      const decoded = QRDataCodec.decode(qrData);
-      if (decoded) currentPipeData = decoded;
+      const decoded = QRDataCodec.decodeProject(qrData);
+      const report = decoded ? PipeDataValidator.validate(decoded) : null;
+      if (report && !report.valid) {
+        PipeDataValidator.showReport(report, `QRコードのデータに誤りがあります（エラー ${report.errors.length}件）`);
+      } else if (decoded) {
+        currentProject = decoded;
+        currentPipeData = decoded.pipes.find(p => p.id === decoded.focus) || decoded.pipes[0];
+        showQRIntegrity(decoded.integrity);
+      }
     }
 
     scene = new THREE.Scene();
@@ -153,6 +183,19 @@
 
     setupEventListeners();
     updatePipeInfoPanel();
+    loadAnnotationState();
+  }
+
+  /**
+   * QRコードの改ざん検知結果を警告表示（署名確認済み以外は常時表示）
+   */
+  function showQRIntegrity(integrity) {
+    const el = document.getElementById('qrWarning');
+    if (!el || integrity === 'signed') return;
+    const info = QRHandler.describeIntegrity(integrity);
+    el.textContent = '⚠ ' + info.text;
+    el.className = 'qr-warning integrity-' + info.level;
+    el.style.display = 'block';
   }
 
   // =========================================================
@@ -295,9 +338,10 @@
         if (useDeviceOrientation) {
           updateCameraFromOrientation();
         }
-        if (fallbackReticle && fallbackReticle.visible && !pipePlaced) {
+        if (fallbackReticle && fallbackReticle.visible && (!pipePlaced || measureMode)) {
           updateFallbackReticle();
         }
+        if (measureMode) updateMeasurePreview();
         renderer.render(scene, camera);
       }
       animate();
@@ -388,21 +432,30 @@
   }
 
   function updateCameraFromOrientation() {
-    const alpha = THREE.MathUtils.degToRad(deviceOrientation.alpha);
-    const beta  = THREE.MathUtils.degToRad(deviceOrientation.beta);
-    const gamma = THREE.MathUtils.degToRad(deviceOrientation.gamma);
+    orientationToQuaternion(deviceOrientation, camera.quaternion);
+  }
+
+  /**
+   * deviceorientation の角度（度）→ カメラの向き
+   * alpha が絶対方位の場合は -Z が北になる
+   */
+  function orientationToQuaternion(orientation, target) {
+    const alpha = THREE.MathUtils.degToRad(orientation.alpha);
+    const beta  = THREE.MathUtils.degToRad(orientation.beta);
+    const gamma = THREE.MathUtils.degToRad(orientation.gamma);
     const orient = THREE.MathUtils.degToRad(screenOrientation);
 
     const euler = new THREE.Euler();
     const q1 = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
 
     euler.set(beta, alpha, -gamma, 'YXZ');
-    camera.quaternion.setFromEuler(euler);
-    camera.quaternion.multiply(q1);
+    target.setFromEuler(euler);
+    target.multiply(q1);
 
     const q2 = new THREE.Quaternion();
     q2.setFromAxisAngle(new THREE.Vector3(0, 0, 1), -orient);
-    camera.quaternion.multiply(q2);
+    target.multiply(q2);
+    return target;
   }
 
   // =========================================================
@@ -624,7 +677,8 @@
   function onXRFrame(timestamp, frame) {
     if (!frame) return;
 
-    if (hitTestSource && !pipePlaced) {
+    // 計測モード中は設置後もヒットテストで照準を更新
+    if (hitTestSource && (!pipePlaced || measureMode)) {
       const hitTestResults = frame.getHitTestResults(hitTestSource);
       if (hitTestResults.length > 0) {
         const hit = hitTestResults[0];
@@ -632,19 +686,26 @@
         if (pose) {
           reticle.visible = true;
           reticle.matrix.fromArray(pose.transform.matrix);
-          statusText.textContent = '緑の円を合わせてタップ';
-          btnPlace.disabled = false;
+          if (!measureMode) {
+            statusText.textContent = '緑の円を合わせてタップ';
+            btnPlace.disabled = false;
+          }
         }
       } else {
         reticle.visible = false;
-        statusText.textContent = '平面を検出中...';
+        if (!measureMode) statusText.textContent = '平面を検出中...';
       }
     }
+    if (measureMode) updateMeasurePreview();
 
     renderer.render(scene, camera);
   }
 
   function onARSelect(event) {
+    if (measureMode) {
+      addMeasurePoint();
+      return;
+    }
     if (pipePlaced) return;
 
     if (reticle && reticle.visible) {
@@ -663,7 +724,7 @@
   // =========================================================
   //  Pipe Placement
   // =========================================================
-  function placePipe(position) {
+  function placePipe(position, rotation = 0) {
     if (pipeGroup) scene.remove(pipeGroup);
     if (excavationGroup) scene.remove(excavationGroup);
 
@@ -672,15 +733,14 @@
       pipeGroup.add(loaded3DModel.clone());
       pipeGroup.position.copy(position);
     } else {
-      pipeGroup = PipeModelFactory.createPipeAssembly(currentPipeData);
+      pipeGroup = PipeModelFactory.createPipeAssembly(currentPipeData, { project: currentProject });
       pipeGroup.position.copy(position);
     }
+    pipeGroup.rotation.y = rotation;
     scene.add(pipeGroup);
 
-    excavationGroup = ExcavationManager.create(SAMPLE_PIPE_DATA.excavation);
-    excavationGroup.position.copy(position);
-    excavationGroup.visible = excavationState > 0;
-    scene.add(excavationGroup);
+    createExcavationGroup(loadExcavationPlan(), position, rotation);
+    syncExcavationControls();
 
     const marker = PipeModelFactory.createGroundMarker();
     marker.position.copy(position);
@@ -696,6 +756,7 @@
 
     pipePlaced = true;
     placedPosition = position.clone();
+    baseRotation = rotation;
 
     statusText.textContent = '設置完了 - スライダーで回転・移動';
     pipeInfo.style.display = showPipeInfo ? 'block' : 'none';
@@ -704,9 +765,278 @@
     btnPipeInfo.classList.toggle('active', showPipeInfo);
     btnPlace.disabled = true;
 
-    // 距離スライダーをリセット
+    // 回転・距離スライダーをリセット
+    document.getElementById('rotationSlider').value = 0;
+    document.getElementById('rotationValue').textContent = '0';
     document.getElementById('distanceSlider').value = 0;
     document.getElementById('distanceValue').textContent = '0';
+    updateClashCheck();
+    updateTakeoff();
+    applyAnnotations();
+  }
+
+  // =========================================================
+  //  Measurement（照準の位置を順にタップして延長・面積を計測）
+  // =========================================================
+  /**
+   * 計測モードの切替え
+   * WebXR: ヒットテストの位置 / カメラモード: 照準（画面中央の地表面投影）の位置
+   */
+  function setMeasureMode(enabled) {
+    measureMode = enabled;
+    document.getElementById('btnMeasure').classList.toggle('active', enabled);
+    document.getElementById('arMeasurePanel').style.display = enabled ? 'block' : 'none';
+    if (fallbackReticle) {
+      const label = fallbackReticle.getObjectByName('reticleLabel');
+      if (label) label.visible = !enabled && !pipePlaced;
+      // GPS設置・再表示で隠した照準を計測中は表示する（表示中のみ毎フレーム追従）
+      if (enabled && !xrSession) {
+        fallbackReticle.visible = true;
+        updateFallbackReticle();
+      }
+    }
+    if (!enabled) {
+      if (reticle && pipePlaced) reticle.visible = false;
+      if (fallbackReticle && pipePlaced) fallbackReticle.visible = false;
+      clearMeasurePreview();
+      statusText.textContent = pipePlaced ? '設置完了 - スライダーで回転・移動' : '緑の円を所定位置に合わせてタップ';
+    } else {
+      statusText.textContent = '計測: 照準を合わせてタップで点を追加';
+    }
+    updateMeasurePanel();
+  }
+
+  /**
+   * 照準の位置
+   * @returns {THREE.Vector3|null}
+   */
+  function getAimPoint() {
+    if (xrSession) {
+      if (!reticle || !reticle.visible) return null;
+      return new THREE.Vector3().setFromMatrixPosition(reticle.matrix);
+    }
+    if (!fallbackReticle || !fallbackReticle.visible) return null;
+    return fallbackReticle.position.clone();
+  }
+
+  function addMeasurePoint() {
+    const point = getAimPoint();
+    if (!point) {
+      showStatus('平面を検出できません。照準が表示されてからタップしてください');
+      return;
+    }
+    measurePoints.push(point);
+    rebuildMeasure();
+  }
+
+  function rebuildMeasure() {
+    if (measureGroup) scene.remove(measureGroup);
+    measureGroup = measurePoints.length ? MeasureTool.createPolyline(measurePoints) : null;
+    if (measureGroup) {
+      scene.add(measureGroup);
+      applyAnnotations();
+    }
+    updateMeasurePanel();
+  }
+
+  function clearMeasure() {
+    measurePoints = [];
+    rebuildMeasure();
+    clearMeasurePreview();
+  }
+
+  /**
+   * 最後の点から照準までの仮線と距離（毎フレーム）
+   */
+  function updateMeasurePreview() {
+    const last = measurePoints[measurePoints.length - 1];
+    const aim = last && getAimPoint();
+    if (!aim) {
+      clearMeasurePreview();
+      return;
+    }
+    if (!measurePreview) {
+      measurePreview = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([last, aim]),
+        new THREE.LineBasicMaterial({ color: MeasureTool.LEG_COLOR, transparent: true, opacity: 0.7, depthTest: false })
+      );
+      scene.add(measurePreview);
+    } else {
+      measurePreview.geometry.setFromPoints([last, aim]);
+    }
+    statusText.textContent = `計測: 次の点まで ${last.distanceTo(aim).toFixed(2)}m`;
+  }
+
+  function clearMeasurePreview() {
+    if (!measurePreview) return;
+    scene.remove(measurePreview);
+    measurePreview.geometry.dispose();
+    measurePreview = null;
+  }
+
+  function updateMeasurePanel() {
+    const count = measurePoints.length;
+    document.getElementById('measureCount').textContent = `${count}点`;
+    document.getElementById('measureLength').textContent =
+      count >= 2 ? `${MeasureTool.pathLength(measurePoints).toFixed(2)}m` : 'ー';
+    document.getElementById('measurePerimeter').textContent =
+      count >= 3 ? `${MeasureTool.pathLength(measurePoints, true).toFixed(2)}m` : 'ー';
+    document.getElementById('measureArea').textContent =
+      count >= 3 ? `${MeasureTool.polygonArea(measurePoints).toFixed(2)}m²` : 'ー';
+    document.getElementById('btnMeasureUndo').disabled = count === 0;
+    document.getElementById('btnMeasureClear').disabled = count === 0;
+  }
+
+  // =========================================================
+  //  GPS Placement（測量座標データの自動設置）
+  // =========================================================
+  /**
+   * 現在地（GPS）と端末の方位（コンパス）から管を測量位置に設置
+   * 設置後は回転・前後移動スライダーで微調整する
+   */
+  async function startGPSPlacement() {
+    if (!GeoCoords.isGeoreferenced(currentProject)) return;
+    if (!navigator.geolocation) {
+      alert('この端末では位置情報を利用できません');
+      return;
+    }
+    await startCompass();
+    stopGPS();
+
+    let best = null;
+    statusText.textContent = 'GPS測位中...';
+    gpsWatchId = navigator.geolocation.watchPosition(pos => {
+      if (!best || pos.coords.accuracy < best.coords.accuracy) best = pos;
+      statusText.textContent = `GPS測位中... ±${best.coords.accuracy.toFixed(1)}m`;
+      if (!gpsTimer) {
+        gpsTimer = setTimeout(() => finishGPSPlacement(best), GPS_MAX_WAIT_MS);
+      }
+      if (best.coords.accuracy <= GPS_TARGET_ACCURACY) finishGPSPlacement(best);
+    }, err => {
+      stopGPS();
+      console.warn('Geolocation error:', err);
+      alert('位置情報を取得できません: ' + err.message);
+      statusText.textContent = '緑の円を所定位置に合わせてタップ';
+    }, { enableHighAccuracy: true, maximumAge: 0, timeout: 20000 });
+  }
+
+  function stopGPS() {
+    if (gpsWatchId !== null) navigator.geolocation.clearWatch(gpsWatchId);
+    if (gpsTimer) clearTimeout(gpsTimer);
+    gpsWatchId = null;
+    gpsTimer = null;
+  }
+
+  function finishGPSPlacement(fix) {
+    stopGPS();
+    const { latitude, longitude, accuracy } = fix.coords;
+
+    // 現在地 → ローカル座標（シーン座標の向き: X=東, -Z=北）
+    const device = GeoCoords.latLonToLocal(latitude, longitude, currentProject);
+    const devicePoint = PipeGeometry.toScene([device[0], device[1], 0]);
+    const path = PipeGeometry.getPath(currentPipeData, currentProject);
+    const offset = PipeGeometry.planCenter(path).sub(devicePoint);
+
+    // カメラ正面の方位（磁北基準 → 磁気偏角で真北基準 → 子午線収差で座標北基準）とシーン上の向きから、
+    // 北をシーンに合わせる回転を求める
+    const view = renderer.xr.isPresenting ? renderer.xr.getCamera() : camera;
+    const heading = getCompassHeading();
+    let rotation = getCameraYaw(view);
+    if (heading !== null) {
+      const trueHeading = heading - GeoCoords.magneticDeclination(latitude, longitude, currentProject);
+      const gridHeading = trueHeading + GeoCoords.trueNorthBearing(latitude, longitude, currentProject);
+      rotation += THREE.MathUtils.degToRad(gridHeading);
+    }
+    offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), rotation);
+
+    const eye = new THREE.Vector3();
+    view.getWorldPosition(eye);
+    let groundY = 0;
+    if (xrSession) {
+      groundY = reticle && reticle.visible
+        ? new THREE.Vector3().setFromMatrixPosition(reticle.matrix).y
+        : eye.y - 1.4;
+    }
+    placePipe(new THREE.Vector3(eye.x + offset.x, groundY, eye.z + offset.z), rotation);
+    if (fallbackReticle) fallbackReticle.visible = false;
+
+    // 誤差円（管の平面中心が入りうる範囲）
+    const circle = PipeModelFactory.createAccuracyCircle(accuracy);
+    circle.position.y = 0.005;
+    pipeGroup.add(circle);
+
+    const distance = Math.hypot(offset.x, offset.z);
+    statusText.textContent = heading === null
+      ? `GPS設置 ±${accuracy.toFixed(1)}m（方位不明 - 回転スライダーで調整）`
+      : `GPS設置 ±${accuracy.toFixed(1)}m / 現在地から${distance.toFixed(1)}m`;
+  }
+
+  /**
+   * 絶対方位のセンサーを購読（iOS は許可が必要）
+   * webkitCompassHeading / deviceorientationabsolute の方位は磁北基準
+   */
+  async function startCompass() {
+    if (compassListening) return;
+    if (typeof DeviceOrientationEvent !== 'undefined' &&
+        typeof DeviceOrientationEvent.requestPermission === 'function') {
+      try {
+        if (await DeviceOrientationEvent.requestPermission() !== 'granted') return;
+      } catch (e) {
+        console.warn('Compass permission denied:', e);
+        return;
+      }
+    }
+    const onOrientation = (event) => {
+      let alpha = null;
+      if (typeof event.webkitCompassHeading === 'number') {
+        alpha = 360 - event.webkitCompassHeading; // iOS
+      } else if (event.absolute && event.alpha !== null) {
+        alpha = event.alpha;
+      }
+      if (alpha === null) return;
+      compassOrientation = { alpha, beta: event.beta, gamma: event.gamma };
+    };
+    if ('ondeviceorientationabsolute' in window) {
+      window.addEventListener('deviceorientationabsolute', onOrientation);
+    } else {
+      window.addEventListener('deviceorientation', onOrientation);
+    }
+    compassListening = true;
+  }
+
+  /**
+   * カメラ正面の方位（磁北から時計回り, 度）。取得できない場合は null
+   */
+  function getCompassHeading() {
+    if (!compassOrientation) return null;
+    const q = orientationToQuaternion(compassOrientation, new THREE.Quaternion());
+    const dir = horizontalViewDirection(q);
+    return THREE.MathUtils.radToDeg(Math.atan2(dir.x, -dir.z));
+  }
+
+  /**
+   * シーン上のカメラ正面の向き（-Z からの Y軸回転角, rad）
+   */
+  function getCameraYaw(view) {
+    const q = new THREE.Quaternion();
+    view.getWorldQuaternion(q);
+    const dir = horizontalViewDirection(q);
+    return Math.atan2(-dir.x, -dir.z);
+  }
+
+  /**
+   * 視線の水平成分（真下を向いている場合は画面上方向）
+   */
+  function horizontalViewDirection(q) {
+    const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(q).setY(0);
+    if (dir.length() < 0.2) dir.set(0, 1, 0).applyQuaternion(q).setY(0);
+    return dir.normalize();
+  }
+
+  function updateGPSButton() {
+    const btn = document.getElementById('btnGPSPlace');
+    btn.style.display = GeoCoords.isGeoreferenced(currentProject) && !loaded3DModel
+      ? 'inline-block' : 'none';
   }
 
   // =========================================================
@@ -806,23 +1136,46 @@
   function loadARFile(file) {
     const ext = file.name.split('.').pop().toLowerCase();
 
-    if (ext === 'json') {
+    if (ext === 'json' || ext === 'geojson') {
       const reader = new FileReader();
       reader.onload = (e) => {
         try {
           const json = JSON.parse(e.target.result);
           if (json.asset && json.asset.version) {
             loadGLTFText(e.target.result, file.name);
-          } else if (json.pipes && Array.isArray(json.pipes)) {
-            loadARPipeData(json, file.name);
+          } else if (json.type === 'FeatureCollection' || json.type === 'Feature') {
+            const result = PipeNetworkImporter.fromGeoJSON(json, file.name.replace(/\.[^.]+$/, ''));
+            loadARPipeData(result.data, file.name, result.notes);
           } else {
-            alert('未対応のJSONデータ: "pipes" 配列またはGLTF形式が必要です');
+            loadARPipeData(json, file.name);
           }
         } catch (err) {
           alert('JSON解析エラー: ' + err.message);
         }
       };
       reader.readAsText(file);
+    } else if (ext === 'xml') {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const result = PipeNetworkImporter.fromLandXML(e.target.result, file.name.replace(/\.[^.]+$/, ''));
+          loadARPipeData(result.data, file.name, result.notes);
+        } catch (err) {
+          alert('LandXML読込エラー: ' + err.message);
+        }
+      };
+      reader.readAsText(file);
+    } else if (ext === 'csv') {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const text = PipeCSVImporter.decode(e.target.result);
+          PipeCSVImporter.showDialog(text, file.name, data => loadARPipeData(data, file.name));
+        } catch (err) {
+          alert('CSV解析エラー: ' + err.message);
+        }
+      };
+      reader.readAsArrayBuffer(file);
     } else if (ext === 'obj') {
       const reader = new FileReader();
       reader.onload = (e) => {
@@ -903,6 +1256,9 @@
   function setAR3DModel(model, filename) {
     console.log('setAR3DModel:', filename, model);
 
+    // 3DビューアでGLB書出ししたモデル（実寸・地表面 y=0）は縮尺・高さを変えない
+    const project = model.userData && model.userData.sewerProject;
+
     const box = new THREE.Box3().setFromObject(model);
     const size = box.getSize(new THREE.Vector3());
     const center = box.getCenter(new THREE.Vector3());
@@ -910,7 +1266,7 @@
     console.log('Model bounds:', { size, center });
 
     const maxDim = Math.max(size.x, size.y, size.z);
-    if (maxDim > 0.0001) {
+    if (maxDim > 0.0001 && !project) {
       const targetSize = 2;
       if (maxDim > targetSize * 5 || maxDim < targetSize * 0.1) {
         const scale = targetSize / maxDim;
@@ -921,19 +1277,32 @@
       }
     }
 
-    model.position.sub(center);
-    model.position.y -= size.y / 2;
+    if (project) {
+      model.position.x -= center.x;
+      model.position.z -= center.z;
+    } else {
+      model.position.sub(center);
+      model.position.y -= size.y / 2;
+    }
 
     model.traverse((child) => {
       if (child.isMesh && child.material) {
         const mats = Array.isArray(child.material) ? child.material : [child.material];
-        mats.forEach(m => { m.transparent = true; m.opacity = 0.7; });
+        mats.forEach(m => { m.transparent = true; m.opacity = Math.min(m.opacity, 0.7); });
       }
     });
 
     loaded3DModel = model;
-    currentPipeData = null;
-    clearPipeInfo(filename);
+    if (project) {
+      // 管情報を復元（表示はGLBのモデルのまま）
+      currentProject = project;
+      currentPipeData = project.pipes.find(p => p.type === 'service') || project.pipes[0];
+      updatePipeInfoPanel();
+      loadAnnotationState();
+    } else {
+      currentPipeData = null;
+      clearPipeInfo(filename);
+    }
 
     if (pipePlaced && pipeGroup) {
       const pos = pipeGroup.position.clone();
@@ -948,16 +1317,16 @@
       scene.add(pipeGroup);
 
       // 掘削領域を再作成（モデル置換時も維持）
-      excavationGroup = ExcavationManager.create(ExcavationManager.getParams());
-      excavationGroup.position.copy(pos);
-      excavationGroup.rotation.y = rot;
-      excavationGroup.visible = excavationState > 0;
-      scene.add(excavationGroup);
+      createExcavationGroup(ExcavationManager.getParams(), pos, rot);
+      syncExcavationControls();
 
       // 距離スライダーをリセットし、基準位置を現在位置に更新
       placedPosition = pos.clone();
       document.getElementById('distanceSlider').value = 0;
       document.getElementById('distanceValue').textContent = '0';
+      updateClashCheck();
+      updateTakeoff();
+      applyAnnotations();
     } else {
       // ★ 未設置の場合は自動設置（読込後すぐ表示）
       autoPlaceAtDefaultPosition();
@@ -966,30 +1335,45 @@
     showStatus(`${filename} 読込完了`);
   }
 
-  function loadARPipeData(json, filename) {
-    json.pipes.forEach((p, i) => {
-      if (!p.id) p.id = `P-${i + 1}`;
-      if (!p.type) p.type = 'service';
-      if (!p.color) p.color = p.type === 'main' ? 0xff8a65 : 0x4fc3f7;
-      if (!p.label) p.label = `${p.type === 'main' ? '本管' : '取付管'} ${p.id}`;
-    });
+  function loadARPipeData(json, filename, notes = []) {
+    const report = PipeDataValidator.validate(json);
+    notes.forEach(message => report.warnings.push({ path: filename, message }));
+    if (!report.valid) {
+      PipeDataValidator.showReport(report, `${filename} を読込めません（エラー ${report.errors.length}件）`);
+      return;
+    }
+    GeoCoords.resolveProject(json);
+    PipeDataValidator.applyDefaults(json);
+    if (report.warnings.length) {
+      PipeDataValidator.showReport(report, `${filename} を読込みました（警告 ${report.warnings.length}件）`);
+    }
 
     loaded3DModel = null;
-    currentPipeData = json.pipes[0];
+    currentProject = json;
+    currentPipeData = json.pipes.find(p => p.type === 'service') || json.pipes[0];
     updatePipeInfoPanel();
+    loadAnnotationState();
 
     if (pipePlaced && pipeGroup) {
       const pos = pipeGroup.position.clone();
       const rot = pipeGroup.rotation.y;
       scene.remove(pipeGroup);
-      pipeGroup = PipeModelFactory.createPipeAssembly(currentPipeData);
+      pipeGroup = PipeModelFactory.createPipeAssembly(currentPipeData, { project: currentProject });
       pipeGroup.position.copy(pos);
       pipeGroup.rotation.y = rot;
       scene.add(pipeGroup);
 
+      // 掘削領域を新しい管の掘削計画で再作成
+      if (excavationGroup) scene.remove(excavationGroup);
+      createExcavationGroup(loadExcavationPlan(), pos, rot);
+      syncExcavationControls();
+
       placedPosition = pos.clone();
       document.getElementById('distanceSlider').value = 0;
       document.getElementById('distanceValue').textContent = '0';
+      updateClashCheck();
+      updateTakeoff();
+      applyAnnotations();
     } else {
       // ★ 未設置の場合は自動設置
       autoPlaceAtDefaultPosition();
@@ -1037,8 +1421,9 @@
     rotSlider.addEventListener('input', () => {
       const angle = parseFloat(rotSlider.value);
       rotValue.textContent = angle;
-      if (pipeGroup) pipeGroup.rotation.y = THREE.MathUtils.degToRad(angle);
-      if (excavationGroup) excavationGroup.rotation.y = THREE.MathUtils.degToRad(angle);
+      const rotation = baseRotation + THREE.MathUtils.degToRad(angle);
+      if (pipeGroup) pipeGroup.rotation.y = rotation;
+      if (excavationGroup) excavationGroup.rotation.y = rotation;
     });
 
     // 前後移動スライダー
@@ -1079,9 +1464,11 @@
           btnExcavation.textContent = '掘削:詳細';
           break;
       }
+      updateClashCheck();
     });
 
     setupExcavationSliders();
+    setupTakeoff();
 
     // 管情報表示トグル（パイプ情報 + 右パネル一括）
     btnPipeInfo.addEventListener('click', () => {
@@ -1093,6 +1480,32 @@
       btnPipeInfo.classList.toggle('active', showPipeInfo);
     });
 
+    // 注記レイヤーパネル
+    document.getElementById('btnAnnotations').addEventListener('click', () => {
+      const panel = document.getElementById('annotationPanel');
+      const open = panel.style.display === 'none';
+      panel.style.display = open ? 'block' : 'none';
+      document.getElementById('btnAnnotations').classList.toggle('active', open);
+    });
+    document.getElementById('chkARAnnotations').addEventListener('change', e => {
+      annotationState.enabled = e.target.checked;
+      updateAnnotations();
+    });
+
+    // 現地計測
+    document.getElementById('btnMeasure').addEventListener('click', () => setMeasureMode(!measureMode));
+    document.getElementById('btnMeasureAdd').addEventListener('click', () => addMeasurePoint());
+    document.getElementById('btnMeasureUndo').addEventListener('click', () => {
+      measurePoints.pop();
+      rebuildMeasure();
+    });
+    document.getElementById('btnMeasureClear').addEventListener('click', () => clearMeasure());
+
+    // GPS設置ボタン（測量座標データのみ表示）
+    document.getElementById('btnGPSPlace').addEventListener('click', () => {
+      startGPSPlacement();
+    });
+
     // 設置ボタン
     btnPlace.addEventListener('click', () => {
       if (pipePlaced) return;
@@ -1124,8 +1537,12 @@
       placedMarkers.forEach(m => scene.remove(m));
       placedMarkers = [];
 
+      stopGPS();
+      clearMeasure();
+      setMeasureMode(false);
       pipePlaced = false;
       placedPosition = null;
+      baseRotation = 0;
       excavationState = 0;
 
       pipeInfo.style.display = 'none';
@@ -1160,8 +1577,13 @@
 
     // フォールバック: 画面タップで設置
     canvas.addEventListener('click', (e) => {
-      if (!fallbackMode || pipePlaced) return;
+      if (!fallbackMode) return;
       if (!useDeviceOrientation && wasDragged) return;
+      if (measureMode) {
+        addMeasurePoint();
+        return;
+      }
+      if (pipePlaced) return;
       if (fallbackReticle) {
         placePipe(fallbackReticle.position.clone());
       }
@@ -1188,22 +1610,51 @@
   // =========================================================
   //  Excavation Sliders（前後個別対応）
   // =========================================================
-  function setupExcavationSliders() {
-    // 幅・深さスライダー
-    const simpleSliders = [
-      { id: 'excWidthSlider', label: 'excWidth', param: 'width' },
-      { id: 'excDepthSlider', label: 'excDepth', param: 'depth' },
-    ];
+  // 幅・深さ・形状ごとのスライダー（data-shape の行は該当する形状のときだけ表示、
+  // data-mode の行は管路沿い（trench）/ 設置点基準（box）の該当する方だけ表示）
+  const EXCAVATION_SLIDERS = [
+    { id: 'excWidthSlider', label: 'excWidth', param: 'width' },
+    { id: 'excDepthSlider', label: 'excDepth', param: 'depth' },
+    { id: 'excSlopeSlider', label: 'excSlope', param: 'slope' },
+    { id: 'excBenchHeightSlider', label: 'excBenchHeight', param: 'benchHeight' },
+    { id: 'excBenchWidthSlider', label: 'excBenchWidth', param: 'benchWidth' },
+    { id: 'excShoringThicknessSlider', label: 'excShoringThickness', param: 'shoringThickness' },
+    { id: 'excShoringEmbedSlider', label: 'excShoringEmbed', param: 'shoringEmbed' },
+    { id: 'excClearanceSideSlider', label: 'excClearanceSide', param: 'clearanceSide' },
+    { id: 'excClearanceBelowSlider', label: 'excClearanceBelow', param: 'clearanceBelow' },
+    { id: 'excSpoilDistanceSlider', label: 'excSpoilDistance', param: 'spoilDistance' },
+  ];
 
-    simpleSliders.forEach(({ id, label, param }) => {
+  function setupExcavationSliders() {
+    EXCAVATION_SLIDERS.forEach(({ id, label, param }) => {
       const slider = document.getElementById(id);
       const display = document.getElementById(label);
       slider.addEventListener('input', () => {
         display.textContent = slider.value;
-        rebuildExcavation({ [param]: parseInt(slider.value) });
+        rebuildExcavation({ [param]: Number(slider.value) });
       });
     });
 
+    document.getElementById('excShape').addEventListener('change', e => {
+      rebuildExcavation({ shape: e.target.value });
+      syncExcavationControls();
+    });
+
+    // 地山の種類（プロジェクトの safety に保存し、安全基準チェックに反映）
+    const soil = document.getElementById('excSoil');
+    Object.keys(ExcavationSafety.SOILS).forEach(key => soil.add(new Option(ExcavationSafety.SOILS[key].label, key)));
+    soil.addEventListener('change', () => {
+      if (currentProject) currentProject.safety = { ...ExcavationSafety.getRules(currentProject), soil: soil.value };
+      else safetySoil = soil.value;
+      rebuildExcavation({});
+    });
+
+    document.getElementById('excFollowPipe').addEventListener('change', e => {
+      excavationFollowsPipe = e.target.checked;
+      rebuildExcavation({});
+      syncExcavationControls();
+    });
+
     // 前後延長スライダー
     const frontSlider = document.getElementById('excLengthFrontSlider');
     const frontDisplay = document.getElementById('excLengthFront');
@@ -1224,24 +1675,251 @@
       totalDisplay.textContent = `総延長: ${total}mm`;
       rebuildExcavation({ lengthBack: parseInt(backSlider.value) });
     });
+
+    // 掘削計画を含むプロジェクトデータを保存
+    document.getElementById('btnExcavationJSON').addEventListener('click', () => {
+      if (!currentProject || loaded3DModel) return;
+      const filename = `${currentProject.project || 'pipe-data'}.json`;
+      FileDownload.save(JSON.stringify(currentProject, null, 2), filename, 'application/json');
+      showStatus(`${filename} を保存しました（掘削計画を含む）`);
+    });
+
+    syncExcavationControls();
   }
 
   function rebuildExcavation(changedParams) {
     ExcavationManager.update(changedParams);
+    saveExcavationPlan();
 
     if (excavationGroup) {
       const pos = excavationGroup.position.clone();
       const rot = excavationGroup.rotation.y;
       scene.remove(excavationGroup);
-      excavationGroup = ExcavationManager.create(ExcavationManager.getParams());
-      excavationGroup.position.copy(pos);
-      excavationGroup.rotation.y = rot;
-      excavationGroup.visible = excavationState > 0;
-      scene.add(excavationGroup);
+      createExcavationGroup(ExcavationManager.getParams(), pos, rot);
+      updateClashCheck();
+      applyAnnotations();
+    } else {
+      updateSafetyCheck();
     }
 
     const vol = ExcavationManager.getVolume();
     document.getElementById('excVolume').textContent = `掘削量: ${vol.toFixed(2)} m³`;
+    document.getElementById('excTopWidth').textContent = `上幅: ${Math.round(ExcavationManager.getTopWidth())}mm`;
+    updateTakeoff();
+  }
+
+  /**
+   * 表示中の管の掘削計画（プロジェクトの excavations。無ければプロジェクト既定の excavation）
+   * @returns {Object} 掘削パラメータ
+   */
+  function loadExcavationPlan() {
+    if (loaded3DModel || !currentPipeData || !currentProject) {
+      excavationFollowsPipe = true;
+      return { ...SAMPLE_PIPE_DATA.excavation };
+    }
+    const params = ExcavationManager.planParams(currentProject, currentPipeData.id);
+    excavationFollowsPipe = params.pipe != null;
+    return params;
+  }
+
+  /**
+   * スライダー・形状の変更を表示中の管の掘削計画に書き戻す
+   */
+  function saveExcavationPlan() {
+    if (loaded3DModel || !currentPipeData || !currentProject) return;
+    ExcavationManager.savePlan(currentProject, currentPipeData.id, ExcavationManager.getParams(), excavationFollowsPipe);
+  }
+
+  /**
+   * 掘削領域を生成してシーンに追加（pipeGroup と同じ位置・向き）
+   * 「管路に沿わせる」がオンで表示中の管があれば管路沿いの掘削とする。
+   * 管路沿いの掘削はプロジェクトのシーン座標で作られるため、組立て原点を引いて pipeGroup の座標に合わせる
+   */
+  function createExcavationGroup(params, position, rotation) {
+    const following = excavationFollowsPipe && !loaded3DModel && currentPipeData && currentProject;
+    const model = ExcavationManager.create(
+      { ...params, pipe: following ? currentPipeData.id : null },
+      following ? currentProject : null
+    );
+    if (ExcavationManager.params.route) {
+      model.position.copy(PipeGeometry.planCenter(PipeGeometry.getPath(currentPipeData, currentProject))).negate();
+    }
+    excavationGroup = new THREE.Group();
+    excavationGroup.add(model);
+    excavationGroup.position.copy(position);
+    excavationGroup.rotation.y = rotation;
+    excavationGroup.visible = excavationState > 0;
+    scene.add(excavationGroup);
+    updateSafetyCheck(model);
+  }
+
+  /**
+   * 掘削の安全基準チェック（警告を掘削パネルに一覧表示し、model があれば掘削領域に描画）
+   */
+  function updateSafetyCheck(model = null) {
+    const rules = currentProject ? ExcavationSafety.getRules(currentProject)
+      : { ...ExcavationSafety.DEFAULT_RULES, soil: safetySoil };
+    const warnings = ExcavationSafety.check(ExcavationManager.getParams(), rules);
+    if (model) model.add(ExcavationSafety.createMarkers(ExcavationManager.mesh, warnings));
+    ExcavationSafety.renderList(document.getElementById('excSafetyList'), warnings);
+  }
+
+  /**
+   * 掘削パネルの表示をパラメータに合わせる（形状の選択・スライダー・該当形状の行）
+   */
+  function syncExcavationControls() {
+    const params = ExcavationManager.getParams();
+    document.getElementById('excShape').value = params.shape;
+    EXCAVATION_SLIDERS.forEach(({ id, label, param }) => {
+      document.getElementById(id).value = params[param];
+      document.getElementById(label).textContent = params[param];
+    });
+    document.getElementById('excLengthFrontSlider').value = params.lengthFront;
+    document.getElementById('excLengthFront').textContent = params.lengthFront;
+    document.getElementById('excLengthBackSlider').value = params.lengthBack;
+    document.getElementById('excLengthBack').textContent = params.lengthBack;
+    document.getElementById('excLengthTotal').textContent = `総延長: ${ExcavationManager.getTotalLength()}mm`;
+    const mode = params.route ? 'trench' : 'box';
+    document.getElementById('excFollowPipe').checked = excavationFollowsPipe;
+    document.getElementById('excSoil').value = currentProject ? ExcavationSafety.getRules(currentProject).soil : safetySoil;
+    excavationPanel.querySelectorAll('[data-shape], [data-mode]').forEach(row => {
+      const visible = (!row.dataset.shape || row.dataset.shape === params.shape) &&
+        (!row.dataset.mode || row.dataset.mode === mode);
+      row.style.display = visible ? '' : 'none';
+    });
+    document.getElementById('excVolume').textContent = `掘削量: ${ExcavationManager.getVolume().toFixed(2)} m³`;
+    document.getElementById('excTopWidth').textContent = `上幅: ${Math.round(ExcavationManager.getTopWidth())}mm`;
+  }
+
+  // =========================================================
+  //  Annotation Layers（寸法線・ラベル等の表示切替）
+  // =========================================================
+  /**
+   * プロジェクトの注記レイヤー表示状態を読込んで反映
+   */
+  function loadAnnotationState() {
+    annotationState = AnnotationLayers.load(currentProject);
+    document.getElementById('chkARAnnotations').checked = annotationState.enabled;
+    AnnotationLayers.renderControls(document.getElementById('arAnnotationLayers'), annotationState, updateAnnotations);
+    renderUtilityFilters();
+    applyAnnotations();
+  }
+
+  /**
+   * 表示状態の変更を反映して保存
+   */
+  function updateAnnotations() {
+    AnnotationLayers.save(currentProject, annotationState);
+    document.querySelectorAll('#arAnnotationLayers input').forEach(input => {
+      input.disabled = !annotationState.enabled;
+    });
+    applyAnnotations();
+  }
+
+  function applyAnnotations() {
+    if (annotationState) AnnotationLayers.apply(scene, annotationState);
+    PipeUtility.apply(pipeGroup, utilityState);
+  }
+
+  /**
+   * 埋設物の種別ごとの表示切替（組立てに含まれる管の種別）
+   */
+  function renderUtilityFilters() {
+    let pipes = [];
+    if (currentPipeData && currentProject && !loaded3DModel) {
+      const conn = PipeGeometry.findConnection(currentPipeData.id, currentProject);
+      const ids = [currentPipeData.id, conn && conn.to, ...PipeUtility.nearbyPipeIds(currentPipeData.id, currentProject)];
+      pipes = currentProject.pipes.filter(p => ids.includes(p.id));
+    }
+    PipeUtility.renderFilters(document.getElementById('arUtilityFilters'), utilityState, pipes, applyAnnotations);
+  }
+
+  // =========================================================
+  //  Clearance Check（表示中の取付管・本管に関わる干渉・離隔不足）
+  // =========================================================
+  /**
+   * 離隔チェックを実行して強調表示・管情報の警告を更新
+   * 強調表示はプロジェクトのシーン座標で求め、組立て原点を引いて pipeGroup に加える
+   */
+  function updateClashCheck() {
+    if (clashGroup) {
+      if (clashGroup.parent) clashGroup.parent.remove(clashGroup);
+      clashGroup = null;
+    }
+    const warning = document.getElementById('infoClash');
+    warning.style.display = 'none';
+    if (loaded3DModel || !currentPipeData || !currentProject || !pipeGroup) return;
+
+    const origin = PipeGeometry.planCenter(PipeGeometry.getPath(currentPipeData, currentProject));
+    const conn = PipeGeometry.findConnection(currentPipeData.id, currentProject);
+    const shown = [currentPipeData.id, conn && conn.to].filter(Boolean);
+
+    const excavation = excavationGroup && excavationGroup.visible ? excavationProbe(origin) : null;
+
+    const results = ClashChecker.check(currentProject, { excavation })
+      .filter(r => shown.includes(r.a.id) || (r.kind === 'pipe' && shown.includes(r.b.id)));
+    if (!results.length) return;
+
+    clashGroup = ClashChecker.createHighlights(results);
+    clashGroup.position.copy(origin).negate();
+    pipeGroup.add(clashGroup);
+
+    warning.textContent = '⚠ ' + results.map(r => ClashChecker.describe(r)).join(' / ');
+    warning.style.display = '';
+  }
+
+  /**
+   * 判定用の掘削領域メッシュ（プロジェクトのシーン座標）
+   * 掘削領域は pipeGroup と同じ位置・向きに置かれるため、組立て原点に置いた複製で判定する
+   * @param {THREE.Vector3} origin - 組立て原点（PipeGeometry.planCenter）
+   */
+  function excavationProbe(origin) {
+    if (!ExcavationManager.mesh) return null;
+    const probe = new THREE.Group();
+    probe.position.copy(origin).add(ExcavationManager.group.position);
+    const mesh = ExcavationManager.mesh.clone();
+    mesh.userData.pipe = currentPipeData.id; // 管路に沿わせない掘削も表示中の管は離隔チェックの対象外
+    probe.add(mesh);
+    return mesh;
+  }
+
+  // =========================================================
+  //  Excavation Takeoff（土量計算書）
+  // =========================================================
+  /**
+   * 掘削パネルの土量計算書を更新（布設管は表示中の取付管）
+   */
+  function updateTakeoff() {
+    if (!showTakeoff) return;
+    ExcavationTakeoff.renderTable(document.getElementById('arTakeoffTable'), computeTakeoff());
+  }
+
+  function computeTakeoff() {
+    const options = {};
+    if (!loaded3DModel && currentPipeData && currentProject) {
+      const origin = PipeGeometry.planCenter(PipeGeometry.getPath(currentPipeData, currentProject));
+      options.data = currentProject;
+      options.mesh = excavationProbe(origin);
+      options.pipeIds = [currentPipeData.id];
+    }
+    return ExcavationTakeoff.compute(ExcavationManager.getParams(), options);
+  }
+
+  function setupTakeoff() {
+    document.getElementById('btnTakeoff').addEventListener('click', () => {
+      showTakeoff = !showTakeoff;
+      document.getElementById('arTakeoffTable').style.display = showTakeoff ? '' : 'none';
+      updateTakeoff();
+    });
+
+    document.getElementById('btnTakeoffCSV').addEventListener('click', () => {
+      const project = currentProject && currentProject.project;
+      const name = currentPipeData ? currentPipeData.label || currentPipeData.id : '掘削';
+      const filename = `${project || 'excavation'}-takeoff.csv`;
+      const title = `${project ? project + ' ' : ''}${name} 土量計算書`;
+      ExcavationTakeoff.download(ExcavationTakeoff.toCSV(ExcavationManager.getParams(), computeTakeoff(), title), filename);
+      showStatus(`${filename} を書出しました`);
+    });
   }
 
   // =========================================================
@@ -1253,20 +1931,36 @@
       return;
     }
     document.getElementById('pipeName').textContent = currentPipeData.label || currentPipeData.id;
+    document.getElementById('infoUtility').textContent = PipeUtility.describe(currentPipeData);
     document.getElementById('infoDiameter').textContent = `φ${currentPipeData.diameter}mm`;
     document.getElementById('infoLength').textContent = `${currentPipeData.length.toLocaleString()}mm`;
     document.getElementById('infoDepth').textContent = `${currentPipeData.depth.toLocaleString()}mm`;
     document.getElementById('infoSlope').textContent = `${currentPipeData.slope}%`;
     document.getElementById('infoMaterial').textContent = currentPipeData.material;
+    updateGPSButton();
+
+    // 測量座標のデータは起点の座標を表示
+    const georeferenced = GeoCoords.isGeoreferenced(currentProject);
+    document.querySelectorAll('#pipeInfo .coord-row').forEach(el => {
+      el.style.display = georeferenced ? '' : 'none';
+    });
+    if (georeferenced) {
+      const start = PipeGeometry.fromScene(PipeGeometry.getPath(currentPipeData, currentProject)[0]);
+      document.getElementById('infoCoord').textContent = GeoCoords.formatLocal(start, currentProject);
+      document.getElementById('infoCoord').title = GeoCoords.describeCRS(currentProject);
+    }
   }
 
   function clearPipeInfo(filename) {
     document.getElementById('pipeName').textContent = filename || 'ー';
+    document.getElementById('infoUtility').textContent = 'ー';
     document.getElementById('infoDiameter').textContent = 'ー';
     document.getElementById('infoLength').textContent = 'ー';
     document.getElementById('infoDepth').textContent = 'ー';
     document.getElementById('infoSlope').textContent = 'ー';
     document.getElementById('infoMaterial').textContent = 'ー';
+    document.getElementById('infoCoord').textContent = 'ー';
+    updateGPSButton();
   }
 
   // --- Start ---
@@ -0,0 +1,353 @@
+/**
+ * 離隔・干渉チェック（管と管・管とマンホール・管と掘削領域）
+ * 管は中心線と半径、マンホールは地表面から底までの円柱として外面間の距離を求め、
+ * 規定の離隔（mm）に満たない組合せを返す。接続している組合せ（取付管と本管・連続する本管・
+ * マンホールに出入りする管）は対象外。マンホールを通り抜けるだけの他の埋設物は対象とする
+ * 規定値はプロジェクトの clearance で変更できる: { pipe, manhole, excavation }（mm）
+ */
+const ClashChecker = {
+  DEFAULT_RULES: {
+    pipe: 300,       // 管と管
+    manhole: 300,    // 管とマンホール
+    excavation: 0,   // 管と掘削領域（0: 掘削領域に入る管のみ）
+  },
+  RULE_LABELS: {
+    pipe: '管と管',
+    manhole: '管とマンホール',
+    excavation: '管と掘削領域',
+  },
+  SAMPLE_STEP: 0.05, // マンホール・掘削領域との距離を求める間隔（m）
+  COLOR: 0xff1744,
+
+  /**
+   * 規定値（プロジェクトの clearance で上書き）
+   * @returns {Object} mm
+   */
+  getRules(data) {
+    return { ...this.DEFAULT_RULES, ...(data && data.clearance || {}) };
+  },
+
+  /**
+   * チェックを実行
+   * @param {Object} data - プロジェクトデータ
+   * @param {Object} options - { rules, excavation: THREE.Mesh | THREE.Mesh[]（掘削領域。userData.label を表示名に使う） }
+   * @returns {Object[]} [{ kind, a, b, clearance, required, severity, points: [THREE.Vector3, THREE.Vector3] }]
+   *   kind: 'pipe' | 'manhole' | 'excavation'、a: 管、b: 管 / マンホール / 掘削領域のメッシュ
+   *   clearance / required: m、severity: 'clash'（接触・交差） | 'close'（離隔不足）
+   */
+  check(data, options = {}) {
+    const rules = options.rules || this.getRules(data);
+    const layout = [...PipeGeometry.buildLayout(data).values()];
+    const results = [];
+    const push = (kind, a, b, found, required) => {
+      if (!found || found.clearance >= required) return;
+      results.push({
+        kind, a, b,
+        clearance: found.clearance,
+        required,
+        severity: found.clearance < 0 ? 'clash' : 'close',
+        points: found.points,
+      });
+    };
+
+    // 管と管
+    for (let i = 0; i < layout.length; i++) {
+      for (let j = i + 1; j < layout.length; j++) {
+        const a = layout[i];
+        const b = layout[j];
+        if (this._connected(a, b, data)) continue;
+        push('pipe', a.pipe, b.pipe, this._pipeToPipe(a, b), rules.pipe / 1000);
+      }
+    }
+
+    // 管とマンホール
+    (data.manholes || []).forEach(mh => {
+      const center = PipeGeometry.getManholePoint(mh, data);
+      const radius = (mh.diameter || 0) * PipeGeometry.SCALE / 2;
+      const depth = (mh.depth || 0) * PipeGeometry.SCALE;
+      layout.forEach(entry => {
+        if (this._entersManhole(entry, mh, center, radius, data)) return;
+        push('manhole', entry.pipe, mh, this._pipeToManhole(entry, center, radius, depth), rules.manhole / 1000);
+      });
+    });
+
+    // 管と掘削領域（掘削の対象管と、それに接続する管は対象外）
+    [].concat(options.excavation || []).forEach(mesh => {
+      const target = layout.find(entry => entry.pipe.id === mesh.userData.pipe);
+      layout.forEach(entry => {
+        if (target && (entry === target || this._connected(entry, target, data))) return;
+        push('excavation', entry.pipe, mesh, this._pipeToMesh(entry, mesh), rules.excavation / 1000);
+      });
+    });
+
+    return results.sort((x, y) => x.clearance - y.clearance);
+  },
+
+  /**
+   * 結果の説明
+   */
+  describe(result) {
+    const a = result.a.label || result.a.id;
+    const b = result.kind === 'excavation' ? `掘削領域${result.b.userData.label ? ' ' + result.b.userData.label : ''}`
+      : result.kind === 'manhole' ? `マンホール ${result.b.id}`
+        : (result.b.label || result.b.id);
+    const value = result.severity === 'clash'
+      ? `干渉 ${Math.round(-result.clearance * 1000)}mm`
+      : `離隔 ${Math.round(result.clearance * 1000)}mm（規定 ${Math.round(result.required * 1000)}mm）`;
+    return `${a} ⇔ ${b}: ${value}`;
+  },
+
+  /**
+   * 結果の強調表示（最近接点を結ぶ線・マーカー・ラベル）
+   * @param {Object[]} results - check() の結果
+   * @returns {THREE.Group}
+   */
+  createHighlights(results) {
+    const group = new THREE.Group();
+    group.name = '離隔チェック';
+    results.forEach(result => {
+      const [p, q] = result.points;
+      const item = new THREE.Group();
+      const b = result.kind === 'excavation' ? result.b.userData.id || null : result.b.id;
+      item.userData = { type: 'clash', kind: result.kind, a: result.a.id, b };
+
+      const ring = new THREE.Mesh(
+        new THREE.SphereGeometry(0.12, 16, 12),
+        new THREE.MeshBasicMaterial({ color: this.COLOR, transparent: true, opacity: 0.35, depthTest: false })
+      );
+      ring.position.copy(p).lerp(q, 0.5);
+      ring.renderOrder = 3;
+      item.add(ring);
+
+      if (p.distanceTo(q) > 0.001) {
+        const line = new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints([p, q]),
+          new THREE.LineBasicMaterial({ color: this.COLOR, depthTest: false })
+        );
+        line.renderOrder = 3;
+        item.add(line);
+      }
+
+      const text = result.severity === 'clash'
+        ? `干渉 ${Math.round(-result.clearance * 1000)}mm`
+        : `離隔 ${Math.round(result.clearance * 1000)}mm`;
+      const label = PipeModelFactory.createTextSprite(text, this.COLOR);
+      label.position.copy(ring.position);
+      label.position.y += 0.3;
+      label.scale.set(0.5, 0.25, 1);
+      item.add(label);
+
+      group.add(item);
+    });
+    return group;
+  },
+
+  /**
+   * 内部: 接続している組合せか
+   */
+  _connected(a, b, data) {
+    const linked = (data.connections || []).some(c =>
+      (c.from === a.pipe.id && c.to === b.pipe.id) || (c.from === b.pipe.id && c.to === a.pipe.id));
+    if (linked) return true;
+    // 端点を共有する管（連続する本管など）
+    const ends = e => [e.points[0], e.points[e.points.length - 1]];
+    const tolerance = Math.max(a.radius, b.radius) + 0.05;
+    return ends(a).some(p => ends(b).some(q => p.distanceTo(q) <= tolerance));
+  },
+
+  /**
+   * 内部: マンホールに出入りする管か
+   * 端点がマンホール内にある管、マンホールの位置の基準の本管（mh.pipe、座標が無ければ最初の本管）、
+   * マンホールを通る下水道の本管。平面上で近いだけの他の埋設物は含まない
+   */
+  _entersManhole(entry, mh, center, radius, data) {
+    const ends = [entry.points[0], entry.points[entry.points.length - 1]];
+    if (ends.some(p => Math.hypot(p.x - center.x, p.z - center.z) <= radius + 0.1)) return true;
+    const pipe = entry.pipe;
+    const located = mh.x != null && mh.y != null;
+    const route = mh.pipe || (!located && (data.pipes.find(p => p.type === 'main') || {}).id);
+    if (route && pipe.id === route) return true;
+    return pipe.type === 'main' && PipeUtility.of(pipe) === 'sewer' &&
+      PipeGeometry.projectOnPlan(entry.points, center).distance <= 0.1;
+  },
+
+  /**
+   * 内部: 管と管の外面間の距離
+   */
+  _pipeToPipe(a, b) {
+    let best = null;
+    for (let i = 1; i < a.points.length; i++) {
+      for (let j = 1; j < b.points.length; j++) {
+        const [p, q] = this._closestSegmentPoints(a.points[i - 1], a.points[i], b.points[j - 1], b.points[j]);
+        const clearance = p.distanceTo(q) - a.radius - b.radius;
+        if (!best || clearance < best.clearance) best = { clearance, points: [p, q] };
+      }
+    }
+    return best;
+  },
+
+  /**
+   * 内部: 管とマンホール（円柱）の外面間の距離
+   */
+  _pipeToManhole(entry, center, radius, depth) {
+    let best = null;
+    this._samplePath(entry.points, p => {
+      // 円柱の高さ範囲に最も近い点
+      const y = Math.max(-depth, Math.min(0, p.y));
+      const horizontal = Math.hypot(p.x - center.x, p.z - center.z);
+      const vertical = Math.abs(p.y - y);
+      const outside = Math.max(horizontal - radius, 0);
+      const clearance = (outside > 0 || vertical > 0 ? Math.hypot(outside, vertical) : horizontal - radius) - entry.radius;
+      if (!best || clearance < best.clearance) {
+        const dir = new THREE.Vector3(p.x - center.x, 0, p.z - center.z);
+        if (dir.lengthSq() > 0) dir.normalize();
+        const wall = new THREE.Vector3(center.x, y, center.z).addScaledVector(dir, radius);
+        best = { clearance, points: [p.clone(), wall] };
+      }
+    });
+    return best;
+  },
+
+  /**
+   * 内部: 管とメッシュ（掘削領域）の外面間の距離
+   * 断面の情報（ExcavationManager.getPrisms）があれば断面を押し出した形状、無ければ外接直方体で判定する
+   */
+  _pipeToMesh(entry, mesh) {
+    const geometry = mesh.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    mesh.updateWorldMatrix(true, false);
+    const inverse = mesh.matrixWorld.clone().invert();
+    const box = geometry.boundingBox;
+    const prisms = ExcavationManager.getPrisms(mesh);
+    let best = null;
+    this._samplePath(entry.points, p => {
+      const local = p.clone().applyMatrix4(inverse);
+      const { distance, nearest } = prisms
+        ? this._prismsDistance(local, prisms)
+        : this._boxDistance(local, box);
+      const clearance = distance - entry.radius;
+      if (!best || clearance < best.clearance) {
+        best = { clearance, points: [p.clone(), nearest.applyMatrix4(mesh.matrixWorld)] };
+      }
+    });
+    return best;
+  },
+
+  /**
+   * 内部: 直方体との符号付き距離（内側は最も近い面までの距離を負とする）
+   */
+  _boxDistance(local, box) {
+    const nearest = box.clampPoint(local, new THREE.Vector3());
+    let distance = local.distanceTo(nearest);
+    if (distance === 0) {
+      distance = -Math.min(
+        local.x - box.min.x, box.max.x - local.x,
+        local.y - box.min.y, box.max.y - local.y,
+        local.z - box.min.z, box.max.z - local.z
+      );
+    }
+    return { distance, nearest };
+  },
+
+  /**
+   * 内部: 角柱の集まり（管路沿いの掘削の各区間）との符号付き距離（最も近い角柱）
+   */
+  _prismsDistance(local, prisms) {
+    let best = null;
+    prisms.forEach(prism => {
+      const q = local.clone().applyMatrix4(prism.inverse);
+      const found = this._prismDistance(q, prism.sectionAt(q.z), prism.zMin, prism.zMax);
+      if (!best || found.distance < best.distance) {
+        best = { distance: found.distance, nearest: found.nearest.applyMatrix4(prism.matrix) };
+      }
+    });
+    return best;
+  },
+
+  /**
+   * 内部: 断面（XY の多角形）を Z 方向に押し出した形状との符号付き距離
+   */
+  _prismDistance(local, polygon, zMin, zMax) {
+    // 断面内の最近接点と内外判定
+    let edge = null;
+    let inside = false;
+    polygon.forEach(([x1, y1], i) => {
+      const [x2, y2] = polygon[(i + 1) % polygon.length];
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? THREE.MathUtils.clamp(((local.x - x1) * dx + (local.y - y1) * dy) / len2, 0, 1) : 0;
+      const qx = x1 + dx * t;
+      const qy = y1 + dy * t;
+      const dist = Math.hypot(local.x - qx, local.y - qy);
+      if (!edge || dist < edge.dist) edge = { dist, x: qx, y: qy };
+      if ((y1 > local.y) !== (y2 > local.y) && local.x < x1 + (local.y - y1) * dx / dy) inside = !inside;
+    });
+    const inPlane = inside ? -edge.dist : edge.dist;
+    const along = Math.max(zMin - local.z, local.z - zMax);
+    const z = THREE.MathUtils.clamp(local.z, zMin, zMax);
+
+    if (inPlane <= 0 && along <= 0) {
+      // 内側: 近い方の面（側面 / 前後の端面）
+      return inPlane > along
+        ? { distance: inPlane, nearest: new THREE.Vector3(edge.x, edge.y, local.z) }
+        : { distance: along, nearest: new THREE.Vector3(local.x, local.y, local.z - zMin < zMax - local.z ? zMin : zMax) };
+    }
+    return {
+      distance: Math.hypot(Math.max(inPlane, 0), Math.max(along, 0)),
+      nearest: inPlane > 0 ? new THREE.Vector3(edge.x, edge.y, z) : new THREE.Vector3(local.x, local.y, z),
+    };
+  },
+
+  /**
+   * 内部: 線分同士の最近接点
+   * @returns {THREE.Vector3[]}
+   */
+  _closestSegmentPoints(p1, q1, p2, q2) {
+    const d1 = q1.clone().sub(p1);
+    const d2 = q2.clone().sub(p2);
+    const r = p1.clone().sub(p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+    let s = 0;
+    let t = 0;
+    if (a <= 1e-9 && e <= 1e-9) return [p1.clone(), p2.clone()];
+    if (a <= 1e-9) {
+      t = THREE.MathUtils.clamp(f / e, 0, 1);
+    } else {
+      const c = d1.dot(r);
+      if (e <= 1e-9) {
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else {
+        const b = d1.dot(d2);
+        const denom = a * e - b * b;
+        s = denom > 1e-9 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+        t = (b * s + f) / e;
+        if (t < 0) {
+          t = 0;
+          s = THREE.MathUtils.clamp(-c / a, 0, 1);
+        } else if (t > 1) {
+          t = 1;
+          s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+        }
+      }
+    }
+    return [p1.clone().addScaledVector(d1, s), p2.clone().addScaledVector(d2, t)];
+  },
+
+  /**
+   * 内部: 折れ線上の点を一定間隔で列挙
+   */
+  _samplePath(points, callback) {
+    const p = new THREE.Vector3();
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const n = Math.max(1, Math.ceil(a.distanceTo(b) / this.SAMPLE_STEP));
+      for (let k = (i === 1 ? 0 : 1); k <= n; k++) {
+        callback(p.copy(a).lerp(b, k / n));
+      }
+    }
+  },
+};
@@ -0,0 +1,281 @@
+/**
+ * 2D図面の書出し（DXF R12）
+ * 平面図（管路・マンホール・接続点・名称）と縦断図（本管ルートごと）を1ファイルに描き、
+ * 要素ごとに画層を分ける。単位は m（縦断図の高さ方向は VERTICAL_SCALE 倍に誇張。R12 は単位を宣言できないため
+ * 読込み側で m として扱う）
+ * 平面直角座標系のデータは測量座標（X=東, Y=北）で出力する
+ * 日本語の文字列は \U+XXXX 形式で書く（AutoCAD / BricsCAD / LibreCAD 等で表示可）
+ */
+const DXFExporter = {
+  VERTICAL_SCALE: 10,   // 縦断図の縦倍率（横1:1000 / 縦1:100 相当）
+  TEXT_HEIGHT: 0.3,     // 文字高（m）
+  PROFILE_GAP: 15,      // 図と図の間隔（m）
+  TABLE_ROW: 1.5,       // 縦断表の行高（m）
+
+  // 画層: 名前 → [色番号, 用途]
+  LAYERS: {
+    'PLAN-MAIN':       [1, '平面 本管'],
+    'PLAN-SERVICE':    [4, '平面 取付管'],
+    'PLAN-MANHOLE':    [7, '平面 マンホール'],
+    'PLAN-CONNECTION': [3, '平面 接続点'],
+    'PLAN-TEXT':       [2, '平面 文字'],
+    'PROF-GROUND':     [3, '縦断 地盤線'],
+    'PROF-PIPE':       [1, '縦断 管'],
+    'PROF-MANHOLE':    [7, '縦断 マンホール'],
+    'PROF-CONNECTION': [4, '縦断 取付管接続'],
+    'PROF-TABLE':      [8, '縦断 表'],
+    'PROF-TEXT':       [2, '縦断 文字'],
+  },
+
+  /**
+   * DXFをダウンロード
+   * @param {Object} data - プロジェクトデータ
+   * @param {string} filename
+   */
+  download(data, filename) {
+    FileDownload.save(this.build(data), filename, 'application/dxf');
+  },
+
+  /**
+   * DXF文字列を生成
+   * @param {Object} data - プロジェクトデータ
+   * @returns {string}
+   */
+  build(data) {
+    const out = this._writer();
+    const toPlan = this._planTransform(data);
+    const bounds = this._drawPlan(out, data, toPlan);
+
+    // 縦断図は平面図の下に本管ルートごとに並べる
+    let top = bounds.minY - this.PROFILE_GAP;
+    PipeProfile.buildRoutes(data).forEach(route => {
+      const profile = PipeProfile.build(route, data);
+      if (profile.pipes.length === 0) return;
+      top = this._drawProfile(out, profile, bounds.minX, top) - this.PROFILE_GAP;
+    });
+
+    return this._document(out.entities);
+  },
+
+  /**
+   * 内部: ローカル座標（mm） → 図面座標（m）の変換
+   */
+  _planTransform(data) {
+    if (GeoCoords.isGeoreferenced(data) && data.crs.type === 'jgd2011') {
+      return local => {
+        const c = GeoCoords.fromLocal(local, data);
+        return [c[1], c[0]]; // 平面直角座標 X=北, Y=東 → 図面 x=東, y=北
+      };
+    }
+    return local => [local[0] / 1000, local[1] / 1000];
+  },
+
+  /**
+   * 内部: 平面図
+   * @returns {{minX: number, minY: number}} 図の左下
+   */
+  _drawPlan(out, data, toPlan) {
+    const h = this.TEXT_HEIGHT;
+    const xs = [];
+    const ys = [];
+    const plan = p => {
+      const xy = toPlan(PipeGeometry.fromScene(p));
+      xs.push(xy[0]);
+      ys.push(xy[1]);
+      return xy;
+    };
+
+    PipeGeometry.buildLayout(data).forEach(({ pipe, points }) => {
+      const layer = pipe.type === 'main' ? 'PLAN-MAIN' : 'PLAN-SERVICE';
+      const pts = points.map(plan);
+      out.polyline(layer, pts);
+
+      // 名称・管径・延長・勾配を管の中央に沿って記入
+      const mid = PipeGeometry.pointAtDistance(points, PipeGeometry.pathLength(points, true) / 2, true);
+      const [mx, my] = plan(mid.point);
+      let angle = Math.atan2(-mid.direction.z, mid.direction.x) * 180 / Math.PI;
+      if (angle > 90 || angle <= -90) angle += 180; // 文字が逆さにならないように
+      const spec = `${pipe.label || pipe.id}  φ${pipe.diameter}  L=${(pipe.length / 1000).toFixed(2)}m  i=${pipe.slope}%`;
+      out.text('PLAN-TEXT', mx, my, h, spec, angle, h * 0.8);
+    });
+
+    (data.manholes || []).forEach(mh => {
+      const [x, y] = plan(PipeGeometry.getManholePoint(mh, data));
+      out.circle('PLAN-MANHOLE', x, y, (mh.diameter || 900) / 2000);
+      out.text('PLAN-TEXT', x, y, h, `${mh.id}  H=${(mh.depth / 1000).toFixed(2)}m`, 0, (mh.diameter || 900) / 2000 + h);
+    });
+
+    (data.connections || []).forEach(conn => {
+      const joint = PipeGeometry.getConnectionPoint(conn, data);
+      if (!joint) return;
+      const [x, y] = plan(joint);
+      const r = 0.15;
+      out.circle('PLAN-CONNECTION', x, y, r);
+      out.line('PLAN-CONNECTION', [x - r * 2, y], [x + r * 2, y]);
+      out.line('PLAN-CONNECTION', [x, y - r * 2], [x, y + r * 2]);
+      out.text('PLAN-TEXT', x, y, h * 0.8, `${conn.from}→${conn.to} ${(conn.position / 1000).toFixed(2)}m`, 0, -h * 2);
+    });
+
+    const minX = xs.length ? Math.min(...xs) : 0;
+    const minY = ys.length ? Math.min(...ys) : 0;
+    const maxY = ys.length ? Math.max(...ys) : 0;
+    out.text('PLAN-TEXT', minX, maxY + h * 6, h * 2, `平面図  ${data.project || ''}  ${GeoCoords.describeCRS(data)}`);
+    return { minX, minY };
+  },
+
+  /**
+   * 内部: 縦断図（地盤線・管頂/管底・マンホール・取付管接続・縦断表）
+   * @param {number} x0 - 図の左端
+   * @param {number} top - 図の上端
+   * @returns {number} 図の下端
+   */
+  _drawProfile(out, profile, x0, top) {
+    const h = this.TEXT_HEIGHT;
+    const V = this.VERTICAL_SCALE;
+    const deepest = Math.min(
+      ...profile.pipes.flatMap(p => p.points.map(pt => pt.z - p.radius)),
+      ...profile.manholes.map(m => -m.depth)
+    );
+    const groundY = top - h * 6;                 // 地表面（z=0）の図面上の高さ
+    const Y = z => groundY + z * V;
+    const X = s => x0 + s;
+    const bottom = Y(deepest) - h * 4;
+
+    out.text('PROF-TEXT', x0, top, h * 2,
+      `縦断図  ${profile.route.join(' - ')}  (縦 ×${V})  地盤高 ${profile.datum.toFixed(3)}m`);
+    out.line('PROF-GROUND', [X(0), Y(0)], [X(profile.length), Y(0)]);
+
+    profile.pipes.forEach(entry => {
+      out.polyline('PROF-PIPE', entry.points.map(pt => [X(pt.s), Y(pt.z + entry.radius)]));
+      out.polyline('PROF-PIPE', entry.points.map(pt => [X(pt.s), Y(pt.z - entry.radius)]));
+      const first = entry.points[0];
+      const last = entry.points[entry.points.length - 1];
+      const midS = (first.s + last.s) / 2;
+      const p = entry.pipe;
+      out.text('PROF-TEXT', X(midS), Y(PipeProfile.zAt(entry, midS) + entry.radius), h,
+        `${p.id}  φ${p.diameter}  i=${p.slope}%  L=${(p.length / 1000).toFixed(2)}m`, 0, h);
+    });
+
+    profile.manholes.forEach(({ manhole, s, depth }) => {
+      const r = (manhole.diameter || 900) / 2000;
+      out.polyline('PROF-MANHOLE', [
+        [X(s - r), Y(0)], [X(s - r), Y(-depth)], [X(s + r), Y(-depth)], [X(s + r), Y(0)],
+      ]);
+      out.text('PROF-TEXT', X(s), Y(0), h, manhole.id, 0, h);
+    });
+
+    profile.connections.forEach(({ pipe, s, z }) => {
+      out.line('PROF-CONNECTION', [X(s), Y(0)], [X(s), Y(z)]);
+      out.circle('PROF-CONNECTION', X(s), Y(z), 0.15);
+      out.text('PROF-TEXT', X(s), Y(0), h * 0.8, `${pipe.id} φ${pipe.diameter}`, 90, h * 4);
+    });
+
+    // 縦断表
+    const rows = [
+      ['測点', st => st.name],
+      ['追加距離', st => st.s.toFixed(2)],
+      ['地盤高', st => st.ground.toFixed(3)],
+      ['管底高', st => st.invert.toFixed(3)],
+      ['土被り', st => st.cover.toFixed(2)],
+    ];
+    const row = this.TABLE_ROW;
+    const tableTop = bottom;
+    const labelX = x0 - 8;
+    rows.forEach(([label], i) => {
+      const y = tableTop - row * (i + 1);
+      out.line('PROF-TABLE', [labelX, y], [X(profile.length), y]);
+      out.text('PROF-TEXT', labelX + 0.3, y + row * 0.3, h, label);
+    });
+    out.line('PROF-TABLE', [labelX, tableTop], [X(profile.length), tableTop]);
+    out.line('PROF-TABLE', [labelX, tableTop], [labelX, tableTop - row * rows.length]);
+    PipeProfile.stations(profile).forEach(st => {
+      out.line('PROF-TABLE', [X(st.s), tableTop], [X(st.s), tableTop - row * rows.length]);
+      rows.forEach(([, value], i) => {
+        const y = tableTop - row * (i + 1);
+        out.text('PROF-TEXT', X(st.s) + h * 1.2, y + row * 0.15, h * 0.8, value(st), 90);
+      });
+    });
+    return tableTop - row * rows.length;
+  },
+
+  /**
+   * 内部: エンティティの書込み
+   */
+  _writer() {
+    const entities = [];
+    const num = v => (Math.round(v * 1e4) / 1e4).toString();
+    const push = (...pairs) => {
+      for (let i = 0; i < pairs.length; i += 2) entities.push(pairs[i], pairs[i + 1]);
+    };
+    return {
+      entities,
+      line(layer, a, b) {
+        push(0, 'LINE', 8, layer, 10, num(a[0]), 20, num(a[1]), 30, 0, 11, num(b[0]), 21, num(b[1]), 31, 0);
+      },
+      polyline(layer, points) {
+        push(0, 'POLYLINE', 8, layer, 66, 1, 10, 0, 20, 0, 30, 0, 70, 0);
+        points.forEach(p => push(0, 'VERTEX', 8, layer, 10, num(p[0]), 20, num(p[1]), 30, 0));
+        push(0, 'SEQEND', 8, layer);
+      },
+      circle(layer, x, y, r) {
+        push(0, 'CIRCLE', 8, layer, 10, num(x), 20, num(y), 30, 0, 40, num(r));
+      },
+      /**
+       * 文字（offset: 基点から文字の向きに直交する方向へのずらし量）
+       */
+      text(layer, x, y, height, value, angle = 0, offset = 0) {
+        const rad = angle * Math.PI / 180;
+        const tx = x - Math.sin(rad) * offset;
+        const ty = y + Math.cos(rad) * offset;
+        push(0, 'TEXT', 8, layer, 10, num(tx), 20, num(ty), 30, 0, 40, num(height),
+          1, DXFExporter._encode(value), 50, num(angle), 72, 1, 11, num(tx), 21, num(ty), 31, 0);
+      },
+    };
+  },
+
+  /**
+   * 内部: ヘッダ・画層表を付けてDXF全体を組み立て
+   */
+  _document(entities) {
+    const layers = Object.keys(this.LAYERS).flatMap(name => [
+      0, 'LAYER', 2, name, 70, 0, 62, this.LAYERS[name][0], 6, 'CONTINUOUS',
+    ]);
+    const pairs = [
+      0, 'SECTION', 2, 'HEADER',
+      9, '$ACADVER', 1, 'AC1009',
+      9, '$DWGCODEPAGE', 3, 'ANSI_932',
+      0, 'ENDSEC',
+      0, 'SECTION', 2, 'TABLES',
+      0, 'TABLE', 2, 'LTYPE', 70, 1,
+      0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0,
+      0, 'ENDTAB',
+      0, 'TABLE', 2, 'LAYER', 70, Object.keys(this.LAYERS).length,
+      ...layers,
+      0, 'ENDTAB',
+      0, 'TABLE', 2, 'STYLE', 70, 1,
+      0, 'STYLE', 2, 'STANDARD', 70, 0, 40, 0, 41, 1, 50, 0, 71, 0, 42, 1, 3, 'txt', 4, '',
+      0, 'ENDTAB',
+      0, 'ENDSEC',
+      0, 'SECTION', 2, 'ENTITIES',
+      ...entities,
+      0, 'ENDSEC',
+      0, 'EOF',
+    ];
+    const lines = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      lines.push(String(pairs[i]).padStart(3, ' '), String(pairs[i + 1]));
+    }
+    return lines.join('\r\n') + '\r\n';
+  },
+
+  /**
+   * 内部: ASCII 以外を \U+XXXX に変換
+   */
+  _encode(text) {
+    return Array.from(String(text)).map(ch => {
+      const code = ch.codePointAt(0);
+      if (code < 0x80) return ch;
+      return code > 0xffff ? '?' : '\\U+' + code.toString(16).toUpperCase().padStart(4, '0');
+    }).join('');
+  },
+};
@@ -0,0 +1,132 @@
+/**
+ * 掘削の安全基準チェック（土留めの要否・法勾配・残土の置き場）
+ * 深さ shoringDepth を超える垂直掘削は土留めが必要。法面・段切り掘削の勾配は地山の種類（soil）と深さに応じた
+ * 勾配以上とし、残土は掘削の上端から spoilDistance 以上離して置く
+ * 規定値はプロジェクトの safety で変更できる: { soil, shoringDepth, spoilDistance }（mm）
+ */
+const ExcavationSafety = {
+  DEFAULT_RULES: {
+    soil: 'normal',      // 地山の種類（SOILS のキー）
+    shoringDepth: 1500,  // これより深い垂直掘削は土留めが必要
+    spoilDistance: 1000, // 掘削の上端から残土までの離れ
+  },
+  RULE_LABELS: {
+    shoringDepth: '土留めが必要な深さ',
+    spoilDistance: '残土の離れ',
+  },
+
+  // 地山の種類ごとの法勾配（深さ depth 以上で 1:slope 以上。手掘りによる掘削面の勾配の基準）
+  SOILS: {
+    hard: { label: '岩盤・堅い粘土', slopes: [{ depth: 5000, slope: 0.27 }] },                         // 75°
+    normal: { label: 'その他の地山', slopes: [{ depth: 2000, slope: 0.27 }, { depth: 5000, slope: 0.58 }] }, // 75° / 60°
+    sand: { label: '砂', slopes: [{ depth: 5000, slope: 1.43 }] },                                       // 35°
+    loose: { label: '崩壊しやすい地山', slopes: [{ depth: 2000, slope: 1.0 }] },                          // 45°
+  },
+  COLOR: 0xff9100,
+
+  /**
+   * 規定値（プロジェクトの safety で上書き）
+   */
+  getRules(data) {
+    return { ...this.DEFAULT_RULES, ...(data && data.safety || {}) };
+  },
+
+  /**
+   * 地山の種類と深さに必要な法勾配（1:n の n。垂直でよければ 0）
+   * @param {string} soil - SOILS のキー
+   * @param {number} depth - mm
+   */
+  requiredSlope(soil, depth) {
+    const steps = (this.SOILS[soil] || this.SOILS[this.DEFAULT_RULES.soil]).slopes;
+    return steps.reduce((acc, step) => (depth >= step.depth ? Math.max(acc, step.slope) : acc), 0);
+  },
+
+  /**
+   * チェックを実行
+   * @param {Object} params - 掘削パラメータ（ExcavationManager.normalize の形式, mm。管路沿いの掘削は最深部の深さ）
+   * @param {Object} rules - 規定値（省略時は既定値）
+   * @returns {Object[]} [{ rule: 'shoring' | 'slope' | 'spoil', title, message }]
+   */
+  check(params, rules = this.DEFAULT_RULES) {
+    const warnings = [];
+    const depth = params.depth;
+
+    if (params.shape !== 'shored') {
+      if (params.shape === 'vertical' && depth > rules.shoringDepth) {
+        warnings.push({
+          rule: 'shoring',
+          title: '土留めが必要',
+          message: `深さ ${depth}mm の垂直掘削です（${rules.shoringDepth}mm を超える掘削は土留めが必要）`,
+        });
+      } else {
+        // 段切り掘削は段幅 / 段高を勾配とみなす
+        const required = this.requiredSlope(rules.soil, depth);
+        const actual = params.shape === 'sloped' ? params.slope
+          : params.shape === 'benched' ? params.benchWidth / params.benchHeight : 0;
+        if (actual < required) {
+          const soil = (this.SOILS[rules.soil] || this.SOILS[this.DEFAULT_RULES.soil]).label;
+          warnings.push({
+            rule: 'slope',
+            title: '法勾配が不足',
+            message: `法勾配 1:${Number(actual.toFixed(2))}（${soil}・深さ ${depth}mm は 1:${required} 以上が必要）`,
+          });
+        }
+      }
+    }
+
+    if (params.spoilDistance < rules.spoilDistance) {
+      warnings.push({
+        rule: 'spoil',
+        title: '残土が近い',
+        message: `残土の離れ ${params.spoilDistance}mm（掘削の上端から ${rules.spoilDistance}mm 以上離す）`,
+      });
+    }
+    return warnings;
+  },
+
+  /**
+   * 警告の表示（掘削領域の輪郭を強調し、上方に警告ラベルを置く）
+   * @param {THREE.Mesh} mesh - 掘削領域のメッシュ（ExcavationManager.mesh）
+   * @param {Object[]} warnings - check() の結果
+   * @returns {THREE.Group} メッシュの親に追加するグループ（警告が無ければ空）
+   */
+  createMarkers(mesh, warnings) {
+    const group = new THREE.Group();
+    group.name = '安全チェック';
+    group.userData = { type: 'safety', rules: warnings.map(w => w.rule) };
+    if (!warnings.length) return group;
+
+    const edges = new THREE.LineSegments(
+      new THREE.EdgesGeometry(mesh.geometry, 30),
+      new THREE.LineBasicMaterial({ color: this.COLOR, depthTest: false })
+    );
+    edges.applyMatrix4(mesh.matrix);
+    edges.renderOrder = 3;
+    group.add(edges);
+
+    mesh.geometry.computeBoundingBox();
+    const box = mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrix);
+    const more = warnings.length > 1 ? ` 他${warnings.length - 1}件` : '';
+    const label = PipeModelFactory.createTextSprite(`⚠ ${warnings[0].title}${more}`, this.COLOR);
+    box.getCenter(label.position);
+    label.position.y = box.max.y + 0.5;
+    label.scale.set(1, 0.5, 1);
+    group.add(label);
+    return group;
+  },
+
+  /**
+   * 警告の一覧を描画
+   * @param {HTMLUListElement} list
+   * @param {Object[]} warnings - check() の結果
+   */
+  renderList(list, warnings) {
+    list.innerHTML = '';
+    warnings.forEach(w => {
+      const li = document.createElement('li');
+      li.textContent = `⚠ ${w.title}: ${w.message}`;
+      list.appendChild(li);
+    });
+    list.style.display = warnings.length ? '' : 'none';
+  },
+};
@@ -0,0 +1,309 @@
+/**
+ * 土量計算書（掘削パラメータと掘削領域内の管から数量を算出）
+ * 舗装切断延長・舗装取壊し面積・掘削量・管の控除体積・砂基礎・舗装/路盤の控除・埋戻し・残土・残土運搬量
+ * 砂基礎は掘削底から管頂 + beddingCover までの範囲（管体積を除く）、埋戻しは砂基礎の上から路盤下まで
+ * 複数の掘削は total() で合計し、toSummaryCSV() で掘削ごとの内訳と合計を書き出す
+ * 設定値はプロジェクトの takeoff で変更できる:
+ *   { beddingCover, pavementThickness, baseThickness, loosening, reuseBackfill }（mm / 土量変化率 / 発生土の流用）
+ */
+const ExcavationTakeoff = {
+  DEFAULT_SETTINGS: {
+    beddingCover: 100,       // 砂基礎の管頂上の厚さ
+    pavementThickness: 50,   // 舗装厚
+    baseThickness: 150,      // 路盤厚
+    loosening: 1.2,          // 土量変化率 L（ほぐし）
+    reuseBackfill: true,     // 発生土を埋戻しに流用する
+  },
+  SETTING_LABELS: {
+    beddingCover: '管上 砂基礎厚',
+    pavementThickness: '舗装厚',
+    baseThickness: '路盤厚',
+    loosening: '土量変化率 L',
+  },
+
+  // 計算書の行（key は compute() の quantities）
+  ITEMS: [
+    { key: 'pavementCut', label: '舗装切断', unit: 'm' },
+    { key: 'pavementArea', label: '舗装取壊し', unit: 'm²' },
+    { key: 'excavation', label: '掘削', unit: 'm³' },
+    { key: 'pipe', label: '管体積（控除）', unit: 'm³' },
+    { key: 'bedding', label: '砂基礎', unit: 'm³' },
+    { key: 'pavement', label: '舗装・路盤（控除）', unit: 'm³' },
+    { key: 'backfill', label: '埋戻し', unit: 'm³' },
+    { key: 'surplus', label: '残土（地山）', unit: 'm³' },
+    { key: 'haul', label: '残土運搬（ほぐし）', unit: 'm³' },
+  ],
+  SAMPLE_STEP: 0.05, // 掘削領域内の管延長を求める間隔（m）
+
+  /**
+   * 設定値（プロジェクトの takeoff で上書き）
+   */
+  getSettings(data) {
+    return { ...this.DEFAULT_SETTINGS, ...(data && data.takeoff || {}) };
+  },
+
+  /**
+   * 数量を算出
+   * @param {Object} params - 掘削パラメータ（ExcavationManager.normalize の形式, mm）
+   * @param {Object} options - { data: プロジェクトデータ, mesh: 掘削領域のメッシュ,
+   *   pipeIds: 布設する管のID（省略時は掘削領域内の全ての管）, settings }
+   * @returns {Object} { quantities: { [key]: number }, pipes: [{ pipe, length }], settings }
+   *   pipes の length は掘削領域内の延長（m）
+   */
+  compute(params, options = {}) {
+    const settings = options.settings || this.getSettings(options.data);
+    const plan = ExcavationManager.getPlan(params);
+    const pipes = options.data && options.mesh
+      ? this._pipesInside(options.data, options.mesh, options.pipeIds, params, settings) : [];
+    const pipeVolume = pipes.reduce((acc, p) => acc + p.volume, 0);
+    const bedding = pipes.reduce((acc, p) => acc + p.bedding, 0);
+
+    const excavation = ExcavationManager.getVolume(params);
+    const pavementArea = plan.area;
+    const pavement = Math.min(pavementArea * (settings.pavementThickness + settings.baseThickness) / 1000, excavation);
+    const backfill = Math.max(excavation - pipeVolume - bedding - pavement, 0);
+    const surplus = settings.reuseBackfill ? excavation - backfill : excavation;
+
+    return {
+      quantities: {
+        pavementCut: plan.perimeter,
+        pavementArea,
+        excavation,
+        pipe: pipeVolume,
+        bedding,
+        pavement,
+        backfill,
+        surplus,
+        haul: surplus * settings.loosening,
+      },
+      pipes: pipes.map(({ pipe, length }) => ({ pipe, length })),
+      settings,
+    };
+  },
+
+  /**
+   * 数量の合計（複数の掘削）
+   * 同じ管が複数の掘削にかかるときは掘削内延長を合算する
+   * @param {Object[]} results - compute() の結果
+   * @param {Object} settings - 設定値（省略時は最初の結果の設定）
+   * @returns {Object} compute() と同じ形式
+   */
+  total(results, settings = results.length ? results[0].settings : this.DEFAULT_SETTINGS) {
+    const quantities = {};
+    this.ITEMS.forEach(({ key }) => {
+      quantities[key] = results.reduce((acc, r) => acc + r.quantities[key], 0);
+    });
+    const pipes = new Map();
+    results.forEach(r => r.pipes.forEach(({ pipe, length }) => {
+      pipes.set(pipe.id, { pipe, length: (pipes.has(pipe.id) ? pipes.get(pipe.id).length : 0) + length });
+    }));
+    return { quantities, pipes: [...pipes.values()], settings };
+  },
+
+  /**
+   * 数量の表記（小数2桁）
+   */
+  format(value) {
+    return value.toFixed(2);
+  },
+
+  /**
+   * 計算書の表を描画
+   * @param {HTMLTableElement} table
+   * @param {Object} result - compute() の結果
+   */
+  renderTable(table, result) {
+    table.innerHTML = '';
+    this.ITEMS.forEach(({ key, label, unit }) => {
+      const tr = table.insertRow();
+      tr.insertCell().textContent = label;
+      const value = tr.insertCell();
+      value.className = 'takeoff-value';
+      value.textContent = this.format(result.quantities[key]);
+      tr.insertCell().textContent = unit;
+    });
+    if (result.pipes.length) {
+      const tr = table.insertRow();
+      const cell = tr.insertCell();
+      cell.colSpan = 3;
+      cell.className = 'takeoff-note';
+      cell.textContent = '布設管: ' + result.pipes
+        .map(({ pipe, length }) => `${pipe.label || pipe.id} φ${pipe.diameter} L=${length.toFixed(2)}m`)
+        .join(', ');
+    }
+  },
+
+  /**
+   * CSV（Excelで開けるよう BOM 付き UTF-8）
+   * @param {Object} params - 掘削パラメータ
+   * @param {Object} result - compute() の結果
+   * @param {string} title - 表題（工事名・掘削名など）
+   */
+  toCSV(params, result, title = '土量計算書') {
+    const rows = [
+      [title],
+      ['形状', ExcavationManager.describeShape(params)],
+      ['底幅(mm)', params.width],
+      ['上幅(mm)', Math.round(ExcavationManager.getTopWidth(params))],
+      ['深さ(mm)', params.route ? `${Math.min(...params.route.map(r => r.depth))}〜${params.depth}` : params.depth],
+      ['延長(mm)', ExcavationManager.getTotalLength(params)],
+      ...(params.route ? [['管路沿い', params.pipe]] : []),
+      [],
+      ['項目', '数量', '単位'],
+      ...this.ITEMS.map(({ key, label, unit }) => [label, this.format(result.quantities[key]), unit]),
+      [],
+      ['布設管', '管径(mm)', '掘削内延長(m)'],
+      ...result.pipes.map(({ pipe, length }) => [pipe.label || pipe.id, pipe.diameter, length.toFixed(2)]),
+      [],
+      ...Object.keys(this.SETTING_LABELS).map(key => [this.SETTING_LABELS[key], result.settings[key]]),
+      ['発生土の流用', result.settings.reuseBackfill ? 'あり' : 'なし'],
+    ];
+    return this._csv(rows);
+  },
+
+  /**
+   * 複数の掘削の集計CSV（掘削ごとの数量と合計）
+   * @param {Object[]} entries - [{ name, params, result }]（result は compute() の結果）
+   * @param {string} title - 表題（工事名など）
+   */
+  toSummaryCSV(entries, title = '土量計算書') {
+    const total = this.total(entries.map(e => e.result));
+    const rows = [
+      [title],
+      [],
+      ['掘削', '形状', '底幅(mm)', '上幅(mm)', '深さ(mm)', '延長(mm)', '管路沿い'],
+      ...entries.map(({ name, params }) => [
+        name,
+        ExcavationManager.describeShape(params),
+        params.width,
+        Math.round(ExcavationManager.getTopWidth(params)),
+        params.route ? `${Math.min(...params.route.map(r => r.depth))}〜${params.depth}` : params.depth,
+        ExcavationManager.getTotalLength(params),
+        params.route ? params.pipe : '',
+      ]),
+      [],
+      ['項目', '単位', ...entries.map(e => e.name), '合計'],
+      ...this.ITEMS.map(({ key, label, unit }) => [
+        label, unit,
+        ...entries.map(e => this.format(e.result.quantities[key])),
+        this.format(total.quantities[key]),
+      ]),
+      [],
+      ['布設管', '管径(mm)', '掘削内延長(m)'],
+      ...total.pipes.map(({ pipe, length }) => [pipe.label || pipe.id, pipe.diameter, length.toFixed(2)]),
+      [],
+      ...Object.keys(this.SETTING_LABELS).map(key => [this.SETTING_LABELS[key], total.settings[key]]),
+      ['発生土の流用', total.settings.reuseBackfill ? 'あり' : 'なし'],
+    ];
+    return this._csv(rows);
+  },
+
+  /**
+   * 内部: 行の配列をCSV文字列に（Excelで開けるよう BOM 付き）
+   */
+  _csv(rows) {
+    const escape = v => {
+      const str = String(v);
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return '\uFEFF' + rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  },
+
+  /**
+   * CSVファイルとしてダウンロード
+   * @param {string} csv - toCSV() / toSummaryCSV() の結果
+   */
+  download(csv, filename) {
+    FileDownload.save(csv, filename, 'text/csv');
+  },
+
+  /**
+   * 内部: 掘削領域内の管（中心線が掘削断面内にある部分）の延長・体積・砂基礎
+   * 砂基礎は各位置の断面で、掘削底から管頂 + beddingCover までの面積から管断面を除いて求める（土留め材の厚さを除く）
+   * @returns {Object[]} [{ pipe, length: m, volume: m³, bedding: m³ }]
+   */
+  _pipesInside(data, mesh, pipeIds, params, settings) {
+    const prisms = ExcavationManager.getPrisms(mesh);
+    if (!prisms) return [];
+    mesh.updateWorldMatrix(true, false);
+    const inverse = mesh.matrixWorld.clone().invert();
+    const shoring = params.shape === 'shored' ? params.shoringThickness * 2 / 1000 : 0;
+
+    const found = [];
+    PipeGeometry.buildLayout(data).forEach(entry => {
+      if (pipeIds && !pipeIds.includes(entry.pipe.id)) return;
+      const r = entry.pipe.diameter / 2000;
+      const area = Math.PI * r * r;
+      let length = 0;
+      let bedding = 0;
+      const points = entry.points.map(p => p.clone().applyMatrix4(inverse));
+      for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const n = Math.max(1, Math.ceil(a.distanceTo(b) / this.SAMPLE_STEP));
+        const segment = a.distanceTo(b) / n;
+        // 各区間の中点で内外判定（管路沿いの掘削の折れ点で重なる区間は1回だけ数える）
+        for (let k = 0; k < n; k++) {
+          const p = a.clone().lerp(b, (k + 0.5) / n);
+          const section = this._sectionAt(p, prisms);
+          if (!section) continue;
+          length += segment;
+          const bottom = Math.min(...section.map(([, y]) => y));
+          const top = Math.min(p.y + r + settings.beddingCover / 1000, 0);
+          if (top <= bottom) continue;
+          const band = this._bandArea(section, bottom, top) - shoring * (top - bottom);
+          bedding += Math.max(band - area, 0) * segment;
+        }
+      }
+      if (length > 0) found.push({ pipe: entry.pipe, length, volume: area * length, bedding });
+    });
+    return found;
+  },
+
+  /**
+   * 内部: 点を含む角柱の断面（含まれなければ null）
+   */
+  _sectionAt(point, prisms) {
+    for (const prism of prisms) {
+      const q = point.clone().applyMatrix4(prism.inverse);
+      if (q.z < prism.zMin || q.z > prism.zMax) continue;
+      const section = prism.sectionAt(q.z);
+      if (this._insidePolygon(q.x, q.y, section)) return section;
+    }
+    return null;
+  },
+
+  _insidePolygon(x, y, polygon) {
+    let inside = false;
+    polygon.forEach(([x1, y1], i) => {
+      const [x2, y2] = polygon[(i + 1) % polygon.length];
+      if ((y1 > y) !== (y2 > y) && x < x1 + (y - y1) * (x2 - x1) / (y2 - y1)) inside = !inside;
+    });
+    return inside;
+  },
+
+  /**
+   * 内部: 断面のうち高さ y0〜y1 の範囲の面積（多角形を上下の水平線で切り取る）
+   */
+  _bandArea(polygon, y0, y1) {
+    const clip = (points, keep, y) => {
+      const out = [];
+      points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        if (keep(p[1])) out.push(p);
+        if (keep(p[1]) !== keep(q[1])) {
+          const t = (y - p[1]) / (q[1] - p[1]);
+          out.push([p[0] + (q[0] - p[0]) * t, y]);
+        }
+      });
+      return out;
+    };
+    const band = clip(clip(polygon, v => v >= y0, y0), v => v <= y1, y1);
+    let sum = 0;
+    band.forEach(([x1, yA], i) => {
+      const [x2, yB] = band[(i + 1) % band.length];
+      sum += x1 * yB - x2 * yA;
+    });
+    return Math.abs(sum) / 2;
+  },
+};
@@ -1,33 +1,241 @@
 /**
  * 掘削領域の3D表示・パラメータ調整
  * 前後個別延長に対応（lengthFront / lengthBack）
+ * 掘削形状（shape）: 垂直掘削・法面掘削・段切り掘削・土留め掘削。断面形状を延長方向に押し出して表示し、
+ * 掘削量は断面積 × 総延長で求める
+ * 管路沿いの掘削（pipe に管IDを指定）: 管の平面ルートに沿って区間ごとに断面を押し出す。
+ * 底幅 = 管径 + 側方余裕 × 2、深さ = 管底 + 管底下余裕（管の勾配に合わせて深くなる）
+ * 掘削計画はプロジェクトの excavations に管ごと（pipe）・掘削IDごと（id）に保存する:
+ *   [{ id, name?, pipe?, follow?: false（管路に沿わせない）, shape, width, depth, lengthFront, lengthBack, ...,
+ *      position?: [x, y]（管路に沿わせない掘削の中心, mm）, rotation?: 度（前方の向き。北から時計回り） }]
  */
 const ExcavationManager = {
   mesh: null,
   wireframe: null,
   group: null,
-  params: { width: 800, depth: 1500, lengthFront: 3000, lengthBack: 3000 }, // mm
+  data: null, // 管路沿いの掘削の対象管を含むプロジェクトデータ
+  params: {
+    shape: 'vertical', width: 800, depth: 1500, lengthFront: 3000, lengthBack: 3000,
+    slope: 0.5, benchHeight: 1000, benchWidth: 500, shoringThickness: 150, shoringEmbed: 500,
+    pipe: null, clearanceBelow: 150, clearanceSide: 300, spoilDistance: 1000,
+  }, // mm
+
+  SHAPES: {
+    vertical: '垂直掘削',
+    sloped: '法面掘削',
+    benched: '段切り掘削',
+    shored: '土留め掘削',
+  },
+
+  // 形状ごとの既定値（mm。slope は法勾配 1:n の n）
+  SHAPE_DEFAULTS: {
+    slope: 0.5,
+    benchHeight: 1000,
+    benchWidth: 500,
+    shoringThickness: 150,
+    shoringEmbed: 500,
+  },
+
+  // 管路沿いの掘削の既定値（mm）
+  TRENCH_DEFAULTS: {
+    clearanceBelow: 150, // 管底から掘削底まで
+    clearanceSide: 300,  // 管の外面から掘削側面まで（片側）
+  },
+
+  SPOIL_DISTANCE: 1000, // 掘削の上端から残土の置き場までの既定の離れ（mm）
+
+  // 掘削計画に保存するパラメータ
+  PLAN_KEYS: [
+    'shape', 'width', 'depth', 'lengthFront', 'lengthBack', 'slope', 'benchHeight', 'benchWidth',
+    'shoringThickness', 'shoringEmbed', 'clearanceBelow', 'clearanceSide', 'spoilDistance',
+  ],
+
+  /**
+   * 掘削計画を取得（掘削ID、または管IDで探す）
+   * @param {Object} data - プロジェクトデータ
+   * @param {string} key - 掘削ID / 管ID
+   * @returns {Object|null}
+   */
+  findPlan(data, key) {
+    const plans = data && data.excavations || [];
+    return plans.find(plan => plan.id === key) || plans.find(plan => plan.pipe === key) || null;
+  },
+
+  /**
+   * 管の掘削パラメータ（計画が無ければプロジェクト既定の excavation）
+   * 管路に沿わせる計画（follow が false 以外）は pipe に管IDを設定する
+   * @param {string|Object} pipeId - 掘削ID / 管ID、または掘削計画（data に無い計画も可）
+   * @returns {Object} create() のパラメータ
+   */
+  planParams(data, pipeId) {
+    const plan = pipeId && typeof pipeId === 'object' ? pipeId : this.findPlan(data, pipeId);
+    const base = plan || data && data.excavation || SAMPLE_PIPE_DATA.excavation;
+    const params = {};
+    [...this.PLAN_KEYS, 'length'].forEach(key => {
+      if (base[key] != null) params[key] = base[key];
+    });
+    const pipe = plan ? plan.pipe : pipeId;
+    params.pipe = pipe && (!plan || plan.follow !== false) ? pipe : null;
+    return params;
+  },
+
+  /**
+   * 掘削計画を追加（掘削IDを採番し、寸法はプロジェクト既定の excavation から補う）
+   * @param {Object} data - プロジェクトデータ（excavations に追加する）
+   * @param {Object} fields - { name?, pipe?, follow?, shape?, ... }
+   * @returns {Object} 追加した計画
+   */
+  addPlan(data, fields = {}) {
+    return this.storePlan(data, this.draftPlan(data, fields));
+  },
+
+  /**
+   * 掘削計画を作成（addPlan と同じ内容で、data には追加しない）
+   * @returns {Object} 計画
+   */
+  draftPlan(data, fields = {}) {
+    const base = data.excavation || SAMPLE_PIPE_DATA.excavation;
+    const plan = { id: this.nextPlanId(data) };
+    this.PLAN_KEYS.forEach(key => {
+      if (base[key] != null) plan[key] = base[key];
+    });
+    if (plan.lengthFront == null && base.length != null) {
+      plan.lengthFront = Math.round(base.length / 2);
+      plan.lengthBack = base.length - plan.lengthFront;
+    }
+    this.updatePlan(data, plan.id, fields, plan);
+    return plan;
+  },
+
+  /**
+   * 作成した掘削計画（draftPlan）を data の excavations に追加
+   * @returns {Object} plan
+   */
+  storePlan(data, plan) {
+    if (!data.excavations) data.excavations = [];
+    data.excavations.push(plan);
+    return plan;
+  },
+
+  /**
+   * 掘削計画を変更（値が null / 空文字の項目は削除）
+   * @returns {Object|null} 変更した計画
+   */
+  updatePlan(data, id, changes, plan = this.findPlan(data, id)) {
+    if (!plan) return null;
+    Object.keys(changes).forEach(key => {
+      if (changes[key] == null || changes[key] === '') delete plan[key];
+      else plan[key] = changes[key];
+    });
+    return plan;
+  },
+
+  /**
+   * 掘削計画を削除
+   * @returns {boolean} 削除したか
+   */
+  removePlan(data, id) {
+    const plans = data.excavations || [];
+    const index = plans.findIndex(plan => plan.id === id);
+    if (index < 0) return false;
+    plans.splice(index, 1);
+    return true;
+  },
+
+  /**
+   * 管路に沿わせない掘削の配置（シーン座標）
+   * 位置の指定が無ければ対象管の平面中心（AR の組立て原点と同じ）、対象管も無ければ原点に置く
+   * @returns {Object} { position: THREE.Vector3, rotation: rad（Y軸回り） }
+   */
+  getPlacement(plan, data) {
+    let position = new THREE.Vector3();
+    if (Array.isArray(plan.position)) {
+      position = PipeGeometry.toScene([plan.position[0], plan.position[1], 0]);
+    } else {
+      const pipe = plan.pipe && data.pipes.find(p => p.id === plan.pipe);
+      if (pipe) position = PipeGeometry.planCenter(PipeGeometry.getPath(pipe, data));
+    }
+    return { position, rotation: -(plan.rotation || 0) * Math.PI / 180 };
+  },
+
+  /**
+   * 管の掘削計画を保存（既存の計画を更新し、無ければ掘削IDを採番して追加）
+   * @param {Object} data - プロジェクトデータ（excavations を書き換える）
+   * @param {string} pipeId
+   * @param {Object} params - 掘削パラメータ（getParams() の形式）
+   * @param {boolean} follow - 管路に沿わせる
+   * @returns {Object} 保存した計画
+   */
+  savePlan(data, pipeId, params, follow = true) {
+    if (!data.excavations) data.excavations = [];
+    let plan = data.excavations.find(p => p.pipe === pipeId);
+    if (!plan) {
+      plan = { id: this.nextPlanId(data), pipe: pipeId };
+      data.excavations.push(plan);
+    }
+    this.PLAN_KEYS.forEach(key => {
+      if (params[key] != null) plan[key] = params[key];
+    });
+    if (follow) delete plan.follow;
+    else plan.follow = false;
+    return plan;
+  },
+
+  /**
+   * 未使用の掘削ID（EX-1, EX-2, ...）
+   */
+  nextPlanId(data) {
+    const used = (data.excavations || [])
+      .map(p => parseInt(String(p.id).replace(/^EX-/, ''), 10))
+      .filter(Number.isFinite);
+    return `EX-${used.length ? Math.max(...used) + 1 : 1}`;
+  },
 
   /**
    * 掘削領域の3Dモデルを生成
-   * @param {Object} params - { width, depth, length?, lengthFront?, lengthBack? } in mm
+   * @param {Object} params - { shape?, width, depth, length?, lengthFront?, lengthBack?,
+   *   slope?, benchHeight?, benchWidth?, shoringThickness?, shoringEmbed?,
+   *   pipe?, clearanceBelow?, clearanceSide?, spoilDistance? } in mm
+   *   width は掘削底幅（法面・段切りは上方に広がる）
+   * @param {Object} data - プロジェクトデータ（pipe を指定したとき管路沿いに生成する。
+   *   モデルはプロジェクトのシーン座標に置かれる）
    * @returns {THREE.Group}
    */
-  create(params) {
-    // 旧形式（length一本）との互換性
-    if (params.length != null && params.lengthFront == null) {
-      params.lengthFront = Math.round(params.length / 2);
-      params.lengthBack = params.length - params.lengthFront;
+  create(params, data = null) {
+    this.params = this.normalize(params);
+    this.data = data;
+    this.group = new THREE.Group();
+    this._fitToPipe();
+    this._buildMesh();
+    return this.group;
+  },
+
+  /**
+   * パラメータの省略値を補う（元のオブジェクトは変更しない）
+   * 旧形式（length一本）は前後に等分する
+   * @returns {Object}
+   */
+  normalize(params) {
+    let { lengthFront, lengthBack } = params;
+    if (params.length != null && lengthFront == null) {
+      lengthFront = Math.round(params.length / 2);
+      lengthBack = params.length - lengthFront;
     }
-    this.params = {
+    const normalized = {
+      ...this.SHAPE_DEFAULTS,
+      ...this.TRENCH_DEFAULTS,
+      shape: this.SHAPES[params.shape] ? params.shape : 'vertical',
       width: params.width,
       depth: params.depth,
-      lengthFront: params.lengthFront || 3000,
-      lengthBack: params.lengthBack || 3000,
+      lengthFront: lengthFront || 3000,
+      lengthBack: lengthBack || 3000,
+      pipe: params.pipe || null,
+      spoilDistance: params.spoilDistance != null ? params.spoilDistance : this.SPOIL_DISTANCE,
     };
-    this.group = new THREE.Group();
-    this._buildMesh();
-    return this.group;
+    [...Object.keys(this.SHAPE_DEFAULTS), ...Object.keys(this.TRENCH_DEFAULTS)].forEach(key => {
+      if (params[key] != null) normalized[key] = params[key];
+    });
+    return normalized;
   },
 
   /**
@@ -35,6 +243,7 @@ const ExcavationManager = {
    */
   update(newParams) {
     Object.assign(this.params, newParams);
+    this._fitToPipe();
     if (this.group) {
       this.group.clear();
       this._buildMesh();
@@ -43,45 +252,198 @@ const ExcavationManager = {
   },
 
   /**
-   * 総延長を取得 (mm)
+   * 総延長を取得 (mm)。管路沿いの掘削は経路の平面延長
+   */
+  getTotalLength(params = this.params) {
+    if (params.route) {
+      let total = 0;
+      for (let i = 1; i < params.route.length; i++) {
+        const a = params.route[i - 1];
+        const b = params.route[i];
+        total += Math.hypot(b.x - a.x, b.z - a.z);
+      }
+      return Math.round(total * 1000);
+    }
+    return params.lengthFront + params.lengthBack;
+  },
+
+  /**
+   * 管路沿いの掘削の経路（平面上の折れ点と各点の掘削深さ）
+   * 深さ = 管底の深さ + clearanceBelow。同じ平面位置の点（立上り等）は深い方をとる
+   * @param {Object} pipe - 対象管
+   * @param {Object} data - プロジェクトデータ
+   * @returns {Object[]} [{ x, z: シーン座標 m, depth: mm }]
+   */
+  getRoute(pipe, data, params = this.params) {
+    const r = pipe.diameter * PipeGeometry.SCALE / 2;
+    const route = [];
+    PipeGeometry.getPath(pipe, data).forEach(point => {
+      const depth = Math.round(-(point.y - r) / PipeGeometry.SCALE + params.clearanceBelow);
+      const last = route[route.length - 1];
+      if (last && Math.hypot(point.x - last.x, point.z - last.z) < 0.001) {
+        last.depth = Math.max(last.depth, depth);
+      } else {
+        route.push({ x: point.x, z: point.z, depth });
+      }
+    });
+    return route;
+  },
+
+  /**
+   * 内部: 管路沿いの掘削（params.pipe）の経路・底幅・最大深さを対象管から求める
+   * 対象管が見つからない・平面延長が無い場合は設置点基準の掘削に戻す
+   */
+  _fitToPipe() {
+    const p = this.params;
+    delete p.route;
+    const pipe = p.pipe && this.data && this.data.pipes.find(x => x.id === p.pipe);
+    if (!pipe) return;
+    const route = this.getRoute(pipe, this.data, p);
+    if (route.length < 2) return;
+    p.route = route;
+    p.width = pipe.diameter + 2 * p.clearanceSide;
+    p.depth = Math.max(...route.map(r => r.depth));
+  },
+
+  /**
+   * 掘削断面（延長方向に直交する断面の多角形）
+   * x: 中心からの横方向, y: 高さ（地表面 = 0, 下が負）。底面の右端から反時計回り
+   * @param {Object} params - 省略時は現在のパラメータ
+   * @returns {number[][]} [[x, y], ...] mm
    */
-  getTotalLength() {
-    return this.params.lengthFront + this.params.lengthBack;
+  getSection(params = this.params) {
+    return this._sectionPoints(params, params.depth, this._benchCount(params, params.depth));
+  },
+
+  /**
+   * 内部: 深さ depth の断面。段切りは benches 段分の頂点を持つ
+   * （地表面より上になる段は地表面上の重複点とし、深さの異なる断面でも頂点数を揃える）
+   */
+  _sectionPoints(params, depth, benches) {
+    const w = params.width / 2;
+    const d = depth;
+    const right = [[w, -d]];
+    if (params.shape === 'sloped') {
+      right.push([w + params.slope * d, 0]);
+    } else if (params.shape === 'benched' && params.benchHeight > 0) {
+      // 底から benchHeight ごとに benchWidth ずつ外側へ段を付ける
+      let x = w;
+      for (let i = 1; i <= benches; i++) {
+        const y = -d + params.benchHeight * i;
+        if (y < 0) {
+          right.push([x, y]);
+          x += params.benchWidth;
+          right.push([x, y]);
+        } else {
+          right.push([x, 0], [x, 0]);
+        }
+      }
+      right.push([x, 0]);
+    } else {
+      right.push([w, 0]);
+    }
+    const left = right.map(([x, y]) => [-x, y]).reverse();
+    return [...right, ...left];
+  },
+
+  /**
+   * 内部: 深さ depth の段切りの段数
+   */
+  _benchCount(params, depth) {
+    if (params.shape !== 'benched' || !(params.benchHeight > 0)) return 0;
+    return Math.max(Math.ceil(depth / params.benchHeight) - 1, 0);
+  },
+
+  /**
+   * 地表面での掘削幅（上幅, mm）
+   */
+  getTopWidth(params = this.params) {
+    return Math.max(...this.getSection(params).map(([x]) => x)) * 2;
+  },
+
+  /**
+   * 掘削断面積（mm²）
+   */
+  getSectionArea(params = this.params) {
+    const section = this.getSection(params);
+    let sum = 0;
+    section.forEach(([x1, y1], i) => {
+      const [x2, y2] = section[(i + 1) % section.length];
+      sum += x1 * y2 - x2 * y1;
+    });
+    return Math.abs(sum) / 2;
+  },
+
+  /**
+   * 地表面の掘削範囲（舗装の切断・取壊しの算出用）
+   * @returns {{length: number, area: number, perimeter: number}} m, m², m
+   */
+  getPlan(params = this.params) {
+    const length = this.getTotalLength(params) / 1000;
+    if (!params.route) {
+      const topW = this.getTopWidth(params) / 1000;
+      return { length, area: topW * length, perimeter: 2 * (topW + length) };
+    }
+    const topAt = depth => this.getTopWidth({ ...params, depth }) / 1000;
+    let area = 0;
+    this._eachTrenchSegment(params, (a, b, len) => {
+      area += len * (topAt(a.depth) + 4 * topAt((a.depth + b.depth) / 2) + topAt(b.depth)) / 6;
+    });
+    const route = params.route;
+    return { length, area, perimeter: 2 * length + topAt(route[0].depth) + topAt(route[route.length - 1].depth) };
+  },
+
+  /**
+   * 形状の表記（ラベル・一覧用）
+   */
+  describeShape(params = this.params) {
+    const name = this.SHAPES[params.shape] || this.SHAPES.vertical;
+    if (params.shape === 'sloped') return `${name}（1:${params.slope}）`;
+    if (params.shape === 'benched') return `${name}（段高 ${params.benchHeight} / 段幅 ${params.benchWidth}mm）`;
+    if (params.shape === 'shored') return `${name}（t=${params.shoringThickness} / 根入れ ${params.shoringEmbed}mm）`;
+    return name;
   },
 
   /**
    * 内部: メッシュを構築（前後非対称対応）
+   * 断面を XY 平面に描き、Z方向（前方 = -Z）に押し出す
    */
   _buildMesh() {
+    if (this.params.route) {
+      this._buildTrench();
+      return;
+    }
     const s = 0.001; // mm → m
-    const w = this.params.width * s;
-    const d = this.params.depth * s;
-    const lf = this.params.lengthFront * s;  // 前方
-    const lb = this.params.lengthBack * s;   // 後方
+    const p = this.params;
+    const w = p.width * s;
+    const d = p.depth * s;
+    const lf = p.lengthFront * s;  // 前方
+    const lb = p.lengthBack * s;   // 後方
     const totalL = lf + lb;
+    const topW = this.getTopWidth() * s;
+    const zOffset = (lb - lf) / 2;
 
-    // 掘削領域ボックス（半透明）— 前後合算
-    const boxGeom = new THREE.BoxGeometry(w, d, totalL);
-    const boxMat = new THREE.MeshPhongMaterial({
+    // 掘削領域（半透明）— 断面を前方端から後方端まで押し出し
+    const section = this.getSection().map(([x, y]) => new THREE.Vector2(x * s, y * s));
+    const solidGeom = new THREE.ExtrudeGeometry(new THREE.Shape(section), { depth: totalL, bevelEnabled: false });
+    solidGeom.translate(0, 0, -lf);
+    const solidMat = new THREE.MeshPhongMaterial({
       color: 0xffcc02,
       transparent: true,
       opacity: 0.15,
       side: THREE.DoubleSide,
       depthWrite: false,
     });
-    this.mesh = new THREE.Mesh(boxGeom, boxMat);
-    // 設置点を基準に前後オフセット: Z方向で (back - front)/2 だけずらす
-    const zOffset = (lb - lf) / 2;
-    this.mesh.position.set(0, -d / 2, zOffset);
+    this.mesh = new THREE.Mesh(solidGeom, solidMat);
+    this.mesh.userData.section = section.map(v => [v.x, v.y]); // 離隔チェック用（m）
 
     // ワイヤーフレーム
-    const wireGeom = new THREE.EdgesGeometry(boxGeom);
+    const wireGeom = new THREE.EdgesGeometry(solidGeom);
     const wireMat = new THREE.LineBasicMaterial({ color: 0xffcc02, linewidth: 2 });
     this.wireframe = new THREE.LineSegments(wireGeom, wireMat);
-    this.wireframe.position.copy(this.mesh.position);
 
-    // 地表面の掘削範囲表示
-    const topOutline = new THREE.EdgesGeometry(new THREE.PlaneGeometry(w, totalL));
+    // 地表面の掘削範囲表示（上幅）
+    const topOutline = new THREE.EdgesGeometry(new THREE.PlaneGeometry(topW, totalL));
     const topMat = new THREE.LineBasicMaterial({ color: 0xff4444 });
     const topLine = new THREE.LineSegments(topOutline, topMat);
     topLine.rotation.x = -Math.PI / 2;
@@ -92,51 +454,233 @@ const ExcavationManager = {
       color: 0xff8a65, dashSize: 0.1, gapSize: 0.05, linewidth: 1,
     });
     const divPts = [
-      new THREE.Vector3(-w / 2, 0.006, 0),
-      new THREE.Vector3(w / 2, 0.006, 0),
+      new THREE.Vector3(-topW / 2, 0.006, 0),
+      new THREE.Vector3(topW / 2, 0.006, 0),
     ];
     const divGeom = new THREE.BufferGeometry().setFromPoints(divPts);
     const divLine = new THREE.Line(divGeom, dividerMat);
     divLine.computeLineDistances();
 
+    this.group.add(this.mesh, this.wireframe, topLine, divLine);
+    if (p.shape === 'shored') this._buildShoring(w, d, -lf, lb);
+
     // 寸法テキスト
-    const widthLabel = PipeModelFactory.createTextSprite(
-      `幅 ${this.params.width}mm`, 0xffcc02
-    );
-    widthLabel.position.set(0, 0.3, -lf + zOffset - 0.2);
-    widthLabel.scale.set(0.4, 0.2, 1);
+    const labels = [];
+    const addLabel = (text, color, x, y, z, size = 0.4) => {
+      const label = PipeModelFactory.createTextSprite(text, color);
+      label.position.set(x, y, z);
+      label.scale.set(size, size / 2, 1);
+      labels.push(label);
+    };
+    addLabel(`幅 ${p.width}mm`, 0xffcc02, 0, -d + 0.15, -lf - 0.2);
+    if (topW > w + 0.001) addLabel(`上幅 ${Math.round(topW / s)}mm`, 0xffcc02, 0, 0.3, -lf - 0.2);
+    addLabel(`深さ ${p.depth}mm`, 0xffcc02, topW / 2 + 0.3, -d / 2, zOffset);
+    if (p.shape !== 'vertical') {
+      addLabel(this.describeShape(), 0xffcc02, -topW / 2 - 0.3, -d / 2, zOffset, 0.6);
+    }
+    addLabel(`前方 ${p.lengthFront}mm`, 0x4fc3f7, 0, 0.3, -lf / 2);
+    addLabel(`後方 ${p.lengthBack}mm`, 0xff8a65, 0, 0.3, lb / 2);
+    addLabel(`掘削量 ${this.getVolume().toFixed(2)} m³`, 0xff8a65, 0, -d - 0.2, zOffset, 0.5);
 
-    const depthLabel = PipeModelFactory.createTextSprite(
-      `深さ ${this.params.depth}mm`, 0xffcc02
-    );
-    depthLabel.position.set(w / 2 + 0.3, -d / 2, zOffset);
-    depthLabel.scale.set(0.4, 0.2, 1);
+    labels.forEach(label => this.group.add(AnnotationLayers.tag(label, 'excavationLabels')));
+  },
 
-    const frontLabel = PipeModelFactory.createTextSprite(
-      `前方 ${this.params.lengthFront}mm`, 0x4fc3f7
-    );
-    frontLabel.position.set(0, 0.3, -lf / 2);
-    frontLabel.scale.set(0.4, 0.2, 1);
+  /**
+   * 内部: 管路沿いの掘削のメッシュを構築
+   * 経路の区間ごとに、両端の深さの断面をつないだ角柱を作る（区間の座標: 始点が原点、+Z が進行方向）。
+   * 折れ点では外側の上幅が隣の区間と重なるまで延ばす
+   */
+  _buildTrench() {
+    const s = 0.001;
+    const p = this.params;
+    const route = p.route;
+    const benches = this._benchCount(p, p.depth);
+    const sectionAt = depth => this._sectionPoints(p, depth, benches).map(([x, y]) => [x * s, y * s]);
+    const halfTop = depth => this.getTopWidth({ ...p, depth }) * s / 2;
 
-    const backLabel = PipeModelFactory.createTextSprite(
-      `後方 ${this.params.lengthBack}mm`, 0xff8a65
+    const dirs = [];
+    this._eachTrenchSegment(p, (a, b, len) => dirs.push({ x: (b.x - a.x) / len, z: (b.z - a.z) / len }));
+    const extension = i => {
+      if (i <= 0 || i >= route.length - 1) return 0;
+      const cos = dirs[i - 1].x * dirs[i].x + dirs[i - 1].z * dirs[i].z;
+      const turn = Math.min(Math.acos(THREE.MathUtils.clamp(cos, -1, 1)), Math.PI * 2 / 3);
+      return halfTop(route[i].depth) * Math.tan(turn / 2);
+    };
+
+    const positions = [];
+    const outline = [];
+    const segments = [];
+    this._eachTrenchSegment(p, (a, b, length, i) => {
+      const matrix = new THREE.Matrix4()
+        .makeRotationY(Math.atan2(b.x - a.x, b.z - a.z))
+        .setPosition(a.x, 0, a.z);
+      const start = sectionAt(a.depth);
+      const end = sectionAt(b.depth);
+      const zMin = -extension(i);
+      const zMax = length + extension(i + 1);
+      segments.push({ matrix: matrix.toArray(), length, zMin, zMax, start, end });
+
+      const rings = [{ z: zMin, section: start }, { z: 0, section: start }, { z: length, section: end }, { z: zMax, section: end }]
+        .filter((ring, k, all) => k === 0 || ring.z - all[k - 1].z > 1e-6);
+      this._loft(positions, matrix, rings);
+
+      // 地表面の掘削範囲
+      const ha = halfTop(a.depth);
+      const hb = halfTop(b.depth);
+      const corners = [[-ha, zMin], [ha, zMin], [hb, zMax], [-hb, zMax]]
+        .map(([x, z]) => new THREE.Vector3(x, 0.005, z).applyMatrix4(matrix));
+      corners.forEach((c, k) => outline.push(c, corners[(k + 1) % 4]));
+
+      if (p.shape === 'shored') {
+        this._buildShoring(p.width * s, Math.max(a.depth, b.depth) * s, zMin, zMax, matrix);
+      }
+    });
+
+    const solidGeom = new THREE.BufferGeometry();
+    solidGeom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    solidGeom.computeVertexNormals();
+    this.mesh = new THREE.Mesh(solidGeom, new THREE.MeshPhongMaterial({
+      color: 0xffcc02,
+      transparent: true,
+      opacity: 0.15,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    }));
+    this.mesh.userData.segments = segments; // 離隔チェック・土量計算用（m）
+    this.mesh.userData.pipe = p.pipe;
+    this.wireframe = new THREE.LineSegments(
+      new THREE.EdgesGeometry(solidGeom),
+      new THREE.LineBasicMaterial({ color: 0xffcc02, linewidth: 2 })
     );
-    backLabel.position.set(0, 0.3, lb / 2);
-    backLabel.scale.set(0.4, 0.2, 1);
-
-    // 体積表示
-    const totalLenMM = this.params.lengthFront + this.params.lengthBack;
-    const vol = (this.params.width * this.params.depth * totalLenMM) / 1e9;
-    const volLabel = PipeModelFactory.createTextSprite(
-      `掘削量 ${vol.toFixed(2)} m³`, 0xff8a65
+    const topLine = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(outline),
+      new THREE.LineBasicMaterial({ color: 0xff4444 })
     );
-    volLabel.position.set(0, -d - 0.2, zOffset);
-    volLabel.scale.set(0.5, 0.25, 1);
+    this.group.add(this.mesh, this.wireframe, topLine);
 
-    this.group.add(
-      this.mesh, this.wireframe, topLine, divLine,
-      widthLabel, depthLabel, frontLabel, backLabel, volLabel
-    );
+    // 寸法テキスト（始点・最深部・経路の中間）
+    const depths = route.map(r => r.depth);
+    const deepest = route[depths.indexOf(p.depth)];
+    const middle = route[Math.floor((route.length - 1) / 2)];
+    const next = route[Math.floor((route.length - 1) / 2) + 1];
+    const mid = { x: (middle.x + next.x) / 2, z: (middle.z + next.z) / 2 };
+    const addLabel = (text, color, x, y, z, size = 0.4) => {
+      const label = PipeModelFactory.createTextSprite(text, color);
+      label.position.set(x, y, z);
+      label.scale.set(size, size / 2, 1);
+      this.group.add(AnnotationLayers.tag(label, 'excavationLabels'));
+    };
+    addLabel(`幅 ${p.width}mm`, 0xffcc02, route[0].x, -route[0].depth * s + 0.15, route[0].z);
+    addLabel(`深さ ${Math.min(...depths)}〜${p.depth}mm`, 0xffcc02, deepest.x, -p.depth * s / 2, deepest.z);
+    addLabel(`管路沿い 延長 ${this.getTotalLength()}mm`, 0x4fc3f7, mid.x, 0.3, mid.z);
+    if (p.shape !== 'vertical') addLabel(this.describeShape(), 0xffcc02, mid.x, 0.6, mid.z, 0.6);
+    addLabel(`掘削量 ${this.getVolume().toFixed(2)} m³`, 0xff8a65, mid.x, -p.depth * s - 0.2, mid.z, 0.5);
+  },
+
+  /**
+   * 内部: 経路の区間ごとに callback(a, b, 平面延長 m, 区間番号)（平面延長の無い区間は除く）
+   */
+  _eachTrenchSegment(params, callback) {
+    const route = params.route;
+    for (let i = 1; i < route.length; i++) {
+      const a = route[i - 1];
+      const b = route[i];
+      const length = Math.hypot(b.x - a.x, b.z - a.z);
+      if (length > 0) callback(a, b, length, i - 1);
+    }
+  },
+
+  /**
+   * 内部: 断面（同じ頂点数）を Z 方向に並べてつなぎ、三角形の座標を positions に追加
+   * @param {number[]} positions
+   * @param {THREE.Matrix4} matrix - 区間の座標 → メッシュ座標
+   * @param {Object[]} rings - [{ z, section: [[x, y], ...] }]
+   */
+  _loft(positions, matrix, rings) {
+    const v = new THREE.Vector3();
+    const push = (x, y, z) => {
+      v.set(x, y, z).applyMatrix4(matrix);
+      positions.push(v.x, v.y, v.z);
+    };
+    for (let k = 1; k < rings.length; k++) {
+      const r0 = rings[k - 1];
+      const r1 = rings[k];
+      r0.section.forEach(([x1, y1], i) => {
+        const j = (i + 1) % r0.section.length;
+        const [x2, y2] = r0.section[j];
+        const [x3, y3] = r1.section[j];
+        const [x4, y4] = r1.section[i];
+        push(x1, y1, r0.z); push(x2, y2, r0.z); push(x3, y3, r1.z);
+        push(x1, y1, r0.z); push(x3, y3, r1.z); push(x4, y4, r1.z);
+      });
+    }
+    // 両端の面
+    [rings[0], rings[rings.length - 1]].forEach(ring => {
+      const contour = ring.section.map(([x, y]) => new THREE.Vector2(x, y));
+      THREE.ShapeUtils.triangulateShape(contour, []).forEach(tri => {
+        tri.forEach(i => push(contour[i].x, contour[i].y, ring.z));
+      });
+    });
+  },
+
+  /**
+   * 掘削メッシュを断面の押し出し（角柱）の集まりとして取得（離隔チェック・土量計算用）
+   * 管路沿いの掘削は区間ごと、設置点基準の掘削は1つ
+   * @param {THREE.Mesh} mesh - 掘削領域のメッシュ
+   * @returns {Object[]|null} [{ matrix: 角柱の座標 → メッシュ座標, inverse, zMin, zMax,
+   *   sectionAt(z) → 位置 z の断面 [[x, y], ...] m }]。断面の情報が無いメッシュは null
+   */
+  getPrisms(mesh) {
+    const { section, segments } = mesh.userData;
+    if (segments) {
+      return segments.map(seg => {
+        const matrix = new THREE.Matrix4().fromArray(seg.matrix);
+        return {
+          matrix,
+          inverse: matrix.clone().invert(),
+          zMin: seg.zMin,
+          zMax: seg.zMax,
+          sectionAt: z => {
+            const t = THREE.MathUtils.clamp(z / seg.length, 0, 1);
+            return seg.start.map(([x, y], i) => [x + (seg.end[i][0] - x) * t, y + (seg.end[i][1] - y) * t]);
+          },
+        };
+      });
+    }
+    if (!section) return null;
+    const geometry = mesh.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    return [{
+      matrix: new THREE.Matrix4(),
+      inverse: new THREE.Matrix4(),
+      zMin: geometry.boundingBox.min.z,
+      zMax: geometry.boundingBox.max.z,
+      sectionAt: () => section,
+    }];
+  },
+
+  /**
+   * 内部: 土留め壁（矢板・建込み簡易土留め）を掘削側面の内側に配置
+   * 地表面から掘削底 + 根入れまで、Z方向は zMin〜zMax
+   * @param {THREE.Matrix4} matrix - 管路沿いの掘削の区間の座標 → メッシュ座標
+   */
+  _buildShoring(w, d, zMin, zMax, matrix = null) {
+    const s = 0.001;
+    const t = this.params.shoringThickness * s;
+    const h = d + this.params.shoringEmbed * s;
+    const material = new THREE.MeshPhongMaterial({
+      color: 0x78909c,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide,
+    });
+    [-1, 1].forEach(side => {
+      const wall = new THREE.Mesh(new THREE.BoxGeometry(t, h, zMax - zMin), material);
+      wall.name = '土留め';
+      wall.position.set(side * (w / 2 - t / 2), -h / 2, (zMin + zMax) / 2);
+      if (matrix) wall.applyMatrix4(matrix);
+      this.group.add(wall);
+    });
   },
 
   /**
@@ -155,9 +699,18 @@ const ExcavationManager = {
 
   /**
    * 掘削体積を算出 (m³)
+   * 断面積 × 総延長。管路沿いの掘削は区間ごとに両端・中央の断面積から求める（シンプソン則）
    */
-  getVolume() {
-    const totalLen = this.params.lengthFront + this.params.lengthBack;
-    return (this.params.width * this.params.depth * totalLen) / 1e9;
+  getVolume(params = this.params) {
+    if (params.route) {
+      const areaAt = depth => this.getSectionArea({ ...params, depth }) / 1e6;
+      let volume = 0;
+      this._eachTrenchSegment(params, (a, b, len) => {
+        volume += len * (areaAt(a.depth) + 4 * areaAt((a.depth + b.depth) / 2) + areaAt(b.depth)) / 6;
+      });
+      return volume;
+    }
+    const totalLen = params.lengthFront + params.lengthBack;
+    return (this.getSectionArea(params) * totalLen) / 1e9;
   },
 };
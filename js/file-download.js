@@ -0,0 +1,22 @@
+/**
+ * ファイルのダウンロード（Blob を一時URLにしてリンクをクリック）
+ * GLB・DXF・CSV・JSON の書出しで共用する
+ */
+const FileDownload = {
+  /**
+   * @param {Blob|string} content - 文字列は type の Blob にする
+   * @param {string} filename
+   * @param {string} type - MIMEタイプ（content が文字列の場合）
+   */
+  save(content, filename, type = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+};
@@ -0,0 +1,280 @@
+/**
+ * 測地座標変換（JGD2011 平面直角座標系 / 緯度経度 ⇔ ローカル座標）
+ *
+ * プロジェクトの座標系宣言:
+ *   crs:    { type: 'jgd2011', zone: 1〜19 }   平面直角座標（X=北, Y=東, m）
+ *           { type: 'latlon' }                 緯度経度（度）
+ *   origin: { x, y, h } / { lat, lon, h }      ローカル座標の原点（h: 原点の地盤高 m）
+ *   declination: 7.5                           磁気偏角（度, 西偏が正。省略時は国土地理院の近似式）
+ *
+ * 測量座標を持つデータ:
+ *   pipes[].coords:  [[X, Y, H], ...] / [[lat, lon, H], ...]（H: 管中心の標高 m）
+ *   manholes[].coord: [X, Y] / [lat, lon]
+ * resolveProject でローカル座標（pipe-geometry.js の vertices / x, y, mm）に変換する。
+ * 投影は GRS80 楕円体の横メルカトル（Krüger級数, 国土地理院の計算式）。
+ */
+const GeoCoords = {
+  // GRS80
+  A: 6378137,
+  F: 298.257222101,
+  M0: 0.9999, // 平面直角座標系の縮尺係数
+
+  // 平面直角座標系の原点（緯度, 経度 度）
+  ZONES: {
+    1: [33, 129.5],         2: [33, 131],           3: [36, 132 + 10 / 60],
+    4: [33, 133.5],         5: [36, 134 + 20 / 60], 6: [36, 136],
+    7: [36, 137 + 10 / 60], 8: [36, 138.5],         9: [36, 139 + 50 / 60],
+    10: [40, 140 + 50 / 60], 11: [44, 140.25],      12: [44, 142.25],
+    13: [44, 144.25],       14: [26, 142],          15: [26, 127.5],
+    16: [26, 124],          17: [26, 131],          18: [20, 136],
+    19: [26, 154],
+  },
+
+  /**
+   * 緯度経度 → 平面直角座標
+   * @param {number} lat - 緯度（度）
+   * @param {number} lon - 経度（度）
+   * @param {number} zone - 系番号 1〜19
+   * @returns {{x: number, y: number}} X=北, Y=東（m）
+   */
+  latLonToPlane(lat, lon, zone) {
+    const [lat0, lon0] = this._zone(zone);
+    return this._forward(lat, lon, lat0, lon0, this.M0);
+  },
+
+  /**
+   * 平面直角座標 → 緯度経度
+   * @returns {{lat: number, lon: number}}
+   */
+  planeToLatLon(x, y, zone) {
+    const [lat0, lon0] = this._zone(zone);
+    return this._inverse(x, y, lat0, lon0, this.M0);
+  },
+
+  /**
+   * 座標系が宣言されているか
+   */
+  isGeoreferenced(data) {
+    return !!(data && data.crs && data.origin);
+  },
+
+  /**
+   * 座標系の座標 → ローカル座標（mm）
+   * @param {number[]} coord - [X, Y, H?] / [lat, lon, H?]
+   * @param {Object} data - crs / origin を持つプロジェクトデータ
+   * @returns {number[]} [x(東), y(北), z]（mm, z は原点地盤高からの高さ）
+   */
+  toLocal(coord, data) {
+    const o = data.origin;
+    let north, east;
+    if (data.crs.type === 'latlon') {
+      const p = this._forward(coord[0], coord[1], o.lat, o.lon, 1);
+      north = p.x;
+      east = p.y;
+    } else {
+      north = coord[0] - o.x;
+      east = coord[1] - o.y;
+    }
+    const z = coord[2] != null ? coord[2] - (o.h || 0) : 0;
+    return [Math.round(east * 1000), Math.round(north * 1000), Math.round(z * 1000)];
+  },
+
+  /**
+   * ローカル座標（mm） → 座標系の座標
+   * @param {number[]} local - [x(東), y(北), z?]
+   * @returns {number[]} [X, Y, H] / [lat, lon, H]
+   */
+  fromLocal(local, data) {
+    const o = data.origin;
+    const east = local[0] / 1000;
+    const north = local[1] / 1000;
+    const h = (local[2] || 0) / 1000 + (o.h || 0);
+    if (data.crs.type === 'latlon') {
+      const p = this._inverse(north, east, o.lat, o.lon, 1);
+      return [p.lat, p.lon, h];
+    }
+    return [o.x + north, o.y + east, h];
+  },
+
+  /**
+   * 緯度経度（GPS等） → ローカル座標（mm）
+   * @returns {number[]} [x(東), y(北)]
+   */
+  latLonToLocal(lat, lon, data) {
+    if (data.crs.type === 'latlon') return this.toLocal([lat, lon], data).slice(0, 2);
+    const p = this.latLonToPlane(lat, lon, data.crs.zone);
+    return this.toLocal([p.x, p.y], data).slice(0, 2);
+  },
+
+  /**
+   * 真北の方向（ローカル座標の北＝座標北からの時計回り角度, 度）
+   * 平面直角座標系では子午線収差の分だけ真北と座標北がずれる
+   */
+  trueNorthBearing(lat, lon, data) {
+    const a = this.latLonToLocal(lat, lon, data);
+    const b = this.latLonToLocal(lat + 0.001, lon, data);
+    return Math.atan2(b[0] - a[0], b[1] - a[1]) * 180 / Math.PI;
+  },
+
+  /**
+   * 磁気偏角（磁北の真北からのずれ, 度。西偏が正）
+   * プロジェクトの declination があればその値、無ければ国土地理院の磁気図2020.0年値の近似式（日本国内向け）
+   */
+  magneticDeclination(lat, lon, data) {
+    if (data && typeof data.declination === 'number') return data.declination;
+    const dp = lat - 37;
+    const dl = lon - 138;
+    const minutes = 495.822 + 18.462 * dp - 7.726 * dl
+      + 0.007 * dp * dp - 0.007 * dp * dl - 0.655 * dl * dl;
+    return minutes / 60;
+  },
+
+  /**
+   * 測量座標（coords / coord）をローカル座標（vertices / x, y）に変換
+   * @param {Object} data - プロジェクトデータ（直接書き換える）
+   * @returns {Object} data
+   */
+  resolveProject(data) {
+    if (!this.isGeoreferenced(data)) return data;
+    (data.pipes || []).forEach(p => {
+      if (Array.isArray(p.coords) && p.coords.length >= 2) {
+        p.vertices = p.coords.map(c => this.toLocal(c, data));
+      }
+    });
+    (data.manholes || []).forEach(m => {
+      if (Array.isArray(m.coord)) {
+        const [x, y] = this.toLocal(m.coord, data);
+        m.x = x;
+        m.y = y;
+      }
+    });
+    return data;
+  },
+
+  /**
+   * 座標系の名称
+   */
+  describeCRS(data) {
+    if (!this.isGeoreferenced(data)) return 'ローカル座標';
+    return data.crs.type === 'latlon' ? '緯度経度 (JGD2011)' : `JGD2011 平面直角 ${data.crs.zone}系`;
+  },
+
+  /**
+   * ローカル座標（mm）を座標系の表記に整形
+   */
+  formatLocal(local, data) {
+    const c = this.fromLocal(local, data);
+    if (data.crs.type === 'latlon') {
+      return `${c[0].toFixed(7)}, ${c[1].toFixed(7)}`;
+    }
+    return `X=${c[0].toFixed(3)} Y=${c[1].toFixed(3)}`;
+  },
+
+  _zone(zone) {
+    const origin = this.ZONES[zone];
+    if (!origin) throw new Error('未対応の系番号: ' + zone);
+    return origin;
+  },
+
+  /**
+   * 内部: 横メルカトル順変換（緯度経度 → 原点からの X北, Y東 m）
+   */
+  _forward(lat, lon, lat0, lon0, m0) {
+    const c = this._coefficients();
+    const rad = Math.PI / 180;
+    const phi = lat * rad;
+    const dLambda = (lon - lon0) * rad;
+    const k = 2 * Math.sqrt(c.n) / (1 + c.n);
+    const t = Math.sinh(Math.atanh(Math.sin(phi)) - k * Math.atanh(k * Math.sin(phi)));
+    const tBar = Math.sqrt(1 + t * t);
+    const xi = Math.atan2(t, Math.cos(dLambda));
+    const eta = Math.atanh(Math.sin(dLambda) / tBar);
+
+    let x = xi;
+    let y = eta;
+    for (let j = 1; j <= 5; j++) {
+      x += c.alpha[j] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+      y += c.alpha[j] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    }
+    const aBar = m0 * this.A / (1 + c.n) * c.A[0];
+    return { x: aBar * x - this._meridianArc(lat0 * rad, m0, c), y: aBar * y };
+  },
+
+  /**
+   * 内部: 横メルカトル逆変換（原点からの X北, Y東 m → 緯度経度）
+   */
+  _inverse(x, y, lat0, lon0, m0) {
+    const c = this._coefficients();
+    const rad = Math.PI / 180;
+    const aBar = m0 * this.A / (1 + c.n) * c.A[0];
+    const xi = (x + this._meridianArc(lat0 * rad, m0, c)) / aBar;
+    const eta = y / aBar;
+
+    let xi2 = xi;
+    let eta2 = eta;
+    for (let j = 1; j <= 5; j++) {
+      xi2 -= c.beta[j] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+      eta2 -= c.beta[j] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    }
+    const chi = Math.asin(Math.sin(xi2) / Math.cosh(eta2));
+    let phi = chi;
+    for (let j = 1; j <= 6; j++) phi += c.delta[j] * Math.sin(2 * j * chi);
+    const lambda = lon0 * rad + Math.atan2(Math.sinh(eta2), Math.cos(xi2));
+    return { lat: phi / rad, lon: lambda / rad };
+  },
+
+  /**
+   * 内部: 赤道から原点緯度までの子午線弧長（縮尺係数込み）
+   */
+  _meridianArc(phi0, m0, c) {
+    let s = c.A[0] * phi0;
+    for (let j = 1; j <= 5; j++) s += c.A[j] * Math.sin(2 * j * phi0);
+    return m0 * this.A / (1 + c.n) * s;
+  },
+
+  /**
+   * 内部: Krüger級数の係数（第3扁平率 n の5〜6次まで）
+   */
+  _coefficients() {
+    if (this._coef) return this._coef;
+    const n = 1 / (2 * this.F - 1);
+    const n2 = n * n, n3 = n2 * n, n4 = n3 * n, n5 = n4 * n, n6 = n5 * n;
+    this._coef = {
+      n,
+      A: [
+        1 + n2 / 4 + n4 / 64,
+        -3 / 2 * (n - n3 / 8 - n5 / 64),
+        15 / 16 * (n2 - n4 / 4),
+        -35 / 48 * (n3 - 5 / 16 * n5),
+        315 / 512 * n4,
+        -693 / 1280 * n5,
+      ],
+      alpha: [
+        0,
+        n / 2 - 2 / 3 * n2 + 5 / 16 * n3 + 41 / 180 * n4 - 127 / 288 * n5,
+        13 / 48 * n2 - 3 / 5 * n3 + 557 / 1440 * n4 + 281 / 630 * n5,
+        61 / 240 * n3 - 103 / 140 * n4 + 15061 / 26880 * n5,
+        49561 / 161280 * n4 - 179 / 168 * n5,
+        34729 / 80640 * n5,
+      ],
+      beta: [
+        0,
+        n / 2 - 2 / 3 * n2 + 37 / 96 * n3 - 1 / 360 * n4 - 81 / 512 * n5,
+        1 / 48 * n2 + 1 / 15 * n3 - 437 / 1440 * n4 + 46 / 105 * n5,
+        17 / 480 * n3 - 37 / 840 * n4 - 209 / 4480 * n5,
+        4397 / 161280 * n4 - 11 / 504 * n5,
+        4583 / 161280 * n5,
+      ],
+      delta: [
+        0,
+        2 * n - 2 / 3 * n2 - 2 * n3 + 116 / 45 * n4 + 26 / 45 * n5 - 2854 / 675 * n6,
+        7 / 3 * n2 - 8 / 5 * n3 - 227 / 45 * n4 + 2704 / 315 * n5 + 2323 / 945 * n6,
+        56 / 15 * n3 - 136 / 35 * n4 - 1262 / 105 * n5 + 73814 / 2835 * n6,
+        4279 / 630 * n4 - 332 / 35 * n5 - 399572 / 14175 * n6,
+        4174 / 315 * n5 - 144838 / 6237 * n6,
+        601676 / 22275 * n6,
+      ],
+    };
+    return this._coef;
+  },
+};
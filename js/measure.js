@@ -0,0 +1,195 @@
+/**
+ * 計測（寸法線の生成・計測データの変換・延長/面積の計算）
+ * 3Dビューアの2点間計測はプロジェクトの measurements に平面座標(mm)で保存する
+ *   { id, from: [x, y, z], to: [x, y, z] }（x: 東, y: 北, z: 高さ。地表面 = 0）
+ * AR画面の現地計測は複数点の延長・面積（保存しない）
+ */
+const MeasureTool = {
+  COLOR: 0xe040fb,
+  LEG_COLOR: 0xce93d8,
+
+  /**
+   * 2点間の距離（m）
+   * @param {THREE.Vector3} a
+   * @param {THREE.Vector3} b
+   * @returns {{distance: number, horizontal: number, vertical: number}} vertical: b が高いとき正
+   */
+  compute(a, b) {
+    return {
+      distance: a.distanceTo(b),
+      horizontal: Math.hypot(b.x - a.x, b.z - a.z),
+      vertical: b.y - a.y,
+    };
+  },
+
+  /**
+   * 計測結果の表記
+   */
+  format(result) {
+    const sign = result.vertical > 0 ? '+' : '';
+    return `${result.distance.toFixed(3)}m（水平 ${result.horizontal.toFixed(3)} / 鉛直 ${sign}${result.vertical.toFixed(3)}）`;
+  },
+
+  /**
+   * 計測データ（mm）を作成
+   * @param {THREE.Vector3} a - シーン座標
+   * @param {THREE.Vector3} b - シーン座標
+   * @param {Object[]} existing - 既存の計測（ID採番用）
+   */
+  toData(a, b, existing = []) {
+    const used = existing.map(m => parseInt(String(m.id).replace(/^M/, ''), 10)).filter(Number.isFinite);
+    return {
+      id: `M${used.length ? Math.max(...used) + 1 : 1}`,
+      from: PipeGeometry.fromScene(a),
+      to: PipeGeometry.fromScene(b),
+    };
+  },
+
+  /**
+   * 計測データ → シーン座標の2点
+   * @returns {{a: THREE.Vector3, b: THREE.Vector3}}
+   */
+  fromData(measurement) {
+    return {
+      a: PipeGeometry.toScene(measurement.from),
+      b: PipeGeometry.toScene(measurement.to),
+    };
+  },
+
+  /**
+   * 寸法線を生成（斜距離 + 水平・鉛直成分の破線, 各ラベル）
+   * @param {Object} measurement - 計測データ
+   * @returns {THREE.Group}
+   */
+  createDimension(measurement) {
+    const { a, b } = this.fromData(measurement);
+    const result = this.compute(a, b);
+    const group = new THREE.Group();
+    group.name = `計測 ${measurement.id}`;
+    group.userData = {
+      type: 'measurement',
+      id: measurement.id,
+      distance: result.distance,
+      horizontal: result.horizontal,
+      vertical: result.vertical,
+    };
+
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([a, b]),
+      new THREE.LineBasicMaterial({ color: this.COLOR, depthTest: false })
+    );
+    line.renderOrder = 2;
+    group.add(line);
+
+    // 水平・鉛直成分（a → bの真下/真上 → b）
+    const corner = new THREE.Vector3(b.x, a.y, b.z);
+    const legs = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([a, corner, b]),
+      new THREE.LineDashedMaterial({ color: this.LEG_COLOR, dashSize: 0.08, gapSize: 0.05, depthTest: false })
+    );
+    legs.computeLineDistances();
+    group.add(legs);
+
+    [a, b].forEach(p => group.add(this.createMarker(p)));
+
+    const addLabel = (text, position, color, size) => {
+      const label = PipeModelFactory.createTextSprite(text, color);
+      label.position.copy(position);
+      label.scale.set(size, size / 2, 1);
+      group.add(label);
+    };
+    addLabel(`${measurement.id} ${result.distance.toFixed(3)}m`,
+      a.clone().lerp(b, 0.5).add(new THREE.Vector3(0, 0.2, 0)), this.COLOR, 0.6);
+    if (result.horizontal > 0.01 && Math.abs(result.vertical) > 0.01) {
+      addLabel(`水平 ${result.horizontal.toFixed(3)}m`, a.clone().lerp(corner, 0.5), this.LEG_COLOR, 0.5);
+      addLabel(`鉛直 ${Math.abs(result.vertical).toFixed(3)}m`, corner.clone().lerp(b, 0.5), this.LEG_COLOR, 0.5);
+    }
+
+    return AnnotationLayers.tag(group, 'measurements');
+  },
+
+  /**
+   * 折れ線の延長（m）
+   * @param {THREE.Vector3[]} points
+   * @param {boolean} closed - true: 終点 → 始点 も含める
+   */
+  pathLength(points, closed = false) {
+    let total = PipeGeometry.pathLength(points);
+    if (closed && points.length > 2) total += points[points.length - 1].distanceTo(points[0]);
+    return total;
+  },
+
+  /**
+   * 多角形の水平投影面積（m²）
+   * @param {THREE.Vector3[]} points
+   */
+  polygonArea(points) {
+    if (points.length < 3) return 0;
+    let sum = 0;
+    points.forEach((p, i) => {
+      const q = points[(i + 1) % points.length];
+      sum += p.x * q.z - q.x * p.z;
+    });
+    return Math.abs(sum) / 2;
+  },
+
+  /**
+   * 複数点の計測表示（区間ごとの長さ。3点以上は閉じた多角形として面積を表示）
+   * @param {THREE.Vector3[]} points
+   * @returns {THREE.Group}
+   */
+  createPolyline(points) {
+    const group = AnnotationLayers.tag(new THREE.Group(), 'measurements');
+    group.name = '現地計測';
+    points.forEach(p => group.add(this.createMarker(p)));
+    if (points.length < 2) return group;
+
+    const segLabel = (a, b) => {
+      const label = PipeModelFactory.createTextSprite(`${a.distanceTo(b).toFixed(2)}m`, this.COLOR);
+      label.position.copy(a).lerp(b, 0.5);
+      label.position.y += 0.15;
+      label.scale.set(0.4, 0.2, 1);
+      group.add(label);
+    };
+
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: this.COLOR, depthTest: false })
+    );
+    line.renderOrder = 2;
+    group.add(line);
+    for (let i = 1; i < points.length; i++) segLabel(points[i - 1], points[i]);
+
+    if (points.length >= 3) {
+      const first = points[0];
+      const last = points[points.length - 1];
+      const closing = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([last, first]),
+        new THREE.LineDashedMaterial({ color: this.LEG_COLOR, dashSize: 0.08, gapSize: 0.05, depthTest: false })
+      );
+      closing.computeLineDistances();
+      group.add(closing);
+      segLabel(last, first);
+
+      const center = points.reduce((c, p) => c.add(p), new THREE.Vector3()).divideScalar(points.length);
+      const areaLabel = PipeModelFactory.createTextSprite(`面積 ${this.polygonArea(points).toFixed(2)}m²`, this.COLOR);
+      areaLabel.position.set(center.x, center.y + 0.3, center.z);
+      areaLabel.scale.set(0.6, 0.3, 1);
+      group.add(areaLabel);
+    }
+    return group;
+  },
+
+  /**
+   * 計測点のマーカー
+   */
+  createMarker(point) {
+    const marker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.04, 12, 8),
+      new THREE.MeshBasicMaterial({ color: this.COLOR, depthTest: false })
+    );
+    marker.position.copy(point);
+    marker.renderOrder = 2;
+    return marker;
+  },
+};
@@ -0,0 +1,342 @@
+/**
+ * 管路台帳CSVの取込
+ * 列の対応付け（管番号・種別・管径…）を画面で確認してから pipes / connections に変換する
+ * 数値は mm（勾配は % / ‰）、種別は「本管」「取付管」または main / service
+ * 深さは土被り（管頂まで）。管中心深の列は管径の半分を引いて土被りに換算する
+ * 見出しに単位があれば換算する（「延長(m)」は ×1000、「勾配(‰)」は ÷10）
+ * 埋設物（下水道・上水道・ガス・電力・通信）の列があれば utility に設定する（pipe-utility.js参照）
+ */
+const PipeCSVImporter = {
+  // 取込項目と見出しの候補（自動対応付け用）
+  FIELDS: [
+    { key: 'id',          label: '管番号',   aliases: ['id', '管番号', '管路番号', '番号', '管id', '管no'] },
+    { key: 'type',        label: '種別',     aliases: ['type', '種別', '管種別', '区分', '管区分'] },
+    { key: 'utility',     label: '埋設物',   aliases: ['utility', '埋設物', '埋設物種別', '占用物件', '事業者', '企業者'] },
+    { key: 'diameter',    label: '管径',     aliases: ['diameter', '管径', '口径', '呼び径', '径'] },
+    { key: 'length',      label: '延長',     aliases: ['length', '延長', '管延長', '長さ'] },
+    { key: 'depth',       label: '深さ',     aliases: ['depth', 'cover', '深さ', '土被り', '埋設深'] },
+    { key: 'centerDepth', label: '管中心深', aliases: ['centerdepth', '管中心深', '管中心深さ'] },
+    { key: 'slope',       label: '勾配',     aliases: ['slope', '勾配', '管勾配'] },
+    { key: 'material',    label: '管種',     aliases: ['material', '管種', '材質', '管材'] },
+    { key: 'connectedTo', label: '接続本管', aliases: ['connectedto', 'to', '接続先', '接続本管', '接続管', '本管番号'] },
+    { key: 'position',    label: '接続位置', aliases: ['position', '接続位置', '取付位置', '追加距離'] },
+  ],
+
+  TYPE_VALUES: {
+    main: ['main', '本管', '幹線', '支線', '配水管', '本支管', '管路'],
+    service: ['service', '取付管', '取付', '枝管', '給水管', '供給管', '引込管'],
+  },
+
+  PREVIEW_ROWS: 50,
+
+  // 見出しの単位 → mm の倍率（長さの項目）
+  LENGTH_UNITS: { mm: 1, cm: 10, m: 1000 },
+
+  /**
+   * ファイル内容を文字列に変換（UTF-8 でなければ Shift_JIS とみなす）
+   * @param {ArrayBuffer} buffer
+   * @returns {string}
+   */
+  decode(buffer) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+      return new TextDecoder('shift_jis').decode(buffer);
+    }
+  },
+
+  /**
+   * CSVを行・列の配列に分解（ダブルクォート・セル内改行に対応）
+   * @param {string} text
+   * @returns {string[][]} 空行は除く
+   */
+  parse(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+  },
+
+  /**
+   * 見出し行を推定（表題行がある台帳に対応）
+   * @returns {number} 行番号（0始まり）
+   */
+  findHeaderRow(rows) {
+    for (let i = 0; i < Math.min(rows.length, 10); i++) {
+      const mapping = this.guessMapping(rows[i]);
+      if (Object.values(mapping).filter(col => col >= 0).length >= 2) return i;
+    }
+    return 0;
+  },
+
+  /**
+   * 見出しから列の対応を推定
+   * @param {string[]} headers
+   * @returns {Object} { 項目キー: 列番号（-1: なし） }
+   */
+  guessMapping(headers) {
+    const normalized = headers.map(h => this._normalizeHeader(h));
+    const mapping = {};
+    this.FIELDS.forEach(field => {
+      mapping[field.key] = normalized.findIndex(h => field.aliases.includes(h));
+    });
+    return mapping;
+  },
+
+  /**
+   * 台帳の行をプロジェクトデータに変換
+   * @param {string[][]} rows - 見出し行を除いたデータ行
+   * @param {Object} mapping - guessMapping の形式
+   * @param {Object} options - { project, headers: 見出し行（列の単位の換算に使用） }
+   * @returns {Object} { project, pipes, connections, manholes }
+   */
+  toProjectData(rows, mapping, options = {}) {
+    const cell = (row, key) => {
+      const col = mapping[key];
+      return col >= 0 && row[col] != null ? row[col].trim() : '';
+    };
+    const headers = options.headers || [];
+    const unit = key => (mapping[key] >= 0 ? this.headerUnit(headers[mapping[key]]) : null);
+    const length = (row, key) => {
+      const value = this._parseNumber(cell(row, key));
+      const scale = this.LENGTH_UNITS[unit(key)];
+      return typeof value === 'number' && scale ? Math.round(value * scale * 1000) / 1000 : value;
+    };
+    const pipes = [];
+    const connections = [];
+
+    rows.forEach(row => {
+      const pipe = {};
+      const id = cell(row, 'id');
+      if (id) pipe.id = id;
+      const connectedTo = cell(row, 'connectedTo');
+      pipe.type = this._parseType(cell(row, 'type')) || (connectedTo ? 'service' : 'main');
+      const utility = cell(row, 'utility');
+      if (utility) pipe.utility = PipeUtility.parse(utility) || utility;
+      ['diameter', 'length', 'depth'].forEach(key => {
+        const value = length(row, key);
+        if (value !== undefined) pipe[key] = value;
+      });
+      const centerDepth = length(row, 'centerDepth');
+      if (pipe.depth === undefined && typeof centerDepth === 'number' && typeof pipe.diameter === 'number') {
+        pipe.depth = centerDepth - pipe.diameter / 2;
+      }
+      const slope = this._parseSlope(cell(row, 'slope'), unit('slope'));
+      if (slope !== undefined) pipe.slope = slope;
+      const material = cell(row, 'material');
+      if (material) pipe.material = material;
+      pipes.push(pipe);
+
+      if (connectedTo) {
+        const conn = { from: pipe.id, to: connectedTo };
+        const position = length(row, 'position');
+        if (position !== undefined) conn.position = position;
+        connections.push(conn);
+      }
+    });
+
+    return {
+      project: options.project || '管路台帳',
+      pipes,
+      connections,
+      manholes: [],
+    };
+  },
+
+  /**
+   * 取込ダイアログ（#csvImportModal）を表示
+   * 列の対応を変えるたびにプレビューと検証結果を更新し、「取込」で onImport を呼ぶ
+   * @param {string} text - CSV文字列
+   * @param {string} filename
+   * @param {Function} onImport - (data) => void
+   */
+  showDialog(text, filename, onImport) {
+    const modal = document.getElementById('csvImportModal');
+    const rows = this.parse(text);
+    if (rows.length === 0) {
+      alert(`${filename} にデータがありません`);
+      return;
+    }
+
+    const headerInput = document.getElementById('csvHeaderRow');
+    const mappingEl = document.getElementById('csvMapping');
+    const btnImport = document.getElementById('btnCSVImport');
+    headerInput.max = rows.length;
+    headerInput.value = this.findHeaderRow(rows) + 1;
+    document.getElementById('csvImportTitle').textContent = `CSV取込 - ${filename}`;
+
+    let data = null;
+    const refresh = () => {
+      const headerIndex = Math.min(Math.max(parseInt(headerInput.value, 10) || 1, 1), rows.length) - 1;
+      const mapping = {};
+      mappingEl.querySelectorAll('select').forEach(sel => {
+        mapping[sel.dataset.field] = parseInt(sel.value, 10);
+      });
+      data = this.toProjectData(rows.slice(headerIndex + 1), mapping, {
+        project: filename.replace(/\.[^.]+$/, ''),
+        headers: rows[headerIndex],
+      });
+      const report = PipeDataValidator.validate(JSON.parse(JSON.stringify(data)));
+      this._renderPreview(data, report);
+      btnImport.disabled = !report.valid;
+    };
+    const buildMapping = () => {
+      const headerIndex = Math.min(Math.max(parseInt(headerInput.value, 10) || 1, 1), rows.length) - 1;
+      this._renderMapping(rows[headerIndex], this.guessMapping(rows[headerIndex]), refresh);
+      refresh();
+    };
+
+    headerInput.onchange = buildMapping;
+    btnImport.onclick = () => {
+      modal.style.display = 'none';
+      onImport(data);
+    };
+    document.getElementById('btnCSVCancel').onclick = () => {
+      modal.style.display = 'none';
+    };
+    buildMapping();
+    modal.style.display = 'flex';
+  },
+
+  /**
+   * 内部: 列対応の選択欄を生成
+   */
+  _renderMapping(headers, mapping, onChange) {
+    const container = document.getElementById('csvMapping');
+    container.innerHTML = '';
+    this.FIELDS.forEach(field => {
+      const label = document.createElement('label');
+      label.textContent = field.label;
+      const select = document.createElement('select');
+      select.dataset.field = field.key;
+      select.add(new Option('（なし）', '-1'));
+      headers.forEach((h, i) => select.add(new Option(h || `列${i + 1}`, String(i))));
+      select.value = String(mapping[field.key]);
+      select.onchange = onChange;
+      label.appendChild(select);
+      container.appendChild(label);
+    });
+  },
+
+  /**
+   * 内部: 変換結果のプレビュー表と検証結果を表示
+   */
+  _renderPreview(data, report) {
+    const table = document.getElementById('csvPreview');
+    const connections = new Map(data.connections.map(c => [c.from, c]));
+    const head = '<tr>' + this.FIELDS.map(f => `<th>${f.label}</th>`).join('') + '</tr>';
+    const body = data.pipes.slice(0, this.PREVIEW_ROWS).map((p, i) => {
+      const conn = connections.get(p.id) || {};
+      const values = {
+        ...p,
+        type: p.type === 'main' ? '本管' : '取付管',
+        utility: PipeUtility.TYPES[p.utility] ? PipeUtility.TYPES[p.utility].label : p.utility,
+        centerDepth: typeof p.depth === 'number' && typeof p.diameter === 'number' ? p.depth + p.diameter / 2 : null,
+        connectedTo: conn.to,
+        position: conn.position,
+      };
+      const invalid = new Set(report.errors
+        .filter(e => e.path.startsWith(`pipes[${i}].`))
+        .map(e => e.path.split('.').pop()));
+      return '<tr>' + this.FIELDS.map(f => {
+        const cls = invalid.has(f.key) ? ' class="csv-invalid"' : '';
+        return `<td${cls}>${this._escape(values[f.key] != null ? values[f.key] : '')}</td>`;
+      }).join('') + '</tr>';
+    }).join('');
+    table.innerHTML = head + body;
+
+    const mains = data.pipes.filter(p => p.type === 'main').length;
+    const lines = [
+      `管 ${data.pipes.length}本（本管 ${mains} / 取付管 ${data.pipes.length - mains}）` +
+      ` ・ 接続 ${data.connections.length}件` +
+      (data.pipes.length > this.PREVIEW_ROWS ? ` ・ 先頭${this.PREVIEW_ROWS}行を表示` : ''),
+    ];
+    if (report.errors.length || report.warnings.length) {
+      lines.push(`エラー ${report.errors.length}件 / 警告 ${report.warnings.length}件`);
+      lines.push(...PipeDataValidator.formatReport(report).split('\n').slice(0, 5));
+    }
+    const summary = document.getElementById('csvSummary');
+    summary.textContent = lines.join('\n');
+    summary.classList.toggle('csv-has-errors', !report.valid);
+  },
+
+  /**
+   * 見出しの末尾の単位（「延長(m)」→ 'm'。無ければ null）
+   * @returns {string|null} 'mm' | 'cm' | 'm' | '%' | '‰'
+   */
+  headerUnit(header) {
+    const match = this._stripHeader(header).match(this._UNIT_PATTERN);
+    return match ? match[1] : null;
+  },
+
+  _UNIT_PATTERN: /(mm|cm|m|%|‰)$/,
+
+  _stripHeader(header) {
+    return String(header || '').normalize('NFKC').toLowerCase()
+      .replace(/[\s_\-()（）[\]［］]/g, '');
+  },
+
+  _normalizeHeader(header) {
+    return this._stripHeader(header).replace(this._UNIT_PATTERN, '');
+  },
+
+  _parseType(value) {
+    const v = value.normalize('NFKC').toLowerCase();
+    if (!v) return null;
+    return Object.keys(this.TYPE_VALUES).find(type => this.TYPE_VALUES[type].includes(v)) || value;
+  },
+
+  /**
+   * 内部: 数値セルの解釈（桁区切り・φ・単位を除去）
+   * 空欄は undefined、解釈できない値は元の文字列のまま返す（検証でエラーにする）
+   */
+  _parseNumber(value) {
+    const v = value.normalize('NFKC').replace(/[,\s]/g, '').replace(/^[φΦ]/, '').replace(/mm$/i, '');
+    if (v === '') return undefined;
+    const n = Number(v);
+    return isFinite(n) ? n : value;
+  },
+
+  /**
+   * 内部: 勾配セルの解釈（‰ は % に換算。セルに単位が無ければ見出しの単位 unit に従う）
+   */
+  _parseSlope(value, unit = null) {
+    const v = value.normalize('NFKC').replace(/\s/g, '');
+    const permille = v.endsWith('‰') || (unit === '‰' && !v.endsWith('%'));
+    const n = this._parseNumber(v.replace(/[%‰]$/, ''));
+    return permille && typeof n === 'number' ? n / 10 : n;
+  },
+
+  _escape(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  },
+};
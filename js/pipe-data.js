@@ -5,17 +5,23 @@
 const SAMPLE_PIPE_DATA = {
   project: "サンプル下水道工事",
   location: "東京都○○区△△町1-2-3",
+  // 座標系（省略時はローカル座標のみ。geo-coords.js参照）
+  // crs: { type: "jgd2011", zone: 9 },
+  // origin: { x: -35370.000, y: -6000.000, h: 5.200 },
+  // declination: 7.3,    // 磁気偏角 度（西偏が正。省略時は近似式。GPS設置の方位補正に使用）
   pipes: [
     {
       id: "L-001",
       type: "service",       // 取付管
+      utility: "sewer",       // 埋設物の種別（省略時は下水道。pipe-utility.js参照）
       label: "取付管 L-001",
       diameter: 150,          // 管径 mm
       length: 5000,           // 延長 mm
       depth: 1200,            // 土被り mm（地表面から管上端）
+      // vertices: [[x, y, z], ...] // 折れ線の頂点 mm（省略時は延長・勾配から生成。pipe-geometry.js参照）
       slope: 1.5,             // 勾配 %
       material: "VU",         // 管種
-      color: 0x4fc3f7,        // 表示色（水色）
+      // color: 0xbcaaa4,     // 表示色（省略時は種別の標準色）
     },
     {
       id: "L-002",
@@ -26,7 +32,6 @@ const SAMPLE_PIPE_DATA = {
       depth: 1000,
       slope: 2.0,
       material: "VU",
-      color: 0x4fc3f7,
     },
     {
       id: "M-001",
@@ -37,7 +42,6 @@ const SAMPLE_PIPE_DATA = {
       depth: 2000,
       slope: 0.3,
       material: "HP",
-      color: 0xff8a65,        // オレンジ
     },
   ],
   // 接続関係
@@ -60,51 +64,342 @@ const SAMPLE_PIPE_DATA = {
 
 /**
  * QRコードデータのエンコード/デコード
+ * v1: 単一管のBase64 JSON（読取のみ対応）
+ * v2: プロジェクト全体または選択した管の部分集合を圧縮（fflate）して格納
+ *     形式: "SEWER:2:" + 圧縮種別(z=deflate, j=非圧縮) + Base64URL + "." + 署名タグ
+ *     署名タグは QRSignature（チェックサム / HMAC）で生成・検証する
+ * 分割: 1枚に収まらないv2文字列を "SEWER:2P:" + セットID + ":" + 番号/総数 + ":" + 断片 に分割
  */
 const QRDataCodec = {
+  PREFIX: 'SEWER:',
+  PREFIX_V2: 'SEWER:2:',
+  PREFIX_PART: 'SEWER:2P:',
+  MAX_PART_LENGTH: 700, // 1枚あたりの最大文字数（現場で読み取りやすいサイズ）
+
+  // v2の短縮キー（正式名 → QR内のキー）
+  KEYS: {
+    pipe: {
+      id: 'id', type: 't', diameter: 'd', length: 'l', depth: 'dp',
+      slope: 'sl', material: 'mt', label: 'lb', color: 'c', vertices: 'v', utility: 'u',
+    },
+    connection: { from: 'f', to: 't', position: 'p' },
+    manhole: { id: 'id', position: 'p', depth: 'dp', diameter: 'd', x: 'x', y: 'y', pipe: 'pp' },
+    excavation: {
+      width: 'w', depth: 'dp', length: 'l', lengthFront: 'lf', lengthBack: 'lb',
+      shape: 'sh', slope: 'sp', benchHeight: 'bh', benchWidth: 'bw', shoringThickness: 'st', shoringEmbed: 'se',
+      pipe: 'pp', clearanceBelow: 'cb', clearanceSide: 'cs', id: 'id', follow: 'fo',
+      name: 'nm', position: 'ps', rotation: 'rt', spoilDistance: 'sd',
+    },
+  },
+
   /**
    * 配管データをQRコード用文字列にエンコード
+   * 指定管と接続先の本管・マンホールを同梱する（AR側で接続状況を表示するため）
+   * @param {string} pipeId - 対象管ID
+   * @param {Object} pipeData - プロジェクトデータ
+   * @returns {string|null}
    */
   encode(pipeId, pipeData) {
     const pipe = pipeData.pipes.find(p => p.id === pipeId);
     if (!pipe) return null;
-    const data = {
-      v: 1, // version
-      id: pipe.id,
-      t: pipe.type === 'service' ? 's' : 'm',
-      d: pipe.diameter,
-      l: pipe.length,
-      dp: pipe.depth,
-      sl: pipe.slope,
-      mt: pipe.material,
-      ex: pipeData.excavation,
-    };
-    return 'SEWER:' + btoa(JSON.stringify(data));
+    return this.encodeProject(pipeData, {
+      pipeIds: this.relatedPipeIds(pipeId, pipeData),
+      focus: pipeId,
+    });
+  },
+
+  /**
+   * 指定管と接続先の管IDを取得
+   * @returns {string[]}
+   */
+  relatedPipeIds(pipeId, pipeData) {
+    const pipeIds = [pipeId];
+    (pipeData.connections || []).forEach(c => {
+      if (c.from === pipeId && !pipeIds.includes(c.to)) pipeIds.push(c.to);
+    });
+    return pipeIds;
   },
 
   /**
-   * QRコード文字列をデコード
+   * プロジェクトデータをv2形式でエンコード
+   * @param {Object} pipeData - プロジェクトデータ
+   * @param {Object} options - { pipeIds?: 格納する管IDの配列（省略時は全管）, focus?: AR表示の対象管ID }
+   * @returns {string}
+   */
+  encodeProject(pipeData, options = {}) {
+    const K = this.KEYS;
+    const ids = options.pipeIds || pipeData.pipes.map(p => p.id);
+    const pipes = pipeData.pipes.filter(p => ids.includes(p.id));
+    const connections = (pipeData.connections || [])
+      .filter(c => ids.includes(c.from) && ids.includes(c.to));
+    // 部分集合の場合は、含まれる本管上のマンホールのみ格納
+    // 位置の基準の本管（pipe 省略時は最初の本管）が部分集合で変わる場合は pipe を明記する
+    const reference = pipeData.pipes.find(p => p.type === 'main');
+    const subsetMain = pipes.find(p => p.type === 'main');
+    const implicit = mh => !mh.pipe && (mh.x == null || mh.y == null);
+    const manholes = (pipeData.manholes || []).filter(mh => {
+      if (mh.pipe) return ids.includes(mh.pipe);
+      if (!implicit(mh)) return !!subsetMain; // 座標で置くマンホール
+      return !!reference && ids.includes(reference.id);
+    });
+
+    const data = { v: 2 };
+    if (pipeData.project) data.pj = pipeData.project;
+    if (pipeData.location) data.lc = pipeData.location;
+    if (pipeData.crs && pipeData.origin) {
+      data.cr = pipeData.crs;
+      data.og = pipeData.origin;
+      if (pipeData.declination != null) data.dc = pipeData.declination;
+    }
+    if (options.focus) data.f = options.focus;
+    data.p = pipes.map(p => {
+      const packed = this._pack(p, K.pipe);
+      packed.t = p.type === 'main' ? 'm' : 's';
+      if (packed.u === PipeUtility.DEFAULT) delete packed.u;
+      if (packed.lb === PipeUtility.defaultLabel(p)) delete packed.lb;
+      if (packed.c === PipeUtility.defaultColor(p)) delete packed.c;
+      return packed;
+    });
+    if (connections.length) data.c = connections.map(c => this._pack(c, K.connection));
+    if (manholes.length) {
+      data.m = manholes.map(m => {
+        const packed = this._pack(m, K.manhole);
+        if (implicit(m) && subsetMain !== reference) packed[K.manhole.pipe] = reference.id;
+        return packed;
+      });
+    }
+    if (pipeData.excavation) data.ex = this._pack(pipeData.excavation, K.excavation);
+    // 掘削計画は格納する管のもの（管を指定しない計画を含む）
+    const plans = (pipeData.excavations || []).filter(e => !e.pipe || ids.includes(e.pipe));
+    if (plans.length) data.exs = plans.map(e => this._pack(e, K.excavation));
+
+    const bytes = this._strToBytes(JSON.stringify(data));
+    const payload = typeof fflate !== 'undefined'
+      ? this.PREFIX_V2 + 'z' + this._toBase64Url(fflate.deflateSync(bytes, { level: 9 }))
+      : this.PREFIX_V2 + 'j' + this._toBase64Url(bytes);
+    if (typeof QRSignature === 'undefined') return payload;
+    return payload + '.' + QRSignature.sign(payload);
+  },
+
+  /**
+   * プロジェクトデータを分割QRコード用にエンコード
+   * 1枚に収まる場合は通常のv2文字列1件を返す
+   * @param {Object} pipeData - プロジェクトデータ
+   * @param {Object} options - encodeProject のオプション + { maxLength?: 1枚あたりの最大文字数 }
+   * @returns {string[]}
+   */
+  encodeParts(pipeData, options = {}) {
+    const full = this.encodeProject(pipeData, options);
+    const maxLength = options.maxLength || this.MAX_PART_LENGTH;
+    if (full.length <= maxLength) return [full];
+
+    const body = full.substring(this.PREFIX_V2.length);
+    const setId = this._hashId(full);
+    // ヘッダ長（番号・総数は最大3桁を想定）を差し引いた断片長
+    const chunkLength = maxLength - (this.PREFIX_PART.length + setId.length + 9);
+    const total = Math.ceil(body.length / chunkLength);
+    const parts = [];
+    for (let i = 0; i < total; i++) {
+      const chunk = body.substring(i * chunkLength, (i + 1) * chunkLength);
+      parts.push(`${this.PREFIX_PART}${setId}:${i + 1}/${total}:${chunk}`);
+    }
+    return parts;
+  },
+
+  /**
+   * 分割QRコードの1枚を解析
+   * @returns {{setId: string, index: number, total: number, chunk: string}|null}
+   */
+  parsePart(qrString) {
+    if (!qrString || !qrString.startsWith(this.PREFIX_PART)) return null;
+    const m = /^([0-9a-z]+):(\d+)\/(\d+):(.+)$/.exec(qrString.substring(this.PREFIX_PART.length));
+    if (!m) return null;
+    const index = parseInt(m[2], 10);
+    const total = parseInt(m[3], 10);
+    if (index < 1 || index > total) return null;
+    return { setId: m[1], index, total, chunk: m[4] };
+  },
+
+  /**
+   * 分割QRコードの断片を結合して元のv2文字列を復元
+   * @param {Object[]} parts - parsePart の結果（順不同・全数）
+   * @returns {string|null} 欠番・セット不一致の場合はnull
+   */
+  joinParts(parts) {
+    if (!parts.length) return null;
+    const { setId, total } = parts[0];
+    const chunks = new Array(total);
+    parts.forEach(p => {
+      if (p.setId === setId && p.total === total) chunks[p.index - 1] = p.chunk;
+    });
+    for (let i = 0; i < total; i++) {
+      if (chunks[i] == null) return null;
+    }
+    const full = this.PREFIX_V2 + chunks.join('');
+    return this._hashId(full) === setId ? full : null;
+  },
+
+  /**
+   * QRコード文字列をデコード（対象管1本を返す）
+   * @returns {Object|null} 管データ + excavation + integrity
    */
   decode(qrString) {
-    if (!qrString.startsWith('SEWER:')) return null;
+    const project = this.decodeProject(qrString);
+    if (!project) return null;
+    const pipe = project.pipes.find(p => p.id === project.focus) || project.pipes[0];
+    if (!pipe) return null;
+    return { ...pipe, excavation: project.excavation, integrity: project.integrity };
+  },
+
+  /**
+   * QRコード文字列をプロジェクトデータとしてデコード（v1/v2共通）
+   * integrity: 'signed' | 'checksum' | 'unverified' | 'invalid'（v2。QRSignature.verify参照） | 'legacy'（v1）
+   * @returns {Object|null} { project, location, pipes, connections, manholes, excavation, excavations, focus, integrity }
+   */
+  decodeProject(qrString) {
+    if (!qrString || !qrString.startsWith(this.PREFIX)) return null;
+    // 分割QRの1枚は単体ではデコードできない（joinParts で復元してから渡す）
+    if (qrString.startsWith(this.PREFIX_PART)) return null;
     try {
-      const json = atob(qrString.substring(6));
-      const data = JSON.parse(json);
-      return {
-        id: data.id,
-        type: data.t === 's' ? 'service' : 'main',
-        diameter: data.d,
-        length: data.l,
-        depth: data.dp,
-        slope: data.sl,
-        material: data.mt,
-        excavation: data.ex,
-        color: data.t === 's' ? 0x4fc3f7 : 0xff8a65,
-        label: `${data.t === 's' ? '取付管' : '本管'} ${data.id}`,
-      };
+      if (qrString.startsWith(this.PREFIX_V2)) {
+        const sep = qrString.lastIndexOf('.');
+        const payload = sep > 0 ? qrString.substring(0, sep) : qrString;
+        const tag = sep > 0 ? qrString.substring(sep + 1) : null;
+        const project = this._decodeV2(payload.substring(this.PREFIX_V2.length));
+        project.integrity = typeof QRSignature !== 'undefined'
+          ? QRSignature.verify(payload, tag)
+          : 'unverified';
+        return project;
+      }
+      const project = this._decodeV1(qrString.substring(this.PREFIX.length));
+      project.integrity = 'legacy';
+      return project;
     } catch (e) {
       console.error('QR decode error:', e);
       return null;
     }
   },
+
+  /**
+   * 内部: v1（単一管 Base64 JSON）をデコード
+   */
+  _decodeV1(body) {
+    const data = JSON.parse(atob(body));
+    const pipe = {
+      id: data.id,
+      type: data.t === 's' ? 'service' : 'main',
+      diameter: data.d,
+      length: data.l,
+      depth: data.dp,
+      slope: data.sl,
+      material: data.mt,
+    };
+    pipe.color = PipeUtility.defaultColor(pipe);
+    pipe.label = PipeUtility.defaultLabel(pipe);
+    return {
+      project: null,
+      location: null,
+      pipes: [pipe],
+      connections: [],
+      manholes: [],
+      excavation: data.ex,
+      focus: pipe.id,
+    };
+  },
+
+  /**
+   * 内部: v2（圧縮プロジェクト）をデコード
+   */
+  _decodeV2(body) {
+    const K = this.KEYS;
+    const mode = body.charAt(0);
+    let bytes = this._fromBase64Url(body.substring(1));
+    if (mode === 'z') {
+      if (typeof fflate === 'undefined') throw new Error('fflateが読み込まれていません');
+      bytes = fflate.inflateSync(bytes);
+    } else if (mode !== 'j') {
+      throw new Error('未対応の圧縮種別: ' + mode);
+    }
+    const data = JSON.parse(this._bytesToStr(bytes));
+    if (data.v !== 2) throw new Error('未対応のバージョン: ' + data.v);
+
+    const pipes = (data.p || []).map(packed => {
+      const pipe = this._unpack(packed, K.pipe);
+      pipe.type = packed.t === 'm' ? 'main' : 'service';
+      if (pipe.color == null) pipe.color = PipeUtility.defaultColor(pipe);
+      if (!pipe.label) pipe.label = PipeUtility.defaultLabel(pipe);
+      return pipe;
+    });
+    return {
+      project: data.pj || null,
+      location: data.lc || null,
+      crs: data.cr || null,
+      origin: data.og || null,
+      declination: data.dc != null ? data.dc : null,
+      pipes,
+      connections: (data.c || []).map(c => this._unpack(c, K.connection)),
+      manholes: (data.m || []).map(m => this._unpack(m, K.manhole)),
+      excavation: data.ex ? this._unpack(data.ex, K.excavation) : null,
+      excavations: (data.exs || []).map(e => this._unpack(e, K.excavation)),
+      focus: data.f || (pipes[0] && pipes[0].id),
+    };
+  },
+
+  /**
+   * 内部: 分割セットID（FNV-1a 32bit → 36進）
+   */
+  _hashId(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(36).padStart(7, '0');
+  },
+
+  /**
+   * 内部: 正式名 → 短縮キーに変換（未定義の値は省略）
+   */
+  _pack(obj, keyMap) {
+    const out = {};
+    Object.keys(keyMap).forEach(name => {
+      if (obj[name] != null) out[keyMap[name]] = obj[name];
+    });
+    return out;
+  },
+
+  /**
+   * 内部: 短縮キー → 正式名に変換
+   */
+  _unpack(obj, keyMap) {
+    const out = {};
+    Object.keys(keyMap).forEach(name => {
+      if (obj[keyMap[name]] != null) out[name] = obj[keyMap[name]];
+    });
+    return out;
+  },
+
+  _strToBytes(str) {
+    return typeof fflate !== 'undefined' ? fflate.strToU8(str) : new TextEncoder().encode(str);
+  },
+
+  _bytesToStr(bytes) {
+    return typeof fflate !== 'undefined' ? fflate.strFromU8(bytes) : new TextDecoder().decode(bytes);
+  },
+
+  _toBase64Url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  _fromBase64Url(str) {
+    const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '==='.slice((b64.length + 3) % 4));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  },
 };
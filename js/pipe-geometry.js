@@ -0,0 +1,247 @@
+/**
+ * 管路の幾何計算（中心線の折れ線）
+ *
+ * 平面座標系（データ, mm）: [x(東), y(北), z(管中心の高さ: 地表面=0, 下向き負)]
+ * シーン座標系（Three.js, m）: X=東, Y=上, -Z=北
+ *
+ * 管は vertices（始点・中間点・終点）を持てる。vertices が無い場合は
+ * 従来の略式（length / slope / 接続位置）から中心線を生成する:
+ *   本管: 原点から +X 方向
+ *   取付管: 接続先本管の接続位置から本管に直交する方向（本管が +X のとき +Z）
+ * 頂点の並びは流下方向（上流 → 下流）。取付管の終点が本管への接続点になる。
+ */
+const PipeGeometry = {
+  SCALE: 0.001, // mm → m
+
+  /**
+   * 平面座標(mm) → シーン座標(m)
+   * @param {number[]} v - [x, y, z]
+   * @returns {THREE.Vector3}
+   */
+  toScene(v) {
+    const s = this.SCALE;
+    return new THREE.Vector3(v[0] * s, (v[2] || 0) * s, -v[1] * s);
+  },
+
+  /**
+   * シーン座標(m) → 平面座標(mm)
+   * @param {THREE.Vector3} p
+   * @returns {number[]} [x, y, z]
+   */
+  fromScene(p) {
+    const s = this.SCALE;
+    return [Math.round(p.x / s), Math.round(-p.z / s), Math.round(p.y / s)];
+  },
+
+  /**
+   * 管の中心線を取得（シーン座標）
+   * @param {Object} pipe - 管データ
+   * @param {Object} data - プロジェクトデータ（接続先の参照用）
+   * @returns {THREE.Vector3[]} 上流 → 下流
+   */
+  getPath(pipe, data) {
+    if (Array.isArray(pipe.vertices) && pipe.vertices.length >= 2) {
+      return pipe.vertices.map(v => this.toScene(v));
+    }
+
+    // depth は土被り（管頂まで）のため、管中心は管径の半分だけ深い
+    const s = this.SCALE;
+    const length = (pipe.length || 0) * s;
+    const depth = ((pipe.depth || 0) + (pipe.diameter || 0) / 2) * s;
+    const drop = length * (pipe.slope || 0) / 100;
+
+    if (pipe.type === 'main') {
+      return [
+        new THREE.Vector3(0, -depth + drop / 2, 0),
+        new THREE.Vector3(length, -depth - drop / 2, 0),
+      ];
+    }
+
+    // 取付管: 接続先本管の接続位置から本管に直交する方向へ伸ばす
+    let joint = new THREE.Vector3(0, 0, 0);
+    let dir = new THREE.Vector3(0, 0, 1);
+    const conn = this.findConnection(pipe.id, data);
+    const main = conn && data.pipes.find(p => p.id === conn.to && p.type === 'main');
+    if (main) {
+      const at = this.pointAtDistance(this.getPath(main, data), (conn.position || 0) * s, true);
+      joint = at.point.setY(0);
+      dir = new THREE.Vector3(-at.direction.z, 0, at.direction.x).normalize();
+    }
+    const house = joint.clone().addScaledVector(dir, length);
+    return [
+      house.setY(-depth + drop / 2),
+      joint.clone().setY(-depth - drop / 2),
+    ];
+  },
+
+  /**
+   * 全管の中心線を一括計算
+   * @returns {Map<string, {pipe: Object, points: THREE.Vector3[], radius: number}>}
+   */
+  buildLayout(data) {
+    const layout = new Map();
+    data.pipes.forEach(pipe => {
+      layout.set(pipe.id, {
+        pipe,
+        points: this.getPath(pipe, data),
+        radius: (pipe.diameter || 0) * this.SCALE / 2,
+      });
+    });
+    return layout;
+  },
+
+  /**
+   * 取付管の接続情報を取得
+   */
+  findConnection(pipeId, data) {
+    return (data && data.connections || []).find(c => c.from === pipeId) || null;
+  },
+
+  /**
+   * 接続点（本管上の点, シーン座標）を取得
+   * @returns {THREE.Vector3|null}
+   */
+  getConnectionPoint(conn, data) {
+    const main = data.pipes.find(p => p.id === conn.to);
+    if (!main) return null;
+    return this.pointAtDistance(this.getPath(main, data), (conn.position || 0) * this.SCALE, true).point;
+  },
+
+  /**
+   * マンホールの平面位置（シーン座標, 地表面）
+   * x / y 指定を優先し、なければ本管（mh.pipe または最初の本管）上の追加距離 position
+   * @returns {THREE.Vector3}
+   */
+  getManholePoint(mh, data) {
+    if (mh.x != null && mh.y != null) return this.toScene([mh.x, mh.y, 0]);
+    const main = data.pipes.find(p => p.id === mh.pipe) || data.pipes.find(p => p.type === 'main');
+    if (!main) return new THREE.Vector3((mh.position || 0) * this.SCALE, 0, 0);
+    const at = this.pointAtDistance(this.getPath(main, data), (mh.position || 0) * this.SCALE, true);
+    return at.point.setY(0);
+  },
+
+  /**
+   * 折れ線の延長（m）
+   * @param {THREE.Vector3[]} points
+   * @param {boolean} horizontal - true: 水平距離
+   */
+  pathLength(points, horizontal = false) {
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+      total += horizontal
+        ? Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z)
+        : points[i].distanceTo(points[i - 1]);
+    }
+    return total;
+  },
+
+  /**
+   * 始点からの距離（追加距離）にある点と進行方向を取得
+   * @param {THREE.Vector3[]} points
+   * @param {number} distance - m
+   * @param {boolean} horizontal - true: 水平距離で測る
+   * @returns {{point: THREE.Vector3, direction: THREE.Vector3, segment: number}}
+   */
+  pointAtDistance(points, distance, horizontal = false) {
+    let remaining = Math.max(0, distance);
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const segLen = horizontal ? Math.hypot(b.x - a.x, b.z - a.z) : a.distanceTo(b);
+      if (remaining <= segLen || i === points.length - 1) {
+        const t = segLen > 0 ? Math.min(remaining / segLen, 1) : 0;
+        return {
+          point: a.clone().lerp(b, t),
+          direction: b.clone().sub(a).normalize(),
+          segment: i - 1,
+        };
+      }
+      remaining -= segLen;
+    }
+    return { point: points[0].clone(), direction: new THREE.Vector3(1, 0, 0), segment: 0 };
+  },
+
+  /**
+   * 平面上の点を折れ線に投影（水平距離が最も近い点）
+   * @param {THREE.Vector3[]} points
+   * @param {THREE.Vector3} point - y は無視する
+   * @returns {{distance: number, along: number, segment: number}|null}
+   *   distance: 水平距離（m）、along: 投影点までの始点からの水平距離（m）、segment: 投影点のある区間
+   */
+  projectOnPlan(points, point) {
+    let best = null;
+    let along = 0;
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const dx = b.x - a.x;
+      const dz = b.z - a.z;
+      const len2 = dx * dx + dz * dz;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / len2)) : 0;
+      const distance = Math.hypot(point.x - (a.x + dx * t), point.z - (a.z + dz * t));
+      if (!best || distance < best.distance) best = { distance, along: along + Math.sqrt(len2) * t, segment: i - 1 };
+      along += Math.sqrt(len2);
+    }
+    return best;
+  },
+
+  /**
+   * 平面上の中心（始点と終点の中点, 地表面高さ）
+   */
+  planCenter(points) {
+    const a = points[0];
+    const b = points[points.length - 1];
+    return new THREE.Vector3((a.x + b.x) / 2, 0, (a.z + b.z) / 2);
+  },
+
+  /**
+   * vertices から管の延長・深さ・勾配を算出（略式項目の補完用）
+   * vertices の z は管中心の高さ、depth は土被り（管頂まで）。略式（getPath）と同じく両端の中間で求める
+   * @param {number[][]} vertices - [[x, y, z], ...] mm
+   * @param {number} diameter - 管径 mm
+   * @returns {{length: number, depth: number, slope: number}} mm / mm / %
+   */
+  deriveFromVertices(vertices, diameter = 0) {
+    const points = vertices.map(v => this.toScene(v));
+    const length = this.pathLength(points) / this.SCALE;
+    const horizontal = this.pathLength(points, true);
+    const first = vertices[0];
+    const last = vertices[vertices.length - 1];
+    const slope = horizontal > 0 ? ((first[2] - last[2]) * this.SCALE / horizontal) * 100 : 0;
+    return {
+      length: Math.round(length),
+      depth: Math.round(-(first[2] + last[2]) / 2 - diameter / 2),
+      slope: Math.round(slope * 100) / 100,
+    };
+  },
+
+  /**
+   * 折れ線に沿った円筒メッシュ群を生成（区間ごとの円筒 + 折れ点の球）
+   * @param {THREE.Vector3[]} points - シーン座標
+   * @param {number} radius - m
+   * @param {THREE.Material} material
+   * @returns {THREE.Mesh[]}
+   */
+  createSegmentMeshes(points, radius, material) {
+    const meshes = [];
+    const up = new THREE.Vector3(0, 1, 0);
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const len = a.distanceTo(b);
+      if (len < 1e-6) continue;
+      const geom = new THREE.CylinderGeometry(radius, radius, len, 32, 1, true);
+      const mesh = new THREE.Mesh(geom, material);
+      mesh.position.copy(a).lerp(b, 0.5);
+      mesh.quaternion.setFromUnitVectors(up, b.clone().sub(a).normalize());
+      meshes.push(mesh);
+    }
+    // 折れ点の継ぎ目を球で埋める
+    for (let i = 1; i < points.length - 1; i++) {
+      const joint = new THREE.Mesh(new THREE.SphereGeometry(radius, 16, 12), material);
+      joint.position.copy(points[i]);
+      meshes.push(joint);
+    }
+    return meshes;
+  },
+};
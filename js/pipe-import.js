@@ -0,0 +1,422 @@
+/**
+ * 外部形式の管路網の取込（GeoJSON / LandXML PipeNetworks）
+ * 管（線）・マンホール（点）を pipes / connections / manholes に変換する
+ *
+ * 標高の扱い: 管底高（絶対標高 m）から管中心の高さを求め、地盤高（マンホール蓋高の平均）を
+ * ローカル座標の z=0 とする。GeoJSON の座標Z値は管底高とみなす。
+ * 種別が無い場合は、下流端が他の管の途中に接する管を取付管、それ以外を本管とする。
+ * 埋設物の属性（下水道・上水道・ガス・電力・通信）があれば utility に設定し、同じ埋設物の管どうしだけを接続する。
+ */
+const PipeNetworkImporter = {
+  SNAP_DISTANCE: 0.3,     // 接続判定の距離（m）
+  DEFAULT_COVER: 1.2,     // 地盤高が無い場合に仮定する最浅管の土被り（m）
+  DEFAULT_DEPTH: 1500,    // 標高・深さが無い場合の土被り（mm）
+  DEFAULT_MANHOLE_DIAMETER: 900, // 1号マンホール（mm）
+
+  // 属性名の候補（小文字・空白/記号除去後で比較）
+  PROPS: {
+    id:          ['id', 'name', 'pipeid', '管番号', '管路番号', '番号', '名称'],
+    type:        ['type', 'pipetype', '種別', '管種別', '区分'],
+    utility:     ['utility', 'utilitytype', 'network', '埋設物', '埋設物種別', '占用物件', '事業者'],
+    diameter:    ['diameter', 'dia', 'size', '管径', '口径', '呼び径'],
+    material:    ['material', 'mat', '管種', '材質', '管材'],
+    depth:       ['depth', 'cover', '深さ', '土被り'],
+    centerDepth: ['centerdepth', '管中心深', '管中心深さ'],
+    invertStart: ['usinvert', 'upinvert', 'startinvert', 'invstart', 'invertstart', '上流管底高', '上流管底'],
+    invertEnd:   ['dsinvert', 'downinvert', 'endinvert', 'invend', 'invertend', '下流管底高', '下流管底'],
+    rim:         ['rim', 'elevrim', 'groundelev', 'ground', 'coverlevel', '地盤高', '蓋高'],
+    sump:        ['sump', 'elevsump', 'invert', 'inv', '管底高', '底高', '人孔底高'],
+  },
+
+  TYPE_VALUES: {
+    main: ['main', 'sewer', 'gravitymain', '本管', '幹線', '支線', '配水管', '本支管', '管路'],
+    service: ['service', 'lateral', 'servicelateral', '取付管', '取付', '枝管', '給水管', '供給管', '引込管'],
+  },
+
+  /**
+   * GeoJSON（FeatureCollection）を取込
+   * LineString / MultiLineString → 管、Point → マンホール
+   * 座標系: crs メンバー（EPSG:6669〜6687 = 平面直角 1〜19系）、無ければ緯度経度（RFC 7946）
+   * @param {Object} json
+   * @param {string} name - プロジェクト名
+   * @returns {{data: Object, notes: string[]}}
+   */
+  fromGeoJSON(json, name) {
+    const features = json.type === 'FeatureCollection' ? json.features || [] : [json];
+    const crs = this._crsFromEPSG(this._geoJSONEPSG(json));
+    // GeoJSON の座標は [経度, 緯度] / [東, 北] → [緯度, 経度] / [X(北), Y(東)]
+    const toPoint = c => crs ? [c[1], c[0]] : [c[0], c[1]];
+    const lines = [];
+    const nodes = [];
+
+    features.forEach((f, i) => {
+      const geom = f && f.geometry;
+      if (!geom) return;
+      const props = f.properties || {};
+      const id = String(this._prop(props, 'id') != null ? this._prop(props, 'id') : f.id != null ? f.id : i + 1);
+      if (geom.type === 'LineString' || geom.type === 'MultiLineString') {
+        const parts = geom.type === 'LineString' ? [geom.coordinates] : geom.coordinates;
+        parts.forEach((coords, j) => {
+          if (!Array.isArray(coords) || coords.length < 2) return;
+          const zs = coords.map(c => c[2]);
+          lines.push({
+            id: parts.length > 1 ? `${id}-${j + 1}` : id,
+            points: coords.map(toPoint),
+            inverts: zs.every(z => typeof z === 'number') ? zs : null,
+            ...this._pipeAttributes(props),
+          });
+        });
+      } else if (geom.type === 'Point') {
+        nodes.push({ id, point: toPoint(geom.coordinates), ...this._nodeAttributes(props) });
+      }
+    });
+
+    if (lines.length === 0) throw new Error('LineString の管が見つかりません');
+    return this._buildProject({ name: name || json.name, crs, lines, nodes, planOrder: !crs });
+  },
+
+  /**
+   * LandXML（PipeNetworks）を取込
+   * Struct → マンホール、Pipe → 管（refStart → refEnd の直線）
+   * 座標系: CoordinateSystem の epsgCode。Center は「北 東 (標高)」の順
+   * @param {string} text - XML文字列
+   * @param {string} name - プロジェクト名
+   * @returns {{data: Object, notes: string[]}}
+   */
+  fromLandXML(text, name) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('XMLの解析に失敗しました');
+    const first = (parent, tag) => parent.getElementsByTagName(tag)[0] || null;
+    const num = (el, attr) => {
+      const v = el && el.getAttribute(attr);
+      return v != null && v !== '' && isFinite(Number(v)) ? Number(v) : null;
+    };
+    const networks = Array.from(doc.getElementsByTagName('PipeNetwork'));
+    if (networks.length === 0) throw new Error('PipeNetwork が見つかりません');
+
+    // 単位（長さ → m、管径 → mm）
+    const units = first(doc, 'Metric') || first(doc, 'Imperial');
+    const linear = this._unitToMeter(units ? units.getAttribute('linearUnit') : 'meter');
+    const diameterUnit = units && units.getAttribute('diameterUnit');
+    const diameterScale = diameterUnit ? this._unitToMeter(diameterUnit) * 1000 : linear * 1000;
+
+    const cs = first(doc, 'CoordinateSystem');
+    const crs = this._crsFromEPSG(cs && cs.getAttribute('epsgCode'));
+    const lines = [];
+    const nodes = [];
+
+    networks.forEach(network => {
+      const structs = new Map();
+      Array.from(network.getElementsByTagName('Struct')).forEach(st => {
+        const center = first(st, 'Center');
+        const c = center ? center.textContent.trim().split(/\s+/).map(Number) : [];
+        if (c.length < 2 || !c.every(isFinite)) return;
+        const inverts = {};
+        Array.from(st.getElementsByTagName('Invert')).forEach(inv => {
+          const elev = num(inv, 'elev');
+          if (elev == null) return;
+          inverts[`${inv.getAttribute('refPipe')}:${inv.getAttribute('flowDir')}`] = elev * linear;
+        });
+        const shape = first(st, 'CircStruct') || first(st, 'RectStruct');
+        const size = shape && (num(shape, 'diameter') || num(shape, 'length'));
+        const node = {
+          id: st.getAttribute('name'),
+          // 北, 東（平面直角座標の X, Y の順）
+          point: [c[0] * linear, c[1] * linear],
+          rim: num(st, 'elevRim') != null ? num(st, 'elevRim') * linear : null,
+          sump: num(st, 'elevSump') != null ? num(st, 'elevSump') * linear : null,
+          diameter: size ? size * diameterScale : null,
+          inverts,
+        };
+        structs.set(node.id, node);
+        nodes.push(node);
+      });
+
+      Array.from(network.getElementsByTagName('Pipe')).forEach(p => {
+        const start = structs.get(p.getAttribute('refStart'));
+        const end = structs.get(p.getAttribute('refEnd'));
+        if (!start || !end) return;
+        const pipeName = p.getAttribute('name');
+        const shape = first(p, 'CircPipe') || first(p, 'EggPipe') || first(p, 'ElliPipe') || first(p, 'RectPipe');
+        const size = shape && (num(shape, 'diameter') || num(shape, 'height'));
+        const invertStart = start.inverts[`${pipeName}:out`] != null ? start.inverts[`${pipeName}:out`] : start.sump;
+        const invertEnd = end.inverts[`${pipeName}:in`] != null ? end.inverts[`${pipeName}:in`] : end.sump;
+        lines.push({
+          id: pipeName,
+          points: [start.point, end.point],
+          inverts: invertStart != null && invertEnd != null ? [invertStart, invertEnd] : null,
+          diameter: size ? size * diameterScale : null,
+          material: (shape && shape.getAttribute('material')) || null,
+          type: this._parseType(p.getAttribute('desc') || ''),
+          label: p.getAttribute('desc') || null,
+        });
+      });
+    });
+
+    if (lines.length === 0) throw new Error('Pipe が見つかりません');
+    const projectName = name || networks[0].getAttribute('name');
+    // 座標系が無い場合の平面座標は [北, 東] のまま扱う
+    return this._buildProject({ name: projectName, crs, lines, nodes, planOrder: false });
+  },
+
+  /**
+   * 内部: 取込んだ線・点からプロジェクトデータを組み立て
+   * @param {Object} network - { name, crs, lines, nodes, planOrder }
+   *   crs 無しの場合の座標順: planOrder=true → [東, 北]、false → [北, 東]（m）
+   */
+  _buildProject(network) {
+    const notes = [];
+    const { crs, lines, nodes } = network;
+    const data = {
+      project: network.name || '取込データ',
+      pipes: [],
+      connections: [],
+      manholes: [],
+    };
+
+    // 地盤高（z=0）: 蓋高の平均、無ければ最浅管の管頂 + 仮定土被り
+    const rims = nodes.map(n => n.rim).filter(v => v != null);
+    const hasInverts = lines.some(l => l.inverts);
+    let ground = 0;
+    if (rims.length) {
+      ground = rims.reduce((a, b) => a + b, 0) / rims.length;
+    } else if (hasInverts) {
+      ground = Math.max(...lines.filter(l => l.inverts).map(l =>
+        Math.max(...l.inverts) + (l.diameter || 0) / 1000)) + this.DEFAULT_COVER;
+      notes.push(`地盤高が無いため、最も浅い管の土被りを ${this.DEFAULT_COVER}m と仮定しました`);
+    }
+    ground = Math.round(ground * 1000) / 1000;
+
+    // 座標系と原点（最初の管の始点）
+    const first = lines[0].points[0];
+    let toLocal;
+    if (crs) {
+      data.crs = crs;
+      data.origin = crs.type === 'latlon'
+        ? { lat: first[0], lon: first[1], h: ground }
+        : { x: Math.round(first[0] * 1000) / 1000, y: Math.round(first[1] * 1000) / 1000, h: ground };
+      toLocal = p => GeoCoords.toLocal([p[0], p[1]], data).slice(0, 2);
+    } else {
+      const [e0, n0] = network.planOrder ? first : [first[1], first[0]];
+      toLocal = p => {
+        const [e, n] = network.planOrder ? p : [p[1], p[0]];
+        return [Math.round((e - e0) * 1000), Math.round((n - n0) * 1000)];
+      };
+      notes.push('座標系が指定されていないため、ローカル座標として取込みました');
+    }
+
+    // 管: 頂点（mm）と管中心の高さ
+    let defaultDepthUsed = false;
+    const pipes = lines.map(line => {
+      let plan = line.points.map(toLocal);
+      let inverts = line.inverts ? line.inverts.slice() : null;
+      // 流下方向（上流 → 下流）に揃える
+      if (inverts && inverts[0] < inverts[inverts.length - 1]) {
+        plan = plan.reverse();
+        inverts = inverts.reverse();
+      }
+      const radius = (line.diameter || 0) / 2;
+      let zs;
+      if (inverts) {
+        zs = this._interpolate(plan, inverts).map(inv => Math.round((inv - ground) * 1000 + radius));
+      } else {
+        // 深さは土被り（管頂まで）、管中心深が指定されていればそのまま使う
+        const cover = line.depth != null ? line.depth : this.DEFAULT_DEPTH;
+        if (line.depth == null && line.centerDepth == null) defaultDepthUsed = true;
+        const center = line.centerDepth != null ? line.centerDepth : cover + radius;
+        zs = plan.map(() => -center);
+      }
+      const pipe = {
+        id: line.id,
+        vertices: plan.map((p, i) => [p[0], p[1], zs[i]]),
+      };
+      if (line.diameter != null) pipe.diameter = Math.round(line.diameter);
+      if (line.material) pipe.material = line.material;
+      if (line.label) pipe.label = line.label;
+      if (line.utility) pipe.utility = line.utility;
+      return { pipe, type: line.type };
+    });
+    if (defaultDepthUsed) {
+      notes.push(`管底高・深さが無い管は土被り ${this.DEFAULT_DEPTH}mm としました`);
+    }
+
+    // 種別と接続: 下流端が他の管の途中に接していれば取付管
+    const snap = this.SNAP_DISTANCE * 1000;
+    pipes.forEach(entry => {
+      const end = entry.pipe.vertices[entry.pipe.vertices.length - 1];
+      let found = null;
+      if (entry.type !== 'main') {
+        pipes.forEach(other => {
+          if (other === entry || found || other.type === 'service') return;
+          if (PipeUtility.of(other.pipe) !== PipeUtility.of(entry.pipe)) return;
+          // 接続先より太い管は取付管とみなさない
+          if (!entry.type && entry.pipe.diameter >= other.pipe.diameter) return;
+          const hit = this._projectOnPath(end, other.pipe.vertices);
+          if (hit.distance > snap) return;
+          const atEnds = hit.position < snap || hit.length - hit.position < snap;
+          if (!atEnds || entry.type === 'service') found = { main: other, position: hit.position };
+        });
+      }
+      entry.pipe.type = entry.type || (found ? 'service' : 'main');
+      if (entry.pipe.type === 'service' && found) {
+        data.connections.push({ from: entry.pipe.id, to: found.main.pipe.id, position: Math.round(found.position) });
+      }
+    });
+    data.pipes = pipes.map(entry => entry.pipe);
+
+    // マンホール
+    let defaultDiameterUsed = false;
+    nodes.forEach((node, i) => {
+      const [x, y] = toLocal(node.point);
+      let depth = node.depth;
+      if (depth == null && node.sump != null) depth = Math.round((ground - node.sump) * 1000);
+      if (depth == null) depth = this._deepestInvertNear([x, y], data.pipes, snap * 3);
+      const mh = { id: node.id || `MH-${i + 1}`, x, y, depth };
+      mh.diameter = node.diameter != null ? Math.round(node.diameter) : this.DEFAULT_MANHOLE_DIAMETER;
+      if (node.diameter == null) defaultDiameterUsed = true;
+      data.manholes.push(mh);
+    });
+    if (defaultDiameterUsed) {
+      notes.push(`径の無いマンホールは ${this.DEFAULT_MANHOLE_DIAMETER}mm（1号）としました`);
+    }
+
+    return { data, notes };
+  },
+
+  /**
+   * 内部: 管の属性を取得（管径 mm、深さ mm、管底高 m）
+   */
+  _pipeAttributes(props) {
+    const diameter = this._number(this._prop(props, 'diameter'));
+    const invertStart = this._number(this._prop(props, 'invertStart'));
+    const invertEnd = this._number(this._prop(props, 'invertEnd'));
+    const type = this._prop(props, 'type');
+    const utility = this._prop(props, 'utility');
+    return {
+      // 管径が 5 未満なら m 単位とみなす
+      diameter: diameter == null ? null : diameter < 5 ? diameter * 1000 : diameter,
+      material: this._prop(props, 'material') || null,
+      depth: this._number(this._prop(props, 'depth')),
+      centerDepth: this._number(this._prop(props, 'centerDepth')),
+      type: type != null ? this._parseType(String(type)) : null,
+      utility: utility != null ? PipeUtility.parse(utility) : null,
+      label: props.label || null,
+      ...(invertStart != null && invertEnd != null ? { inverts: [invertStart, invertEnd] } : {}),
+    };
+  },
+
+  /**
+   * 内部: マンホールの属性を取得
+   */
+  _nodeAttributes(props) {
+    const diameter = this._number(this._prop(props, 'diameter'));
+    return {
+      rim: this._number(this._prop(props, 'rim')),
+      sump: this._number(this._prop(props, 'sump')),
+      depth: this._number(this._prop(props, 'depth')),
+      diameter: diameter == null ? null : diameter < 5 ? diameter * 1000 : diameter,
+    };
+  },
+
+  /**
+   * 内部: 属性名の揺れを吸収して値を取得
+   */
+  _prop(props, key) {
+    const aliases = this.PROPS[key];
+    const name = Object.keys(props).find(k =>
+      aliases.includes(k.normalize('NFKC').toLowerCase().replace(/[\s_\-()（）]/g, '')));
+    return name != null && props[name] !== '' ? props[name] : null;
+  },
+
+  _number(value) {
+    if (value == null) return null;
+    const n = Number(String(value).normalize('NFKC').replace(/[,\s]/g, ''));
+    return isFinite(n) ? n : null;
+  },
+
+  _parseType(value) {
+    const v = value.normalize('NFKC').toLowerCase().replace(/[\s_\-]/g, '');
+    return Object.keys(this.TYPE_VALUES).find(type => this.TYPE_VALUES[type].includes(v)) || null;
+  },
+
+  /**
+   * 内部: EPSGコード → 座標系宣言
+   * 6669〜6687: JGD2011 平面直角 1〜19系 / 2443〜2461: JGD2000 平面直角（同等に扱う）
+   * 4326, 6668, 4612: 緯度経度
+   */
+  _crsFromEPSG(code) {
+    const n = parseInt(code, 10);
+    if (n >= 6669 && n <= 6687) return { type: 'jgd2011', zone: n - 6668 };
+    if (n >= 2443 && n <= 2461) return { type: 'jgd2011', zone: n - 2442 };
+    if ([4326, 6668, 4612].includes(n)) return { type: 'latlon' };
+    return null;
+  },
+
+  /**
+   * 内部: GeoJSON の crs メンバーからEPSGコードを取得（省略時は RFC 7946 の緯度経度）
+   */
+  _geoJSONEPSG(json) {
+    const crsName = json.crs && json.crs.properties && json.crs.properties.name;
+    if (!crsName || /CRS84$/i.test(crsName)) return 4326;
+    const m = String(crsName).match(/EPSG:*(\d+)$/i);
+    return m ? m[1] : null;
+  },
+
+  _unitToMeter(unit) {
+    return {
+      millimeter: 0.001, centimeter: 0.01, meter: 1, kilometer: 1000,
+      foot: 0.3048, USSurveyFoot: 1200 / 3937, inch: 0.0254,
+    }[unit] || 1;
+  },
+
+  /**
+   * 内部: 始点・終点の管底高を頂点ごとに水平距離で按分（頂点ごとの値があればそのまま）
+   */
+  _interpolate(plan, inverts) {
+    if (inverts.length === plan.length) return inverts;
+    const dist = [0];
+    for (let i = 1; i < plan.length; i++) {
+      dist.push(dist[i - 1] + Math.hypot(plan[i][0] - plan[i - 1][0], plan[i][1] - plan[i - 1][1]));
+    }
+    const total = dist[dist.length - 1] || 1;
+    const a = inverts[0];
+    const b = inverts[inverts.length - 1];
+    return dist.map(d => a + (b - a) * d / total);
+  },
+
+  /**
+   * 内部: 点を折れ線に投影（平面, mm）
+   * @returns {{distance: number, position: number, length: number}} 距離・始点からの追加距離・全長
+   */
+  _projectOnPath(point, vertices) {
+    let best = { distance: Infinity, position: 0 };
+    let along = 0;
+    for (let i = 1; i < vertices.length; i++) {
+      const [ax, ay] = vertices[i - 1];
+      const [bx, by] = vertices[i];
+      const dx = bx - ax;
+      const dy = by - ay;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, ((point[0] - ax) * dx + (point[1] - ay) * dy) / len2)) : 0;
+      const d = Math.hypot(point[0] - (ax + dx * t), point[1] - (ay + dy * t));
+      if (d < best.distance) best = { distance: d, position: along + Math.sqrt(len2) * t };
+      along += Math.sqrt(len2);
+    }
+    return { ...best, length: along };
+  },
+
+  /**
+   * 内部: 近くの管端の最も深い管底（mm）+ 100mm（マンホール深さの推定）
+   */
+  _deepestInvertNear(point, pipes, radius) {
+    let deepest = null;
+    pipes.forEach(p => {
+      [p.vertices[0], p.vertices[p.vertices.length - 1]].forEach(v => {
+        if (Math.hypot(v[0] - point[0], v[1] - point[1]) > radius) return;
+        const invert = -v[2] + (p.diameter || 0) / 2;
+        if (deepest === null || invert > deepest) deepest = invert;
+      });
+    });
+    return deepest !== null ? Math.round(deepest + 100) : this.DEFAULT_DEPTH;
+  },
+};
@@ -5,8 +5,11 @@
 const PipeModelFactory = {
   /**
    * 取付管＋本管の一式モデルを生成
+   * 管の中心線は PipeGeometry.getPath（vertices または略式）から求める
    * @param {Object} pipeData - パイプデータ（pipe-data.jsの個別パイプ）
    * @param {Object} options - 追加オプション
+   *   project: 接続先の本管・近くの他種別の埋設物を含むプロジェクトデータ
+   *   origin: グループ原点とするシーン座標（省略時は管の平面中心）
    * @returns {THREE.Group} パイプモデルグループ
    */
   createPipeAssembly(pipeData, options = {}) {
@@ -15,21 +18,32 @@ const PipeModelFactory = {
 
     // スケール: mm → m（Three.jsの単位はメートル）
     const scale = 0.001;
+    const project = options.project || { pipes: [pipeData], connections: [] };
+    const path = PipeGeometry.getPath(pipeData, project);
+    const origin = options.origin || PipeGeometry.planCenter(path);
 
     // 取付管を生成
-    const servicePipe = this.createPipe({
+    const servicePipe = this.createPipeFromPath(path.map(p => p.clone().sub(origin)), {
       diameter: pipeData.diameter * scale,
-      length: pipeData.length * scale,
-      depth: pipeData.depth * scale,
-      slope: pipeData.slope,
-      color: pipeData.color || 0x4fc3f7,
+      color: PipeUtility.color(pipeData),
       opacity: options.opacity || 0.7,
     });
-    group.add(servicePipe);
+    group.add(PipeUtility.tag(servicePipe, pipeData));
+
+    // 接続先の本管・近くの他種別の埋設物（プロジェクトデータがある場合）
+    if (options.project) {
+      const mainPipe = this.createConnectedMain(pipeData, options.project, origin);
+      if (mainPipe) group.add(mainPipe);
+      PipeUtility.nearbyPipeIds(pipeData.id, options.project).forEach(id => {
+        const other = options.project.pipes.find(p => p.id === id);
+        group.add(this.createNearbyPipe(other, options.project, origin));
+      });
+    }
 
-    // 寸法線を追加
+    // 寸法線を追加（管の平面中心に配置）
     if (options.showDimensions !== false) {
       const dims = this.createDimensionLabels(pipeData, scale);
+      dims.position.copy(PipeGeometry.planCenter(path).sub(origin));
       group.add(dims);
     }
 
@@ -37,16 +51,87 @@ const PipeModelFactory = {
   },
 
   /**
-   * 単体パイプを生成
+   * 取付管の接続先本管を生成
+   * @param {Object} pipeData - 取付管データ
+   * @param {Object} project - プロジェクトデータ（pipes / connections）
+   * @param {THREE.Vector3} origin - グループ原点のシーン座標
+   * @returns {THREE.Group|null}
+   */
+  createConnectedMain(pipeData, project, origin) {
+    const conn = PipeGeometry.findConnection(pipeData.id, project);
+    if (!conn) return null;
+    const main = (project.pipes || []).find(p => p.id === conn.to);
+    if (!main) return null;
+
+    const group = PipeUtility.tag(new THREE.Group(), main);
+    const mainPath = PipeGeometry.getPath(main, project);
+    group.add(this.createPipeFromPath(mainPath.map(p => p.clone().sub(origin)), {
+      diameter: main.diameter * 0.001,
+      color: PipeUtility.color(main),
+      opacity: 0.5,
+    }));
+
+    const joint = PipeGeometry.getConnectionPoint(conn, project).sub(origin);
+    const label = this.createTextSprite(main.label || main.id, PipeUtility.color(main));
+    label.position.set(joint.x, joint.y + 0.3, joint.z);
+    label.scale.set(0.5, 0.25, 1);
+    group.add(AnnotationLayers.tag(label, 'labels'));
+
+    return group;
+  },
+
+  /**
+   * 近くの他種別の埋設物（ガス管・水道管など）を生成
+   * @param {Object} pipe - 管データ
+   * @param {Object} project - プロジェクトデータ
+   * @param {THREE.Vector3} origin - グループ原点のシーン座標
+   * @returns {THREE.Group}
+   */
+  createNearbyPipe(pipe, project, origin) {
+    const group = PipeUtility.tag(new THREE.Group(), pipe);
+    group.name = pipe.label || pipe.id;
+    const points = PipeGeometry.getPath(pipe, project).map(p => p.clone().sub(origin));
+    group.add(this.createPipeFromPath(points, {
+      diameter: pipe.diameter * 0.001,
+      color: PipeUtility.color(pipe),
+      opacity: 0.5,
+    }));
+
+    const mid = PipeGeometry.pointAtDistance(points, PipeGeometry.pathLength(points) / 2).point;
+    const label = this.createTextSprite(pipe.label || PipeUtility.defaultLabel(pipe), PipeUtility.color(pipe));
+    label.position.set(mid.x, mid.y + 0.3, mid.z);
+    label.scale.set(0.6, 0.3, 1);
+    group.add(AnnotationLayers.tag(label, 'labels'));
+
+    return group;
+  },
+
+  /**
+   * 単体パイプを生成（略式: 長さ方向をZ軸、原点中心。depth は土被り）
    */
   createPipe({ diameter, length, depth, slope, color, opacity }) {
+    const drop = length * (slope || 0) / 100;
+    const center = depth + diameter / 2;
+    return this.createPipeFromPath([
+      new THREE.Vector3(0, -center + drop / 2, length / 2),
+      new THREE.Vector3(0, -center - drop / 2, -length / 2),
+    ], { diameter, color, opacity });
+  },
+
+  /**
+   * 中心線（折れ線）に沿ったパイプを生成
+   * @param {THREE.Vector3[]} points - 中心線（m）
+   * @param {Object} params - { diameter (m), color, opacity }
+   * @returns {THREE.Group}
+   */
+  createPipeFromPath(points, { diameter, color, opacity }) {
     const group = new THREE.Group();
 
     const radius = diameter / 2;
     const wallThickness = diameter * 0.1;
+    const innerRadius = radius - wallThickness;
 
     // 外管（半透明）
-    const outerGeometry = new THREE.CylinderGeometry(radius, radius, length, 32, 1, true);
     const outerMaterial = new THREE.MeshPhongMaterial({
       color: color,
       transparent: true,
@@ -54,18 +139,16 @@ const PipeModelFactory = {
       side: THREE.DoubleSide,
       depthWrite: false,
     });
-    const outerMesh = new THREE.Mesh(outerGeometry, outerMaterial);
+    const outerMeshes = PipeGeometry.createSegmentMeshes(points, radius, outerMaterial);
 
     // 内管
-    const innerRadius = radius - wallThickness;
-    const innerGeometry = new THREE.CylinderGeometry(innerRadius, innerRadius, length, 32, 1, true);
     const innerMaterial = new THREE.MeshPhongMaterial({
       color: 0x333333,
       transparent: true,
       opacity: 0.3,
       side: THREE.BackSide,
     });
-    const innerMesh = new THREE.Mesh(innerGeometry, innerMaterial);
+    const innerMeshes = PipeGeometry.createSegmentMeshes(points, innerRadius, innerMaterial);
 
     // 管端キャップ（両端）
     const capGeometry = new THREE.RingGeometry(innerRadius, radius, 32);
@@ -75,31 +158,25 @@ const PipeModelFactory = {
       opacity: opacity + 0.1,
       side: THREE.DoubleSide,
     });
-    const topCap = new THREE.Mesh(capGeometry, capMaterial);
-    topCap.position.y = length / 2;
-    topCap.rotation.x = Math.PI / 2;
-
-    const bottomCap = new THREE.Mesh(capGeometry, capMaterial);
-    bottomCap.position.y = -length / 2;
-    bottomCap.rotation.x = Math.PI / 2;
+    const last = points.length - 1;
+    [[points[0], points[1]], [points[last], points[last - 1]]].forEach(([end, next]) => {
+      const cap = new THREE.Mesh(capGeometry, capMaterial);
+      cap.position.copy(end);
+      cap.lookAt(next);
+      group.add(cap);
+    });
 
     // エッジライン（管の輪郭を強調）
-    const edgeGeometry = new THREE.EdgesGeometry(outerGeometry);
     const edgeMaterial = new THREE.LineBasicMaterial({ color: color, linewidth: 2 });
-    const edgeLine = new THREE.LineSegments(edgeGeometry, edgeMaterial);
-
-    group.add(outerMesh, innerMesh, topCap, bottomCap, edgeLine);
-
-    // パイプを横向きにする（Y軸がパイプの長さ方向 → Z軸方向に寝かせる）
-    group.rotation.x = Math.PI / 2;
-
-    // 勾配を適用
-    const slopeAngle = Math.atan(slope / 100);
-    group.rotation.z = slopeAngle;
-
-    // 深さの位置に配置（地表面が y=0）
-    group.position.y = -depth;
+    outerMeshes.forEach(mesh => {
+      if (mesh.geometry.type !== 'CylinderGeometry') return;
+      const edgeLine = new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry), edgeMaterial);
+      edgeLine.position.copy(mesh.position);
+      edgeLine.quaternion.copy(mesh.quaternion);
+      group.add(edgeLine);
+    });
 
+    group.add(...outerMeshes, ...innerMeshes);
     return group;
   },
 
@@ -119,7 +196,7 @@ const PipeModelFactory = {
       depthLineGeom,
       new THREE.LineBasicMaterial({ color: 0xffff00 })
     );
-    group.add(depthLine);
+    group.add(AnnotationLayers.tag(depthLine, 'dimensions'));
 
     // 深さの横棒（上下）
     const tickLen = 0.1;
@@ -128,26 +205,28 @@ const PipeModelFactory = {
         new THREE.Vector3(-0.3 - tickLen, y, 0),
         new THREE.Vector3(-0.3 + tickLen, y, 0),
       ]);
-      group.add(new THREE.Line(tickGeom, new THREE.LineBasicMaterial({ color: 0xffff00 })));
+      group.add(AnnotationLayers.tag(
+        new THREE.Line(tickGeom, new THREE.LineBasicMaterial({ color: 0xffff00 })), 'dimensions'
+      ));
     });
 
     // テキストスプライト: 深さ
     const depthSprite = this.createTextSprite(`深さ ${pipeData.depth}mm`, 0xffff00);
     depthSprite.position.set(-0.6, -depthM / 2, 0);
     depthSprite.scale.set(0.5, 0.25, 1);
-    group.add(depthSprite);
+    group.add(AnnotationLayers.tag(depthSprite, 'dimensions'));
 
     // テキストスプライト: 管径
     const diamSprite = this.createTextSprite(`φ${pipeData.diameter}mm`, 0x4fc3f7);
     diamSprite.position.set(0, -depthM + 0.15, 0);
     diamSprite.scale.set(0.4, 0.2, 1);
-    group.add(diamSprite);
+    group.add(AnnotationLayers.tag(diamSprite, 'labels'));
 
     // テキストスプライト: 勾配
     const slopeSprite = this.createTextSprite(`勾配 ${pipeData.slope}%`, 0x81c784);
     slopeSprite.position.set(pipeData.length * scale * 0.3, -depthM + 0.3, 0);
     slopeSprite.scale.set(0.4, 0.2, 1);
-    group.add(slopeSprite);
+    group.add(AnnotationLayers.tag(slopeSprite, 'labels'));
 
     return group;
   },
@@ -190,7 +269,9 @@ const PipeModelFactory = {
       transparent: true,
       depthTest: false,
     });
-    return new THREE.Sprite(material);
+    const sprite = new THREE.Sprite(material);
+    sprite.userData.text = text;
+    return sprite;
   },
 
   /**
@@ -225,6 +306,45 @@ const PipeModelFactory = {
     return group;
   },
 
+  /**
+   * GPS測位の誤差円（地表面）
+   * @param {number} radius - 誤差半径（m）
+   * @returns {THREE.Group}
+   */
+  createAccuracyCircle(radius) {
+    const group = new THREE.Group();
+    group.name = 'gpsAccuracy';
+
+    const fillMat = new THREE.MeshBasicMaterial({
+      color: 0x42a5f5,
+      transparent: true,
+      opacity: 0.12,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    const fill = new THREE.Mesh(new THREE.CircleGeometry(radius, 48), fillMat);
+    fill.rotation.x = -Math.PI / 2;
+    group.add(fill);
+
+    const edgeMat = new THREE.MeshBasicMaterial({
+      color: 0x42a5f5,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide,
+    });
+    const width = Math.min(0.05, radius * 0.05);
+    const edge = new THREE.Mesh(new THREE.RingGeometry(radius - width, radius, 64), edgeMat);
+    edge.rotation.x = -Math.PI / 2;
+    group.add(edge);
+
+    const label = this.createTextSprite(`GPS誤差 ±${radius.toFixed(1)}m`, 0x42a5f5);
+    label.position.set(0, 0.3, -radius);
+    label.scale.set(0.8, 0.4, 1);
+    group.add(label);
+
+    return group;
+  },
+
   /**
    * レティクル（AR平面検出時の照準）
    */
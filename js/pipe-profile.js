@@ -0,0 +1,188 @@
+/**
+ * 縦断（本管ルートに沿った断面）の計算
+ * 端点がつながる本管を上流から下流へ連結して1ルートとし、
+ * 追加距離 s（水平距離 m）ごとの管中心の高さ・マンホール・取付管の接続位置を求める
+ * 高さはローカル座標（地表面 = 0, m）。datum に原点の地盤高（標高 m）を持つ
+ */
+const PipeProfile = {
+  SNAP: 1.0, // 端点の連結・マンホールの割当てに使う距離（m）
+
+  /**
+   * 本管ルートの一覧
+   * @param {Object} data - プロジェクトデータ
+   * @returns {string[][]} 本管IDの配列（上流 → 下流）の一覧
+   */
+  buildRoutes(data) {
+    const mains = data.pipes.filter(p => p.type === 'main').map(pipe => {
+      const points = PipeGeometry.getPath(pipe, data);
+      return { id: pipe.id, start: points[0], end: points[points.length - 1] };
+    });
+    const near = (a, b) => Math.hypot(a.x - b.x, a.z - b.z) <= this.SNAP;
+    const used = new Set();
+    const routes = [];
+    const follow = (head) => {
+      const route = [];
+      for (let m = head; m && !used.has(m.id); m = mains.find(n => !used.has(n.id) && near(m.end, n.start))) {
+        used.add(m.id);
+        route.push(m.id);
+      }
+      return route;
+    };
+    // 上流側に続く本管が無いものから辿る（残りは環状などのため単独で辿る）
+    mains.filter(m => !mains.some(n => n !== m && near(n.end, m.start))).forEach(m => routes.push(follow(m)));
+    mains.forEach(m => {
+      if (!used.has(m.id)) routes.push(follow(m));
+    });
+    return routes;
+  },
+
+  /**
+   * 管を含むルート（取付管の場合は接続先本管のルート）
+   * @returns {string[]|null}
+   */
+  findRoute(pipeId, data) {
+    const conn = PipeGeometry.findConnection(pipeId, data);
+    const target = conn ? conn.to : pipeId;
+    return this.buildRoutes(data).find(route => route.includes(target)) || null;
+  },
+
+  /**
+   * ルートの縦断を計算
+   * @param {string[]} route - 本管ID（上流 → 下流）
+   * @param {Object} data - プロジェクトデータ
+   * @returns {Object} { route, length, datum, pipes, manholes, connections }
+   *   pipes: [{ pipe, start, end, radius, points: [{s, z}] }]（z: 管中心の高さ m）
+   *   manholes: [{ manhole, s, depth }]、connections: [{ pipe, conn, s, z }]
+   */
+  build(route, data) {
+    const pipes = [];
+    let offset = 0;
+    route.forEach(id => {
+      const pipe = data.pipes.find(p => p.id === id);
+      if (!pipe) return;
+      const points = PipeGeometry.getPath(pipe, data);
+      let s = offset;
+      const profilePoints = points.map((p, i) => {
+        if (i > 0) s += Math.hypot(p.x - points[i - 1].x, p.z - points[i - 1].z);
+        return { s, z: p.y };
+      });
+      pipes.push({
+        pipe,
+        plan: points,
+        start: offset,
+        end: s,
+        radius: (pipe.diameter || 0) * PipeGeometry.SCALE / 2,
+        points: profilePoints,
+      });
+      offset = s;
+    });
+
+    const manholes = [];
+    (data.manholes || []).forEach(mh => {
+      const at = this._projectPoint(PipeGeometry.getManholePoint(mh, data), pipes);
+      if (at && at.distance <= this.SNAP) {
+        manholes.push({ manhole: mh, s: at.s, depth: (mh.depth || 0) * PipeGeometry.SCALE });
+      }
+    });
+
+    const connections = [];
+    (data.connections || []).forEach(conn => {
+      const main = pipes.find(p => p.pipe.id === conn.to);
+      const service = data.pipes.find(p => p.id === conn.from);
+      if (!main || !service) return;
+      const s = Math.min(main.start + (conn.position || 0) * PipeGeometry.SCALE, main.end);
+      connections.push({ pipe: service, conn, s, z: this.zAt(main, s) });
+    });
+
+    manholes.sort((a, b) => a.s - b.s);
+    connections.sort((a, b) => a.s - b.s);
+    return {
+      route,
+      length: offset,
+      datum: (data.origin && data.origin.h) || 0,
+      pipes,
+      manholes,
+      connections,
+    };
+  },
+
+  /**
+   * 管中心の高さ（m）を追加距離 s で補間
+   * @param {Object} entry - build() の pipes の要素
+   */
+  zAt(entry, s) {
+    const pts = entry.points;
+    if (s <= pts[0].s) return pts[0].z;
+    for (let i = 1; i < pts.length; i++) {
+      if (s <= pts[i].s) {
+        const t = pts[i].s > pts[i - 1].s ? (s - pts[i - 1].s) / (pts[i].s - pts[i - 1].s) : 0;
+        return pts[i - 1].z + (pts[i].z - pts[i - 1].z) * t;
+      }
+    }
+    return pts[pts.length - 1].z;
+  },
+
+  /**
+   * 追加距離 s の平面位置と進行方向（シーン座標, 地表面）
+   * @returns {{point: THREE.Vector3, direction: THREE.Vector3}|null}
+   */
+  pointAt(profile, s) {
+    const entry = profile.pipes.find(p => s <= p.end) || profile.pipes[profile.pipes.length - 1];
+    if (!entry) return null;
+    const at = PipeGeometry.pointAtDistance(entry.plan, s - entry.start, true);
+    const direction = at.direction.clone().setY(0).normalize();
+    return { point: at.point.setY(0), direction };
+  },
+
+  /**
+   * 平面上の点に最も近いルート上の追加距離（m）
+   */
+  chainageAt(profile, point) {
+    const at = this._projectPoint(point, profile.pipes);
+    return at ? at.s : 0;
+  },
+
+  /**
+   * 縦断表の測点（管の折れ点・マンホール・接続位置）
+   * @returns {Object[]} { s, name, ground, invert, cover }（m。ground / invert は標高）
+   */
+  stations(profile) {
+    const list = [];
+    const add = (s, name) => {
+      const entry = profile.pipes.find(p => s >= p.start - 1e-6 && s <= p.end + 1e-6);
+      if (!entry) return;
+      const z = this.zAt(entry, s);
+      const existing = list.find(st => Math.abs(st.s - s) < 0.01);
+      if (existing) {
+        if (name && !existing.name) existing.name = name;
+        return;
+      }
+      list.push({
+        s,
+        name: name || '',
+        ground: profile.datum,
+        invert: profile.datum + z - entry.radius,
+        cover: -(z + entry.radius),
+      });
+    };
+    profile.manholes.forEach(m => add(m.s, m.manhole.id));
+    profile.connections.forEach(c => add(c.s, c.pipe.id));
+    profile.pipes.forEach(p => p.points.forEach(pt => add(pt.s)));
+    return list.sort((a, b) => a.s - b.s);
+  },
+
+  /**
+   * 内部: 平面上の点をルートに投影
+   * @returns {{s: number, distance: number}|null}
+   */
+  _projectPoint(point, pipes) {
+    let best = null;
+    pipes.forEach(entry => {
+      const at = PipeGeometry.projectOnPlan(entry.plan, point);
+      if (at && (!best || at.distance < best.distance)) {
+        best = { s: entry.start + at.along, distance: at.distance };
+      }
+    });
+    return best;
+  },
+};
@@ -0,0 +1,472 @@
+/**
+ * 配管データ（SAMPLE_PIPE_DATA形式）のスキーマ検証
+ * 項目ごとのJSONパス付きでエラー/警告を返す
+ * 管の depth は土被り（地表面から管頂まで, mm。勾配のある管は両端の中間の値）。
+ * vertices の z は管中心の高さ（mm, 地表面 = 0）で、vertices から補完する depth は管径の半分を引いて求める
+ */
+const PipeDataValidator = {
+  PIPE_TYPES: ['main', 'service'],
+
+  /**
+   * データを検証
+   * @param {Object} data - 配管データ
+   * @returns {{valid: boolean, errors: Object[], warnings: Object[]}} 各要素は { path, message }
+   */
+  validate(data) {
+    const report = { valid: true, errors: [], warnings: [] };
+    const error = (path, message) => report.errors.push({ path, message });
+    const warn = (path, message) => report.warnings.push({ path, message });
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      error('$', 'オブジェクト形式のデータが必要です');
+      report.valid = false;
+      return report;
+    }
+    if (data.project != null && typeof data.project !== 'string') {
+      error('project', '文字列が必要です');
+    } else if (!data.project) {
+      warn('project', '工事名が未設定です');
+    }
+
+    if (!Array.isArray(data.pipes)) {
+      error('pipes', '配列が必要です');
+      report.valid = false;
+      return report;
+    }
+    if (data.pipes.length === 0) error('pipes', '管が1本以上必要です');
+
+    // --- 座標系 ---
+    const georeferenced = this._checkCRS(report, data);
+
+    // --- 管 ---
+    const pipeIds = new Map();
+    data.pipes.forEach((p, i) => {
+      const path = `pipes[${i}]`;
+      if (!p || typeof p !== 'object') {
+        error(path, 'オブジェクトが必要です');
+        return;
+      }
+      if (p.id == null || p.id === '') {
+        warn(`${path}.id`, `未設定のため P-${i + 1} とします`);
+      } else if (typeof p.id !== 'string') {
+        error(`${path}.id`, '文字列が必要です');
+      } else if (pipeIds.has(p.id)) {
+        error(`${path}.id`, `'${p.id}' が pipes[${pipeIds.get(p.id)}] と重複しています`);
+      } else {
+        pipeIds.set(p.id, i);
+      }
+      if (p.type == null) {
+        warn(`${path}.type`, "未設定のため 'service' とします");
+      } else if (!this.PIPE_TYPES.includes(p.type)) {
+        error(`${path}.type`, `${this.PIPE_TYPES.map(t => `'${t}'`).join(' / ')} のいずれかが必要です`);
+      }
+      if (p.utility != null && !PipeUtility.TYPES[p.utility]) {
+        error(`${path}.utility`, `${Object.keys(PipeUtility.TYPES).map(t => `'${t}'`).join(' / ')} のいずれかが必要です`);
+      }
+      // vertices（折れ線）がある場合、延長・深さ・勾配は省略可（頂点から算出）
+      let hasVertices = this._checkVertices(report, p, path);
+      if (p.coords != null) {
+        if (!georeferenced) error(`${path}.coords`, '測量座標を使うには crs と origin が必要です');
+        hasVertices = this._checkVertices(report, p, path, 'coords') || hasVertices;
+      }
+      this._checkNumber(report, p, 'diameter', path, { min: 0, exclusive: true, required: true });
+      this._checkNumber(report, p, 'length', path, { min: 0, exclusive: true, required: !hasVertices });
+      this._checkNumber(report, p, 'depth', path, { min: 0, required: !hasVertices });
+      this._checkNumber(report, p, 'slope', path, { min: -100, max: 100 });
+      if (p.slope == null && !hasVertices) warn(`${path}.slope`, '未設定です（0% として表示）');
+      if (p.material != null && typeof p.material !== 'string') {
+        error(`${path}.material`, '文字列が必要です');
+      }
+      if (p.color != null &&
+          (!Number.isInteger(p.color) || p.color < 0 || p.color > 0xffffff)) {
+        error(`${path}.color`, '0x000000〜0xffffff の整数が必要です');
+      }
+    });
+
+    // --- 接続 ---
+    const connections = data.connections == null ? [] : data.connections;
+    if (!Array.isArray(connections)) {
+      error('connections', '配列が必要です');
+    } else {
+      connections.forEach((c, i) => {
+        const path = `connections[${i}]`;
+        if (!c || typeof c !== 'object') {
+          error(path, 'オブジェクトが必要です');
+          return;
+        }
+        ['from', 'to'].forEach(key => {
+          if (c[key] == null) {
+            error(`${path}.${key}`, '管IDが必要です');
+          } else if (!pipeIds.has(c[key])) {
+            error(`${path}.${key}`, `'${c[key]}' が pipes に見つかりません`);
+          }
+        });
+        if (c.from != null && c.from === c.to) error(`${path}.to`, '接続元と同じ管です');
+        this._checkNumber(report, c, 'position', path, { min: 0, required: true });
+        const main = pipeIds.has(c.to) ? data.pipes[pipeIds.get(c.to)] : null;
+        if (main) {
+          if (main.type !== 'main') warn(`${path}.to`, `'${c.to}' は本管（type: 'main'）ではありません`);
+          const from = pipeIds.has(c.from) ? data.pipes[pipeIds.get(c.from)] : null;
+          if (from && PipeUtility.of(from) !== PipeUtility.of(main)) {
+            warn(`${path}.to`, `'${c.from}'（${PipeUtility.TYPES[PipeUtility.of(from)].label}）と '${c.to}'（${PipeUtility.TYPES[PipeUtility.of(main)].label}）は埋設物の種別が異なります`);
+          }
+          if (typeof c.position === 'number' && typeof main.length === 'number' &&
+              c.position > main.length) {
+            warn(`${path}.position`, `接続先 '${c.to}' の延長 ${main.length}mm を超えています`);
+          }
+        }
+      });
+      data.pipes.forEach((p, i) => {
+        if (p && p.type === 'service' && p.id && !connections.some(c => c && c.from === p.id)) {
+          warn(`pipes[${i}]`, `${PipeUtility.typeName(p)} '${p.id}' の接続先が connections にありません`);
+        }
+      });
+    }
+
+    // --- マンホール ---
+    const manholes = data.manholes == null ? [] : data.manholes;
+    if (!Array.isArray(manholes)) {
+      error('manholes', '配列が必要です');
+    } else {
+      const mhIds = new Set();
+      manholes.forEach((m, i) => {
+        const path = `manholes[${i}]`;
+        if (!m || typeof m !== 'object') {
+          error(path, 'オブジェクトが必要です');
+          return;
+        }
+        if (!m.id) {
+          warn(`${path}.id`, '未設定です');
+        } else if (mhIds.has(m.id)) {
+          warn(`${path}.id`, `'${m.id}' が重複しています`);
+        }
+        mhIds.add(m.id);
+        if (m.coord != null) {
+          if (!georeferenced) {
+            error(`${path}.coord`, '測量座標を使うには crs と origin が必要です');
+          } else if (!Array.isArray(m.coord) || m.coord.length < 2 ||
+                     !m.coord.every(n => typeof n === 'number' && isFinite(n))) {
+            error(`${path}.coord`, '[X, Y] または [lat, lon] の数値が必要です');
+          }
+        }
+        const hasXY = (m.x != null && m.y != null) || m.coord != null;
+        this._checkNumber(report, m, 'position', path, { min: 0, required: !hasXY });
+        this._checkNumber(report, m, 'x', path, {});
+        this._checkNumber(report, m, 'y', path, {});
+        if (m.pipe != null && !pipeIds.has(m.pipe)) {
+          error(`${path}.pipe`, `'${m.pipe}' が pipes に見つかりません`);
+        }
+        this._checkNumber(report, m, 'depth', path, { min: 0, exclusive: true, required: true });
+        this._checkNumber(report, m, 'diameter', path, { min: 0, exclusive: true, required: true });
+      });
+    }
+
+    // --- 掘削 ---
+    if (data.excavation != null) {
+      if (typeof data.excavation !== 'object') {
+        error('excavation', 'オブジェクトが必要です');
+      } else {
+        this._checkExcavation(report, data.excavation, 'excavation', pipeIds, true);
+      }
+    }
+
+    // --- 掘削計画（管ごと・掘削IDごと） ---
+    if (data.excavations != null) {
+      if (!Array.isArray(data.excavations)) {
+        error('excavations', '配列が必要です');
+      } else {
+        const planIds = new Map();
+        data.excavations.forEach((ex, i) => {
+          const path = `excavations[${i}]`;
+          if (!ex || typeof ex !== 'object') {
+            error(path, 'オブジェクトが必要です');
+            return;
+          }
+          if (ex.id == null || ex.id === '') {
+            error(`${path}.id`, '掘削IDが必要です');
+          } else if (typeof ex.id !== 'string') {
+            error(`${path}.id`, '文字列が必要です');
+          } else if (planIds.has(ex.id)) {
+            error(`${path}.id`, `'${ex.id}' が excavations[${planIds.get(ex.id)}] と重複しています`);
+          } else {
+            planIds.set(ex.id, i);
+          }
+          if (ex.follow != null && typeof ex.follow !== 'boolean') {
+            error(`${path}.follow`, 'true / false が必要です');
+          }
+          if (ex.name != null && typeof ex.name !== 'string') {
+            error(`${path}.name`, '文字列が必要です');
+          }
+          if (ex.position != null) {
+            const p = ex.position;
+            if (!Array.isArray(p) || p.length !== 2 || !p.every(n => typeof n === 'number' && isFinite(n))) {
+              error(`${path}.position`, '[x, y]（mm）の数値配列が必要です');
+            }
+          }
+          this._checkNumber(report, ex, 'rotation', path, {});
+          // 管路に沿わせる計画は幅・深さ・延長を管から求める
+          this._checkExcavation(report, ex, path, pipeIds, !ex.pipe || ex.follow === false);
+        });
+      }
+    }
+
+    // --- 離隔の規定値 ---
+    if (data.clearance != null) {
+      if (typeof data.clearance !== 'object' || Array.isArray(data.clearance)) {
+        error('clearance', 'オブジェクトが必要です');
+      } else {
+        ['pipe', 'manhole', 'excavation'].forEach(key => {
+          this._checkNumber(report, data.clearance, key, 'clearance', { min: 0 });
+        });
+      }
+    }
+
+    // --- 掘削の安全基準 ---
+    if (data.safety != null) {
+      const sf = data.safety;
+      if (typeof sf !== 'object' || Array.isArray(sf)) {
+        error('safety', 'オブジェクトが必要です');
+      } else {
+        if (sf.soil != null && !ExcavationSafety.SOILS[sf.soil]) {
+          error('safety.soil', `${Object.keys(ExcavationSafety.SOILS).map(t => `'${t}'`).join(' / ')} のいずれかが必要です`);
+        }
+        ['shoringDepth', 'spoilDistance'].forEach(key => {
+          this._checkNumber(report, sf, key, 'safety', { min: 0 });
+        });
+      }
+    }
+
+    // --- 土量計算書の設定 ---
+    if (data.takeoff != null) {
+      const t = data.takeoff;
+      if (typeof t !== 'object' || Array.isArray(t)) {
+        error('takeoff', 'オブジェクトが必要です');
+      } else {
+        ['beddingCover', 'pavementThickness', 'baseThickness'].forEach(key => {
+          this._checkNumber(report, t, key, 'takeoff', { min: 0 });
+        });
+        this._checkNumber(report, t, 'loosening', 'takeoff', { min: 1, max: 2 });
+        if (t.reuseBackfill != null && typeof t.reuseBackfill !== 'boolean') {
+          error('takeoff.reuseBackfill', 'true / false が必要です');
+        }
+      }
+    }
+
+    // --- 計測 ---
+    if (data.measurements != null) {
+      if (!Array.isArray(data.measurements)) {
+        error('measurements', '配列が必要です');
+      } else {
+        data.measurements.forEach((m, i) => {
+          const path = `measurements[${i}]`;
+          if (!m || typeof m !== 'object') {
+            error(path, 'オブジェクトが必要です');
+            return;
+          }
+          ['from', 'to'].forEach(key => {
+            const p = m[key];
+            if (!Array.isArray(p) || p.length !== 3 || !p.every(n => typeof n === 'number' && isFinite(n))) {
+              error(`${path}.${key}`, '[x, y, z]（mm）の数値配列が必要です');
+            }
+          });
+        });
+      }
+    }
+
+    report.valid = report.errors.length === 0;
+    return report;
+  },
+
+  /**
+   * 省略項目に既定値を設定（検証後に呼ぶ）
+   * @param {Object} data - 配管データ（直接書き換える）
+   * @returns {Object} data
+   */
+  applyDefaults(data) {
+    data.pipes.forEach((p, i) => {
+      if (!p.id) p.id = `P-${i + 1}`;
+      if (!p.type) p.type = 'service';
+      if (Array.isArray(p.vertices) && p.vertices.length >= 2) {
+        const derived = PipeGeometry.deriveFromVertices(p.vertices, p.diameter || 0);
+        if (p.length == null) p.length = derived.length;
+        if (p.depth == null) p.depth = derived.depth;
+        if (p.slope == null) p.slope = derived.slope;
+      }
+      if (p.slope == null) p.slope = 0;
+      if (!p.utility) p.utility = PipeUtility.DEFAULT;
+      if (!p.color) p.color = PipeUtility.defaultColor(p);
+      if (!p.label) p.label = PipeUtility.defaultLabel(p);
+    });
+    if (!data.excavation) data.excavation = { width: 800, depth: 1500, length: 6000 };
+    if (!data.connections) data.connections = [];
+    if (!data.manholes) data.manholes = [];
+    return data;
+  },
+
+  /**
+   * 検証結果をモーダル（#validationModal）に表示
+   * @param {Object} report - validate の戻り値
+   * @param {string} title - 見出し
+   */
+  showReport(report, title) {
+    const modal = document.getElementById('validationModal');
+    if (!modal) {
+      alert(title + '\n' + this.formatReport(report));
+      return;
+    }
+    document.getElementById('validationTitle').textContent = title;
+    const list = document.getElementById('validationList');
+    list.innerHTML = '';
+    [
+      ...report.errors.map(item => ({ ...item, level: 'error' })),
+      ...report.warnings.map(item => ({ ...item, level: 'warning' })),
+    ].forEach(item => {
+      const li = document.createElement('li');
+      li.className = 'validation-' + item.level;
+      const path = document.createElement('code');
+      path.textContent = item.path;
+      li.append(item.level === 'error' ? 'エラー ' : '警告 ', path, ' ' + item.message);
+      list.appendChild(li);
+    });
+    document.getElementById('btnCloseValidation').onclick = () => {
+      modal.style.display = 'none';
+    };
+    modal.style.display = 'flex';
+  },
+
+  /**
+   * 検証結果をテキストに整形（ログ・alert用）
+   */
+  formatReport(report) {
+    return [
+      ...report.errors.map(e => `[エラー] ${e.path}: ${e.message}`),
+      ...report.warnings.map(w => `[警告] ${w.path}: ${w.message}`),
+    ].join('\n');
+  },
+
+  /**
+   * 内部: 座標系 crs / origin の検証
+   * @returns {boolean} 有効な座標系が宣言されているか
+   */
+  _checkCRS(report, data) {
+    if (data.crs == null && data.origin == null) return false;
+    const error = (path, message) => report.errors.push({ path, message });
+    const crs = data.crs;
+    const origin = data.origin;
+    if (!crs || typeof crs !== 'object') {
+      error('crs', "{ type: 'jgd2011', zone } または { type: 'latlon' } が必要です");
+      return false;
+    }
+    if (!origin || typeof origin !== 'object') {
+      error('origin', 'ローカル座標の原点が必要です');
+      return false;
+    }
+    const before = report.errors.length;
+    if (crs.type === 'jgd2011') {
+      if (!GeoCoords.ZONES[crs.zone]) error('crs.zone', '1〜19 の系番号が必要です');
+      this._checkNumber(report, origin, 'x', 'origin', { required: true });
+      this._checkNumber(report, origin, 'y', 'origin', { required: true });
+    } else if (crs.type === 'latlon') {
+      this._checkNumber(report, origin, 'lat', 'origin', { min: -90, max: 90, required: true });
+      this._checkNumber(report, origin, 'lon', 'origin', { min: -180, max: 180, required: true });
+    } else {
+      error('crs.type', "'jgd2011' または 'latlon' が必要です");
+    }
+    this._checkNumber(report, origin, 'h', 'origin', {});
+    if (origin.h == null && (data.pipes || []).some(p => p && p.coords)) {
+      error('origin.h', '測量座標（標高）を使う場合は原点の地盤高が必要です');
+    }
+    if (data.declination != null &&
+        (typeof data.declination !== 'number' || !isFinite(data.declination) || Math.abs(data.declination) > 180)) {
+      error('declination', `-180〜180 の数値（度, 西偏が正）が必要です（'${data.declination}'）`);
+    }
+    return report.errors.length === before;
+  },
+
+  /**
+   * 内部: 頂点座標 vertices / coords の検証
+   * @returns {boolean} 有効な頂点列を持つか
+   */
+  _checkVertices(report, pipe, basePath, key = 'vertices') {
+    if (pipe[key] == null) return false;
+    const path = `${basePath}.${key}`;
+    if (!Array.isArray(pipe[key])) {
+      report.errors.push({ path, message: '[x, y, z] の配列が必要です' });
+      return false;
+    }
+    if (pipe[key].length < 2) {
+      report.errors.push({ path, message: '始点・終点の2点以上が必要です' });
+      return false;
+    }
+    let valid = true;
+    pipe[key].forEach((v, j) => {
+      if (!Array.isArray(v) || v.length !== 3 || !v.every(n => typeof n === 'number' && isFinite(n))) {
+        report.errors.push({ path: `${path}[${j}]`, message: '[x, y, z]（mm の数値3つ）が必要です' });
+        valid = false;
+      }
+    });
+    return valid;
+  },
+
+  /**
+   * 内部: 数値項目の検証
+   * @param {Object} options - { min?, max?, exclusive?: minを含まない, required? }
+   */
+  /**
+   * 内部: 掘削パラメータを検証
+   * @param {boolean} sizeRequired - 幅・深さ・延長を必須とする
+   */
+  _checkExcavation(report, ex, path, pipeIds, sizeRequired) {
+    this._checkNumber(report, ex, 'width', path, { min: 0, exclusive: true, required: sizeRequired });
+    this._checkNumber(report, ex, 'depth', path, { min: 0, exclusive: true, required: sizeRequired });
+    if (sizeRequired && ex.length == null && ex.lengthFront == null && ex.lengthBack == null) {
+      report.errors.push({ path: `${path}.length`, message: 'length または lengthFront / lengthBack が必要です' });
+    }
+    ['length', 'lengthFront', 'lengthBack'].forEach(key => {
+      this._checkNumber(report, ex, key, path, { min: 0, exclusive: true });
+    });
+    if (ex.shape != null && !ExcavationManager.SHAPES[ex.shape]) {
+      report.errors.push({
+        path: `${path}.shape`,
+        message: `${Object.keys(ExcavationManager.SHAPES).map(t => `'${t}'`).join(' / ')} のいずれかが必要です`,
+      });
+    }
+    this._checkNumber(report, ex, 'slope', path, { min: 0, max: 5 });
+    ['benchHeight', 'benchWidth', 'shoringThickness'].forEach(key => {
+      this._checkNumber(report, ex, key, path, { min: 0, exclusive: true });
+    });
+    this._checkNumber(report, ex, 'shoringEmbed', path, { min: 0 });
+    ['clearanceBelow', 'clearanceSide', 'spoilDistance'].forEach(key => {
+      this._checkNumber(report, ex, key, path, { min: 0 });
+    });
+    if (ex.pipe != null) {
+      if (typeof ex.pipe !== 'string') {
+        report.errors.push({ path: `${path}.pipe`, message: '管IDの文字列が必要です' });
+      } else if (!pipeIds.has(ex.pipe)) {
+        report.warnings.push({ path: `${path}.pipe`, message: `管 '${ex.pipe}' が見つかりません（設置点基準の掘削として表示します）` });
+      }
+    }
+  },
+
+  _checkNumber(report, obj, key, basePath, options) {
+    const path = `${basePath}.${key}`;
+    const value = obj[key];
+    if (value == null) {
+      if (options.required) report.errors.push({ path, message: '数値が必要です' });
+      return;
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      report.errors.push({ path, message: `数値が必要です（'${value}'）` });
+      return;
+    }
+    if (options.min != null) {
+      if (options.exclusive ? value <= options.min : value < options.min) {
+        report.errors.push({ path, message: `${options.exclusive ? '>' : '>='} ${options.min} が必要です（${value}）` });
+        return;
+      }
+    }
+    if (options.max != null && value > options.max) {
+      report.errors.push({ path, message: `<= ${options.max} が必要です（${value}）` });
+    }
+  },
+};
@@ -0,0 +1,139 @@
+/**
+ * 横断（本管に直交する鉛直面での断面）の計算
+ * 断面上の座標は u（本管の下流を向いて右が正, m）と z（地表面 = 0, m）
+ */
+const PipeSection = {
+  /**
+   * 断面の基準（本管ルートの追加距離 s の位置）
+   * @param {Object} profile - PipeProfile.build() の結果
+   * @param {number} s - 追加距離（m）
+   * @returns {{s: number, origin: THREE.Vector3, direction: THREE.Vector3, right: THREE.Vector3}|null}
+   */
+  frameAt(profile, s) {
+    const at = PipeProfile.pointAt(profile, s);
+    if (!at) return null;
+    return {
+      s,
+      origin: at.point,
+      direction: at.direction,
+      right: new THREE.Vector3(-at.direction.z, 0, at.direction.x),
+    };
+  },
+
+  /**
+   * クリッピング平面（断面より上流側を残す）
+   * @returns {THREE.Plane}
+   */
+  clippingPlane(frame, target = new THREE.Plane()) {
+    return target.setFromNormalAndCoplanarPoint(frame.direction.clone().negate(), frame.origin);
+  },
+
+  /**
+   * 断面を計算
+   * @param {Object} data - プロジェクトデータ
+   * @param {Object} frame - frameAt() の結果
+   * @param {THREE.Mesh[]} outlineMeshes - 断面線を求めるメッシュ（掘削領域など）
+   * @returns {Object} { frame, pipes, runs, gaps, outline }
+   *   pipes: 断面を横切る管 [{pipe, u, z, radius, cover}]（cover: 管頂までの土被り m）
+   *   runs: 断面内を通る管（本管に直交する取付管など） [{pipe, from: {u, z}, to: {u, z}, radius, cover}]
+   *   gaps: 隣り合う管の外面間の離隔 [{a, b, distance}]（m）、outline: 断面線 [[[u, z], [u, z]], ...]
+   */
+  build(data, frame, outlineMeshes = []) {
+    const pipes = [];
+    const runs = [];
+    PipeGeometry.buildLayout(data).forEach(({ pipe, points, radius }) => {
+      const { hits, inPlane } = this._intersectPath(points, frame);
+      hits.forEach(p => {
+        const { u, z } = this._toSection(p, frame);
+        pipes.push({ pipe, u, z, radius, cover: -(z + radius) });
+      });
+      inPlane.forEach(([a, b]) => {
+        const from = this._toSection(a, frame);
+        const to = this._toSection(b, frame);
+        runs.push({ pipe, from, to, radius, cover: -(Math.max(from.z, to.z) + radius) });
+      });
+    });
+    pipes.sort((a, b) => a.u - b.u);
+
+    const gaps = [];
+    for (let i = 1; i < pipes.length; i++) {
+      const a = pipes[i - 1];
+      const b = pipes[i];
+      gaps.push({ a, b, distance: Math.hypot(b.u - a.u, b.z - a.z) - a.radius - b.radius });
+    }
+
+    const outline = [];
+    outlineMeshes.forEach(mesh => {
+      this._intersectMesh(mesh, frame).forEach(seg => outline.push(seg));
+    });
+    return { frame, pipes, runs, gaps, outline };
+  },
+
+  /**
+   * 内部: 折れ線と断面の交点・断面内の区間
+   * @returns {{hits: THREE.Vector3[], inPlane: THREE.Vector3[][]}}
+   */
+  _intersectPath(points, frame) {
+    const EPS = 1e-4;
+    const hits = [];
+    const inPlane = [];
+    const dist = p => {
+      const d = p.clone().sub(frame.origin).dot(frame.direction);
+      return Math.abs(d) < EPS ? 0 : d;
+    };
+    for (let i = 1; i < points.length; i++) {
+      const da = dist(points[i - 1]);
+      const db = dist(points[i]);
+      if (da === 0 && db === 0) {
+        inPlane.push([points[i - 1], points[i]]);
+        continue;
+      }
+      if ((da < 0 && db < 0) || (da > 0 && db > 0)) continue;
+      // 折れ点ちょうどの交点は前の区間で数える
+      if (db === 0 && i < points.length - 1) continue;
+      hits.push(points[i - 1].clone().lerp(points[i], da / (da - db)));
+    }
+    return { hits, inPlane };
+  },
+
+  /**
+   * 内部: メッシュ（三角形）と断面の交線
+   * @returns {number[][][]} 断面座標の線分
+   */
+  _intersectMesh(mesh, frame) {
+    const geometry = mesh.geometry;
+    const position = geometry && geometry.attributes.position;
+    if (!position) return [];
+    mesh.updateWorldMatrix(true, false);
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    const v = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const segments = [];
+    for (let i = 0; i + 2 < count; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        v[k].fromBufferAttribute(position, index ? index.getX(i + k) : i + k).applyMatrix4(mesh.matrixWorld);
+      }
+      const d = v.map(p => p.clone().sub(frame.origin).dot(frame.direction));
+      const pts = [];
+      for (let k = 0; k < 3; k++) {
+        const a = k;
+        const b = (k + 1) % 3;
+        if ((d[a] < 0) !== (d[b] < 0)) {
+          pts.push(v[a].clone().lerp(v[b], d[a] / (d[a] - d[b])));
+        }
+      }
+      if (pts.length === 2) {
+        const [p, q] = pts.map(pt => this._toSection(pt, frame));
+        segments.push([[p.u, p.z], [q.u, q.z]]);
+      }
+    }
+    return segments;
+  },
+
+  _toSection(point, frame) {
+    return {
+      u: point.clone().sub(frame.origin).dot(frame.right),
+      z: point.y,
+    };
+  },
+};
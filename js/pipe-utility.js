@@ -0,0 +1,195 @@
+/**
+ * 埋設物の種別（下水道・上水道・ガス・電力・通信）
+ * 管の utility に種別を設定する（省略時は下水道）。type（main / service）は各種別の本管・引込管を表す
+ * 表示色は埋設物の標準色（下水道: 茶, 上水道: 青, ガス: 緑, 電力: 橙, 通信: 赤）。引込管は淡色
+ */
+const PipeUtility = {
+  DEFAULT: 'sewer',
+  NEARBY_DISTANCE: 5000, // AR表示に同梱する他種別の管の範囲（対象管からの水平距離 mm）
+
+  TYPES: {
+    sewer: {
+      label: '下水道', main: '本管', service: '取付管',
+      color: 0x8d6e63, serviceColor: 0xbcaaa4,
+      aliases: ['sewer', '下水', '下水道', '汚水', '雨水', '合流'],
+    },
+    water: {
+      label: '上水道', main: '配水管', service: '給水管',
+      color: 0x1e88e5, serviceColor: 0x64b5f6,
+      aliases: ['water', '上水', '上水道', '水道', '配水', '給水'],
+    },
+    gas: {
+      label: 'ガス', main: 'ガス本支管', service: 'ガス供給管',
+      color: 0x43a047, serviceColor: 0x81c784,
+      aliases: ['gas', 'ガス', '都市ガス'],
+    },
+    power: {
+      label: '電力', main: '電力管路', service: '電力引込管',
+      color: 0xfb8c00, serviceColor: 0xffb74d,
+      aliases: ['power', 'electric', 'electricity', '電力', '電気', '電線'],
+    },
+    telecom: {
+      label: '通信', main: '通信管路', service: '通信引込管',
+      color: 0xe53935, serviceColor: 0xef9a9a,
+      aliases: ['telecom', 'communication', '通信', '電話', '情報通信', 'ntt'],
+    },
+  },
+
+  /**
+   * 管の種別キー（未設定・未知の値は下水道）
+   */
+  of(pipe) {
+    return pipe && this.TYPES[pipe.utility] ? pipe.utility : this.DEFAULT;
+  },
+
+  /**
+   * 種別の標準色（本管 / 引込管）
+   */
+  defaultColor(pipe) {
+    const t = this.TYPES[this.of(pipe)];
+    return pipe.type === 'main' ? t.color : t.serviceColor;
+  },
+
+  /**
+   * 表示色（管の color があればそれを使う）
+   */
+  color(pipe) {
+    return pipe.color != null ? pipe.color : this.defaultColor(pipe);
+  },
+
+  /**
+   * 管の呼び名（本管・取付管・配水管・給水管…）
+   */
+  typeName(pipe) {
+    const t = this.TYPES[this.of(pipe)];
+    return pipe.type === 'main' ? t.main : t.service;
+  },
+
+  defaultLabel(pipe) {
+    return `${this.typeName(pipe)} ${pipe.id}`;
+  },
+
+  /**
+   * 情報パネル用の表記（例: 上水道 給水管）
+   */
+  describe(pipe) {
+    const label = this.TYPES[this.of(pipe)].label;
+    const name = this.typeName(pipe);
+    return name.startsWith(label) ? name : `${label} ${name}`;
+  },
+
+  /**
+   * 台帳・属性の値から種別キーを判定
+   * @returns {string|null}
+   */
+  parse(value) {
+    const v = String(value || '').normalize('NFKC').toLowerCase().replace(/[\s_\-]/g, '');
+    if (!v) return null;
+    return Object.keys(this.TYPES).find(key => this.TYPES[key].aliases.includes(v)) || null;
+  },
+
+  /**
+   * 対象管の近くにある他種別の管ID（AR表示用）
+   * @param {string} pipeId
+   * @param {Object} data - プロジェクトデータ
+   * @returns {string[]}
+   */
+  nearbyPipeIds(pipeId, data, distance = this.NEARBY_DISTANCE) {
+    const pipe = data.pipes.find(p => p.id === pipeId);
+    if (!pipe) return [];
+    const utility = this.of(pipe);
+    const path = PipeGeometry.getPath(pipe, data);
+    const limit = distance * PipeGeometry.SCALE;
+    return data.pipes
+      .filter(p => this.of(p) !== utility)
+      .filter(p => this._planDistance(path, PipeGeometry.getPath(p, data)) <= limit)
+      .map(p => p.id);
+  },
+
+  /**
+   * オブジェクトを種別に登録（表示切替の対象）
+   * @returns {THREE.Object3D} object
+   */
+  tag(object, pipe) {
+    object.userData.utility = this.of(pipe);
+    return object;
+  },
+
+  /**
+   * 表示状態（全種別を表示）
+   * @returns {Object<string, boolean>}
+   */
+  createState() {
+    const state = {};
+    Object.keys(this.TYPES).forEach(k => { state[k] = true; });
+    return state;
+  },
+
+  /**
+   * 表示状態を反映
+   * @param {THREE.Object3D} root
+   * @param {Object} state - createState() の形式
+   */
+  apply(root, state) {
+    if (!root) return;
+    root.traverse(obj => {
+      const utility = obj.userData.utility;
+      if (utility) obj.visible = state[utility] !== false;
+    });
+  },
+
+  /**
+   * 種別ごとのチェックボックスを生成（データに含まれる種別のみ）
+   * @param {HTMLElement} container
+   * @param {Object} state - createState() の形式（チェック時に直接書き換える）
+   * @param {Object[]} pipes - 表示中の管
+   * @param {Function} onChange - (state) 変更時
+   */
+  renderFilters(container, state, pipes, onChange) {
+    container.innerHTML = '';
+    const counts = {};
+    pipes.forEach(p => {
+      const key = this.of(p);
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    Object.keys(this.TYPES).filter(key => counts[key]).forEach(key => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = state[key] !== false;
+      input.dataset.utility = key;
+      input.addEventListener('change', () => {
+        state[key] = input.checked;
+        onChange(state);
+      });
+      const swatch = document.createElement('span');
+      swatch.className = 'utility-swatch';
+      swatch.style.background = '#' + this.TYPES[key].color.toString(16).padStart(6, '0');
+      label.append(input, swatch, `${this.TYPES[key].label}（${counts[key]}）`);
+      container.appendChild(label);
+    });
+  },
+
+  /**
+   * 内部: 2本の折れ線の最短水平距離（m）
+   */
+  _planDistance(a, b) {
+    for (let i = 1; i < a.length; i++) {
+      for (let j = 1; j < b.length; j++) {
+        if (this._crosses(a[i - 1], a[i], b[j - 1], b[j])) return 0;
+      }
+    }
+    // 交差しなければ、いずれかの頂点から相手の折れ線までの距離が最短
+    const nearest = (points, path) => Math.min(...points.map(p => PipeGeometry.projectOnPlan(path, p).distance));
+    return Math.min(nearest(a, b), nearest(b, a));
+  },
+
+  _crosses(p1, p2, q1, q2) {
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    const d1 = cross(q1, q2, p1);
+    const d2 = cross(q1, q2, p2);
+    const d3 = cross(p1, p2, q1);
+    const d4 = cross(p1, p2, q2);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+  },
+};
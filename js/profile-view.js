@@ -0,0 +1,226 @@
+/**
+ * 縦断図・横断図パネルの描画（SVG）
+ * 縦断図: PipeProfile.build() の結果から地盤線・マンホール・本管の管頂/管底・取付管の接続位置を描き、
+ * 下部に追加距離・土被り・管底深の注記を入れる
+ * 横断図: PipeSection.build() の結果から管の断面・土被り・管の離隔・掘削断面を縦横同縮尺で描く
+ * どちらも管をクリックすると onSelect(pipeId) を呼ぶ
+ */
+const ProfileView = {
+  MARGIN: { left: 56, right: 16, top: 20, bottom: 58 },
+  SVG_NS: 'http://www.w3.org/2000/svg',
+
+  /**
+   * 縦断図を描画（svg の中身を置き換える）
+   * @param {SVGSVGElement} svg
+   * @param {Object} profile - PipeProfile.build() の結果
+   * @param {Object} options - { selectedId, onSelect(pipeId) }
+   */
+  render(svg, profile, options = {}) {
+    const { selectedId = null, onSelect = null } = options;
+    while (svg.firstChild) svg.removeChild(svg.firstChild);
+
+    const width = svg.clientWidth || 600;
+    const height = svg.clientHeight || 220;
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const m = this.MARGIN;
+    const plotW = Math.max(width - m.left - m.right, 10);
+    const plotH = Math.max(height - m.top - m.bottom, 10);
+    const deepest = Math.min(
+      ...profile.pipes.flatMap(p => p.points.map(pt => pt.z - p.radius)),
+      ...profile.manholes.map(mh => -mh.depth),
+      -0.5
+    ) - 0.3;
+    const scaleX = plotW / Math.max(profile.length, 0.1);
+    const scaleY = plotH / -deepest;
+    const X = s => m.left + s * scaleX;
+    const Y = z => m.top - z * scaleY;
+
+    const select = (id) => onSelect && onSelect(id);
+
+    // 深さの目盛（1m ごと）
+    for (let z = 0; z >= deepest; z -= 1) {
+      this._el(svg, 'line', { x1: m.left, y1: Y(z), x2: m.left + plotW, y2: Y(z), class: 'profile-grid' });
+      this._text(svg, `${-z}m`, m.left - 6, Y(z) + 4, 'profile-axis', 'end');
+    }
+
+    // 地盤線
+    this._el(svg, 'line', { x1: X(0), y1: Y(0), x2: X(profile.length), y2: Y(0), class: 'profile-ground' });
+
+    // マンホール
+    profile.manholes.forEach(({ manhole, s, depth }) => {
+      const w = Math.max((manhole.diameter || 900) / 1000 * scaleX, 4);
+      this._el(svg, 'rect', {
+        x: X(s) - w / 2, y: Y(0), width: w, height: depth * scaleY, class: 'profile-manhole',
+      });
+      this._text(svg, manhole.id, X(s), Y(0) - 6, 'profile-label', 'middle');
+    });
+
+    // 本管（管頂 〜 管底 を塗りつぶし）
+    profile.pipes.forEach(entry => {
+      const crown = entry.points.map(pt => `${X(pt.s)},${Y(pt.z + entry.radius)}`);
+      const invert = entry.points.slice().reverse().map(pt => `${X(pt.s)},${Y(pt.z - entry.radius)}`);
+      const pipe = entry.pipe;
+      const poly = this._el(svg, 'polygon', {
+        points: [...crown, ...invert].join(' '),
+        class: 'profile-pipe' + (pipe.id === selectedId ? ' selected' : ''),
+        fill: this._color(PipeUtility.color(pipe)),
+      });
+      poly.addEventListener('click', () => select(pipe.id));
+      this._title(poly, `${pipe.label || pipe.id}  φ${pipe.diameter}  i=${pipe.slope}%`);
+
+      const midS = (entry.start + entry.end) / 2;
+      this._text(svg, `${pipe.id} φ${pipe.diameter} i=${pipe.slope}%`,
+        X(midS), Y(PipeProfile.zAt(entry, midS) - entry.radius) + 14, 'profile-label', 'middle');
+    });
+
+    // 取付管の接続位置
+    profile.connections.forEach(({ pipe, s, z }) => {
+      const selected = pipe.id === selectedId;
+      this._el(svg, 'line', { x1: X(s), y1: Y(0), x2: X(s), y2: Y(z), class: 'profile-connection-line' });
+      const mark = this._el(svg, 'circle', {
+        cx: X(s), cy: Y(z), r: selected ? 6 : 4,
+        class: 'profile-connection' + (selected ? ' selected' : ''),
+        fill: this._color(PipeUtility.color(pipe)),
+      });
+      mark.addEventListener('click', () => select(pipe.id));
+      this._title(mark, `${pipe.label || pipe.id}  φ${pipe.diameter}  接続位置 ${s.toFixed(2)}m`);
+      this._text(svg, pipe.id, X(s) + 4, Y(0) + 12, 'profile-label');
+    });
+
+    // 測点ごとの注記（追加距離・土被り・管底深）
+    const rows = ['追加距離', '土被り', '管底深'];
+    const rowY = i => m.top + plotH + 16 + i * 14;
+    rows.forEach((label, i) => this._text(svg, label, m.left - 6, rowY(i), 'profile-axis', 'end'));
+    let lastX = -Infinity;
+    PipeProfile.stations(profile).forEach(st => {
+      const x = X(st.s);
+      this._el(svg, 'line', { x1: x, y1: Y(0), x2: x, y2: m.top + plotH + 4, class: 'profile-station' });
+      if (x - lastX < 36) return; // 詰まった測点は線だけ
+      lastX = x;
+      const invertDepth = st.ground - st.invert;
+      [st.s.toFixed(2), st.cover.toFixed(2), invertDepth.toFixed(2)].forEach((v, i) => {
+        this._text(svg, v, x, rowY(i), 'profile-value', 'middle');
+      });
+    });
+
+    const exaggeration = scaleY / scaleX;
+    this._text(svg, `縦 ×${exaggeration >= 10 ? Math.round(exaggeration) : exaggeration.toFixed(1)}`,
+      m.left + plotW, m.top - 6, 'profile-axis', 'end');
+  },
+
+  /**
+   * 横断図を描画（svg の中身を置き換える）
+   * @param {SVGSVGElement} svg
+   * @param {Object} section - PipeSection.build() の結果
+   * @param {Object} options - { selectedId, onSelect(pipeId) }
+   */
+  renderSection(svg, section, options = {}) {
+    const { selectedId = null, onSelect = null } = options;
+    while (svg.firstChild) svg.removeChild(svg.firstChild);
+
+    const width = svg.clientWidth || 320;
+    const height = svg.clientHeight || 240;
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    // 表示範囲（管と掘削断面が収まる範囲, 最小 ±2m）
+    const us = [-2, 2];
+    const zs = [-1];
+    section.pipes.forEach(p => {
+      us.push(p.u - p.radius - 0.5, p.u + p.radius + 0.5);
+      zs.push(p.z - p.radius - 0.3);
+    });
+    section.runs.forEach(r => [r.from, r.to].forEach(p => {
+      us.push(p.u - 0.3, p.u + 0.3);
+      zs.push(p.z - r.radius - 0.3);
+    }));
+    section.outline.forEach(seg => seg.forEach(([u, z]) => {
+      us.push(u - 0.3, u + 0.3);
+      zs.push(z - 0.3);
+    }));
+    const minU = Math.min(...us);
+    const maxU = Math.max(...us);
+    const minZ = Math.min(...zs);
+    const pad = 24;
+    const scale = Math.min((width - pad * 2) / (maxU - minU), (height - pad * 2) / (0.4 - minZ));
+    const X = u => width / 2 + (u - (minU + maxU) / 2) * scale;
+    const Y = z => pad + (0.4 - z) * scale;
+
+    const select = (id) => onSelect && onSelect(id);
+
+    for (let z = 0; z >= minZ; z -= 1) {
+      this._el(svg, 'line', { x1: 0, y1: Y(z), x2: width, y2: Y(z), class: 'profile-grid' });
+      this._text(svg, `${-z}m`, 4, Y(z) - 2, 'profile-axis');
+    }
+    this._el(svg, 'line', { x1: 0, y1: Y(0), x2: width, y2: Y(0), class: 'profile-ground' });
+
+    // 掘削断面
+    section.outline.forEach(([a, b]) => {
+      this._el(svg, 'line', { x1: X(a[0]), y1: Y(a[1]), x2: X(b[0]), y2: Y(b[1]), class: 'section-excavation' });
+    });
+
+    // 断面内を通る管（帯で表示）
+    section.runs.forEach(({ pipe, from, to, radius, cover }) => {
+      const selected = pipe.id === selectedId;
+      const run = this._el(svg, 'line', {
+        x1: X(from.u), y1: Y(from.z), x2: X(to.u), y2: Y(to.z),
+        class: 'section-run' + (selected ? ' selected' : ''),
+        stroke: this._color(PipeUtility.color(pipe)),
+        'stroke-width': Math.max(radius * 2 * scale, 3),
+      });
+      run.addEventListener('click', () => select(pipe.id));
+      this._title(run, `${pipe.label || pipe.id}（${PipeUtility.describe(pipe)}）  φ${pipe.diameter}  土被り ${cover.toFixed(2)}m`);
+      const top = from.z > to.z ? from : to;
+      this._text(svg, pipe.id, X(top.u), Y(top.z + radius) - 4, 'profile-label', 'middle');
+    });
+
+    // 管の離隔
+    section.gaps.forEach(({ a, b, distance }) => {
+      const y = Math.max(Y(a.z), Y(b.z)) + Math.max(a.radius, b.radius) * scale + 10;
+      this._el(svg, 'line', { x1: X(a.u), y1: y, x2: X(b.u), y2: y, class: 'section-dimension' });
+      this._text(svg, `${Math.round(distance * 1000)}`, (X(a.u) + X(b.u)) / 2, y + 11,
+        'profile-value' + (distance < 0 ? ' section-overlap' : ''), 'middle');
+    });
+
+    // 管の断面・土被り
+    section.pipes.forEach(({ pipe, u, z, radius, cover }) => {
+      const selected = pipe.id === selectedId;
+      this._el(svg, 'line', { x1: X(u), y1: Y(0), x2: X(u), y2: Y(z + radius), class: 'section-dimension' });
+      this._text(svg, `${Math.round(cover * 1000)}`, X(u) + 3, (Y(0) + Y(z + radius)) / 2 + 4, 'profile-value');
+      const circle = this._el(svg, 'circle', {
+        cx: X(u), cy: Y(z), r: Math.max(radius * scale, 3),
+        class: 'section-pipe' + (selected ? ' selected' : ''),
+        fill: this._color(PipeUtility.color(pipe)),
+      });
+      circle.addEventListener('click', () => select(pipe.id));
+      this._title(circle, `${pipe.label || pipe.id}（${PipeUtility.describe(pipe)}）  φ${pipe.diameter}  土被り ${cover.toFixed(2)}m`);
+      this._text(svg, pipe.id, X(u), Y(z - radius) + 12, 'profile-label', 'middle');
+    });
+
+    this._text(svg, `追加距離 ${section.frame.s.toFixed(2)}m（単位 mm）`, width - 4, 12, 'profile-axis', 'end');
+  },
+
+  /**
+   * 内部: SVG要素を追加
+   */
+  _el(parent, tag, attrs) {
+    const el = document.createElementNS(this.SVG_NS, tag);
+    Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+    parent.appendChild(el);
+    return el;
+  },
+
+  _text(parent, text, x, y, cls, anchor = 'start') {
+    const el = this._el(parent, 'text', { x, y, class: cls, 'text-anchor': anchor });
+    el.textContent = text;
+    return el;
+  },
+
+  _title(parent, text) {
+    this._el(parent, 'title', {}).textContent = text;
+  },
+
+  _color(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+  },
+};
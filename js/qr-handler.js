@@ -6,14 +6,28 @@ const QRHandler = {
   scanner: null,
   isScanning: false,
   onResult: null,
+  onProgress: null,
+  parts: [],          // 読取済みの分割QR（QRDataCodec.parsePart の結果）
+
+  // 改ざん検知結果ごとの表示内容（level: ok / warn / danger）
+  INTEGRITY_MESSAGES: {
+    signed:     { level: 'ok',     text: '署名確認済みのQRコードです' },
+    checksum:   { level: 'warn',   text: '未署名のQRコードです。数値を図面と照合してください' },
+    unverified: { level: 'warn',   text: '署名を検証できません（署名キー未設定または別キー）。数値を図面と照合してください' },
+    legacy:     { level: 'warn',   text: '旧形式（改ざん検知なし）のQRコードです。数値を図面と照合してください' },
+    invalid:    { level: 'danger', text: 'QRコードが改ざんされている可能性があります。深さ等の数値を使用しないでください' },
+  },
 
   /**
    * QRスキャナーを初期化
    * @param {string} elementId - QRスキャナーを表示するHTML要素のID
-   * @param {Function} onResult - スキャン結果のコールバック(decodedData)
+   * @param {Function} onResult - スキャン結果のコールバック(decodedData, rawText)
+   * @param {Function} onProgress - 分割QR読取中のコールバック({ received, missing, total })
    */
-  init(elementId, onResult) {
+  init(elementId, onResult, onProgress) {
     this.onResult = onResult;
+    this.onProgress = onProgress || null;
+    this.parts = [];
     this.scanner = new Html5Qrcode(elementId);
   },
 
@@ -32,10 +46,16 @@ const QRHandler = {
           qrbox: { width: 250, height: 250 },
         },
         (decodedText) => {
+          // 分割QRの場合は全数そろうまでスキャンを継続
+          const part = QRDataCodec.parsePart(decodedText);
+          if (part) {
+            this.addPart(part);
+            return;
+          }
           // QRコードを検出
           const pipeData = QRDataCodec.decode(decodedText);
           if (pipeData && this.onResult) {
-            this.onResult(pipeData);
+            this.onResult(pipeData, decodedText);
             this.stopScan();
           } else if (this.onResult) {
             // SEWER形式でない場合もコールバック
@@ -53,6 +73,46 @@ const QRHandler = {
     }
   },
 
+  /**
+   * 分割QRの1枚を追加し、全数そろったら復元してコールバック
+   * @param {Object} part - QRDataCodec.parsePart の結果
+   */
+  addPart(part) {
+    // 別セットのQRを読んだ場合は読み直し
+    if (this.parts.length && this.parts[0].setId !== part.setId) this.parts = [];
+    if (this.parts.some(p => p.index === part.index)) return; // 同じQRの連続検出
+    this.parts.push(part);
+
+    const progress = this.getPartProgress();
+    if (this.onProgress) this.onProgress(progress);
+    if (progress.missing.length > 0) return;
+
+    const full = QRDataCodec.joinParts(this.parts);
+    this.parts = [];
+    const pipeData = full ? QRDataCodec.decode(full) : null;
+    if (pipeData && this.onResult) {
+      this.onResult(pipeData, full);
+      this.stopScan();
+    } else if (this.onResult) {
+      this.onResult({ raw: '分割QRコードを復元できませんでした。最初から読み直してください' });
+    }
+  },
+
+  /**
+   * 分割QRの読取状況
+   * @returns {{received: number[], missing: number[], total: number}}
+   */
+  getPartProgress() {
+    if (!this.parts.length) return { received: [], missing: [], total: 0 };
+    const total = this.parts[0].total;
+    const received = this.parts.map(p => p.index).sort((a, b) => a - b);
+    const missing = [];
+    for (let i = 1; i <= total; i++) {
+      if (!received.includes(i)) missing.push(i);
+    }
+    return { received, missing, total };
+  },
+
   /**
    * スキャン停止
    */
@@ -66,6 +126,15 @@ const QRHandler = {
     this.isScanning = false;
   },
 
+  /**
+   * 改ざん検知結果の表示内容を取得
+   * @param {string} integrity - QRDataCodec.decodeProject の integrity
+   * @returns {{level: string, text: string}}
+   */
+  describeIntegrity(integrity) {
+    return this.INTEGRITY_MESSAGES[integrity] || this.INTEGRITY_MESSAGES.invalid;
+  },
+
   /**
    * テスト用: サンプルQRコード文字列を生成
    */
@@ -0,0 +1,126 @@
+/**
+ * QRコード画像生成・印刷用シート（A4）
+ * qrcode-generatorライブラリを使用
+ */
+const QRSheetGenerator = {
+  ERROR_CORRECTION: 'M',
+  COLUMNS: 3,           // A4縦 1行あたりの枚数
+  CARD_HEIGHT_MM: 88,   // カード1枚の高さ
+
+  /**
+   * QRコードのSVGタグを生成（印刷時も劣化しないようベクタで出力）
+   * @param {string} text - QRコード文字列
+   * @returns {string} SVGタグ
+   */
+  createQRSvg(text) {
+    const qr = qrcode(0, this.ERROR_CORRECTION);
+    qr.addData(text);
+    qr.make();
+    return qr.createSvgTag({ cellSize: 4, margin: 8, scalable: true });
+  },
+
+  /**
+   * QRコードの画像URLを生成（画面表示用）
+   * @param {string} text - QRコード文字列
+   * @param {number} cellSize - 1セルのピクセル数
+   * @returns {string} data URL
+   */
+  createQRDataURL(text, cellSize = 4) {
+    const qr = qrcode(0, this.ERROR_CORRECTION);
+    qr.addData(text);
+    qr.make();
+    return qr.createDataURL(cellSize, cellSize * 4);
+  },
+
+  /**
+   * 全管のQRカード情報を生成
+   * 1枚に収まらない管は分割QR（n/total）として複数カードにする
+   * @param {Object} pipeData - プロジェクトデータ
+   * @returns {Object[]} { pipe, text, part, total }
+   */
+  buildCards(pipeData) {
+    const cards = [];
+    pipeData.pipes.forEach(pipe => {
+      const parts = QRDataCodec.encodeParts(pipeData, {
+        pipeIds: QRDataCodec.relatedPipeIds(pipe.id, pipeData),
+        focus: pipe.id,
+      });
+      parts.forEach((text, i) => {
+        cards.push({ pipe, text, part: i + 1, total: parts.length });
+      });
+    });
+    return cards;
+  },
+
+  /**
+   * 印刷用シートを新しいウィンドウで開く
+   * @param {Object} pipeData - プロジェクトデータ
+   * @returns {boolean} ウィンドウを開けたか
+   */
+  open(pipeData) {
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    win.document.open();
+    win.document.write(this.buildSheetHTML(pipeData));
+    win.document.close();
+    return true;
+  },
+
+  /**
+   * 印刷用シートのHTMLを生成
+   */
+  buildSheetHTML(pipeData) {
+    const esc = this._escape;
+    const project = pipeData.project || '配管データ';
+    const cards = this.buildCards(pipeData).map(card => {
+      const p = card.pipe;
+      const partLabel = card.total > 1
+        ? `<div class="part">分割 ${card.part}/${card.total}（全${card.total}枚を読取）</div>`
+        : '';
+      return `
+        <div class="card">
+          <div class="qr">${this.createQRSvg(card.text)}</div>
+          <div class="label">${esc(p.label || p.id)}</div>
+          <div class="spec">φ${esc(p.diameter)}mm ／ 深さ ${esc(Number(p.depth).toLocaleString())}mm</div>
+          <div class="project">${esc(project)}</div>
+          ${partLabel}
+        </div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>QRシート - ${esc(project)}</title>
+<style>
+  @page { size: A4 portrait; margin: 10mm; }
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: 'Hiragino Sans', 'Yu Gothic', sans-serif; color: #000; background: #fff; }
+  .toolbar { padding: 8px; text-align: right; }
+  .toolbar button { padding: 6px 16px; font-size: 14px; }
+  .sheet { display: grid; grid-template-columns: repeat(${this.COLUMNS}, 1fr); }
+  .card {
+    height: ${this.CARD_HEIGHT_MM}mm; padding: 3mm; text-align: center;
+    border: 0.3mm dashed #999; break-inside: avoid; page-break-inside: avoid;
+  }
+  .qr svg { width: 52mm; height: 52mm; }
+  .label { font-size: 13pt; font-weight: bold; margin-top: 1mm; }
+  .spec { font-size: 10pt; }
+  .project { font-size: 8pt; color: #444; }
+  .part { font-size: 9pt; font-weight: bold; color: #c00; }
+  @media print { .toolbar { display: none; } }
+</style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">印刷</button></div>
+  <div class="sheet">${cards}</div>
+</body>
+</html>`;
+  },
+
+  _escape(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+};
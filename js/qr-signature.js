@@ -0,0 +1,185 @@
+/**
+ * QRコードの改ざん検知・署名
+ * SHA-256 チェックサム（未署名）または HMAC-SHA256（署名キー設定時）を付与する
+ * ※ crypto.subtle は非同期かつ https 限定のため、現場端末向けに同期実装を持つ
+ */
+const QRSignature = {
+  STORAGE_KEY: 'sewer_qr_signing_key',
+  CHECKSUM_LENGTH: 8,   // チェックサム長（Base64URL文字数）
+  MAC_LENGTH: 16,       // HMAC長（Base64URL文字数 = 96bit）
+  KEY_ID_LENGTH: 4,     // キー識別子長
+
+  /**
+   * 端末に保存された署名キーを取得
+   * @returns {string|null}
+   */
+  getKey() {
+    try {
+      return localStorage.getItem(this.STORAGE_KEY) || null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * 署名キーを保存（空文字で削除）
+   */
+  setKey(key) {
+    if (key) {
+      localStorage.setItem(this.STORAGE_KEY, key);
+    } else {
+      localStorage.removeItem(this.STORAGE_KEY);
+    }
+  },
+
+  /**
+   * 署名タグを生成
+   * 形式: "s" + チェックサム（キー未設定） / "h" + キーID + HMAC（キー設定時）
+   * @param {string} message - 署名対象文字列
+   * @returns {string}
+   */
+  sign(message) {
+    const key = this.getKey();
+    const msg = this._utf8(message);
+    if (!key) {
+      return 's' + this._b64url(this.sha256(msg)).substring(0, this.CHECKSUM_LENGTH);
+    }
+    const keyBytes = this._utf8(key);
+    return 'h' + this._keyId(keyBytes) +
+      this._b64url(this.hmac(keyBytes, msg)).substring(0, this.MAC_LENGTH);
+  },
+
+  /**
+   * 署名タグを検証
+   * @param {string} message - 署名対象文字列
+   * @param {string|null} tag - 署名タグ（v2 は常にタグ付きで生成するため、無いものは除去されたとみなす）
+   * @returns {string} 'signed' | 'checksum' | 'unverified' | 'invalid'
+   */
+  verify(message, tag) {
+    if (!tag) return 'invalid';
+    const msg = this._utf8(message);
+    if (tag.charAt(0) === 's') {
+      const sum = this._b64url(this.sha256(msg)).substring(0, this.CHECKSUM_LENGTH);
+      return tag.substring(1) === sum ? 'checksum' : 'invalid';
+    }
+    if (tag.charAt(0) === 'h') {
+      const key = this.getKey();
+      const keyBytes = key ? this._utf8(key) : null;
+      const kid = tag.substring(1, 1 + this.KEY_ID_LENGTH);
+      // キー未設定・別キーの場合は検証できない
+      if (!keyBytes || kid !== this._keyId(keyBytes)) return 'unverified';
+      const mac = this._b64url(this.hmac(keyBytes, msg)).substring(0, this.MAC_LENGTH);
+      return tag.substring(1 + this.KEY_ID_LENGTH) === mac ? 'signed' : 'invalid';
+    }
+    return 'invalid';
+  },
+
+  /**
+   * SHA-256
+   * @param {Uint8Array} bytes
+   * @returns {Uint8Array} 32バイト
+   */
+  sha256(bytes) {
+    const K = this._K || (this._K = this._roundConstants());
+    const H = [
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+      0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ];
+    // パディング: 0x80 + 0埋め + ビット長(64bit)
+    const len = bytes.length;
+    const padded = new Uint8Array(((len + 9 + 63) >> 6) << 6);
+    padded.set(bytes);
+    padded[len] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(len / 0x20000000));
+    view.setUint32(padded.length - 4, (len << 3) >>> 0);
+
+    const w = new Uint32Array(64);
+    for (let off = 0; off < padded.length; off += 64) {
+      for (let i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const s0 = this._rotr(w[i - 15], 7) ^ this._rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = this._rotr(w[i - 2], 17) ^ this._rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+      }
+      let [a, b, c, d, e, f, g, h] = H;
+      for (let i = 0; i < 64; i++) {
+        const S1 = this._rotr(e, 6) ^ this._rotr(e, 11) ^ this._rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+        const S0 = this._rotr(a, 2) ^ this._rotr(a, 13) ^ this._rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) >>> 0;
+        h = g; g = f; f = e;
+        e = (d + t1) >>> 0;
+        d = c; c = b; b = a;
+        a = (t1 + t2) >>> 0;
+      }
+      H[0] = (H[0] + a) >>> 0; H[1] = (H[1] + b) >>> 0;
+      H[2] = (H[2] + c) >>> 0; H[3] = (H[3] + d) >>> 0;
+      H[4] = (H[4] + e) >>> 0; H[5] = (H[5] + f) >>> 0;
+      H[6] = (H[6] + g) >>> 0; H[7] = (H[7] + h) >>> 0;
+    }
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    H.forEach((v, i) => outView.setUint32(i * 4, v));
+    return out;
+  },
+
+  /**
+   * HMAC-SHA256
+   * @param {Uint8Array} key
+   * @param {Uint8Array} message
+   * @returns {Uint8Array} 32バイト
+   */
+  hmac(key, message) {
+    const blockSize = 64;
+    if (key.length > blockSize) key = this.sha256(key);
+    const ipad = new Uint8Array(blockSize + message.length);
+    const opad = new Uint8Array(blockSize + 32);
+    for (let i = 0; i < blockSize; i++) {
+      const k = i < key.length ? key[i] : 0;
+      ipad[i] = k ^ 0x36;
+      opad[i] = k ^ 0x5c;
+    }
+    ipad.set(message, blockSize);
+    opad.set(this.sha256(ipad), blockSize);
+    return this.sha256(opad);
+  },
+
+  _keyId(keyBytes) {
+    return this._b64url(this.sha256(keyBytes)).substring(0, this.KEY_ID_LENGTH);
+  },
+
+  _rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+  },
+
+  /**
+   * 内部: SHA-256ラウンド定数（素数の立方根の小数部）
+   */
+  _roundConstants() {
+    const k = [];
+    for (let n = 2; k.length < 64; n++) {
+      let isPrime = true;
+      for (let d = 2; d * d <= n; d++) {
+        if (n % d === 0) { isPrime = false; break; }
+      }
+      if (isPrime) {
+        const frac = Math.cbrt(n) % 1;
+        k.push(Math.floor(frac * 0x100000000) >>> 0);
+      }
+    }
+    return k;
+  },
+
+  _utf8(str) {
+    return new TextEncoder().encode(str);
+  },
+
+  _b64url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+};
@@ -0,0 +1,91 @@
+/**
+ * 3Dシーンの書出し（GLB）
+ * GLTFExporter を使用。オブジェクト名と userData（管の属性・掘削量など）は glTF の extras に入る
+ * シーンの extras に sewerProject（プロジェクトデータ）を持たせ、ar.html で読込むと管情報を復元できる
+ */
+const SceneExporter = {
+  /**
+   * シーンを構成するオブジェクトをGLBとして書出し（ダウンロード）
+   * @param {THREE.Object3D[]} objects - 書出すオブジェクト（非表示のものは除く）
+   * @param {Object} data - プロジェクトデータ
+   * @param {string} filename
+   * @returns {Promise<Blob>}
+   */
+  exportGLB(objects, data, filename) {
+    if (typeof THREE.GLTFExporter === 'undefined') {
+      return Promise.reject(new Error('GLTFExporterが読み込まれていません'));
+    }
+    const exportScene = this.buildExportScene(objects, data);
+    return new Promise((resolve, reject) => {
+      new THREE.GLTFExporter().parse(exportScene, (glb) => {
+        const blob = new Blob([glb], { type: 'model/gltf-binary' });
+        FileDownload.save(blob, filename);
+        resolve(blob);
+      }, reject, { binary: true, onlyVisible: true });
+    });
+  },
+
+  /**
+   * 書出し用のシーンを組み立て（元のシーンは変更しない）
+   * glTF はスプライトを持てないため、ラベルはテクスチャ付きの板に置き換える
+   * @returns {THREE.Scene}
+   */
+  buildExportScene(objects, data) {
+    const exportScene = new THREE.Scene();
+    exportScene.name = data.project || '配管データ';
+    exportScene.userData = {
+      sewerProject: JSON.parse(JSON.stringify(data)),
+      unit: 'm',
+    };
+
+    objects.filter(obj => obj && obj.visible).forEach(obj => {
+      const copy = obj.clone();
+      const sprites = [];
+      copy.traverse(child => {
+        if (child.isSprite) sprites.push(child);
+      });
+      sprites.forEach(sprite => this._replaceSprite(sprite));
+      if (copy.isSprite) {
+        exportScene.add(this._spriteToPlane(copy));
+      } else {
+        exportScene.add(copy);
+      }
+    });
+    return exportScene;
+  },
+
+  /**
+   * GLBのシーンから書出し時のプロジェクトデータを取得（このツールで書出したものでなければ null）
+   * @param {THREE.Object3D} root - GLTFLoader の gltf.scene
+   */
+  getProject(root) {
+    return (root && root.userData && root.userData.sewerProject) || null;
+  },
+
+  /**
+   * 内部: 親の中のスプライトを板に置換
+   */
+  _replaceSprite(sprite) {
+    const parent = sprite.parent;
+    if (!parent) return;
+    const plane = this._spriteToPlane(sprite);
+    parent.add(plane);
+    parent.remove(sprite);
+  },
+
+  _spriteToPlane(sprite) {
+    const material = new THREE.MeshBasicMaterial({
+      map: sprite.material.map,
+      transparent: true,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    const plane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+    plane.name = sprite.name || `label:${sprite.userData.text || ''}`;
+    plane.userData = { ...sprite.userData, type: 'label' };
+    plane.position.copy(sprite.position);
+    plane.scale.copy(sprite.scale);
+    plane.visible = sprite.visible;
+    return plane;
+  },
+};
@@ -9,11 +9,28 @@
   let pipeObjects = [];
   let pipeSceneObjects = []; // シーンから削除するためのオブジェクト一覧
   let selectedPipe = null;
-  let excavationGroup = null;
+  let excavationGroup = null;  // 掘削領域（掘削計画ごとのグループをまとめる）
+  let excavations = [];        // 表示中の掘削 [{ plan, group, mesh, params, warnings, draft }]
+  let editingExcavation = null; // 編集中の掘削ID
+  const hiddenExcavations = new Set(); // 非表示にした掘削ID
   let sectionPlane = null;
+  let sectionProfile = null;   // 断面を移動させる本管ルートの縦断（PipeProfile.build）
+  let sectionChainage = 0;     // 断面位置の追加距離（m）
+  let sectionDrag = null;
+  let sectionDragged = false;
+  const sectionClip = new THREE.Plane();
   let groundMesh = null;
   let gridHelper = null;
-  let currentData = SAMPLE_PIPE_DATA;
+  let currentData = sampleData();
+  let networkCenter = new THREE.Vector3(10, 0, 0); // 配管網の平面中心（カメラ・地表面の基準）
+  let profileRoutes = []; // 縦断図の本管ルート（PipeProfile.buildRoutes）
+  let annotationState = null; // 注記レイヤーの表示状態（AnnotationLayers.load）
+  let utilityState = PipeUtility.createState(); // 埋設物の種別ごとの表示
+  let measureMode = false;
+  let measureStart = null;     // 計測の1点目（シーン座標）
+  let measureGroup = null;     // 計測の寸法線（currentData.measurements から生成）
+  let measureMarker = null;
+  let clashGroup = null;       // 離隔チェックの強調表示（ClashChecker.createHighlights）
   const raycaster = new THREE.Raycaster();
   const pointer = new THREE.Vector2();
 
@@ -98,130 +115,131 @@
       scene.remove(excavationGroup);
       excavationGroup = null;
     }
+    excavations = [];
+    editingExcavation = null;
+    hiddenExcavations.clear();
 
     createPipelineNetwork(data);
     if (data.manholes) createManholes(data);
+    centerGround();
+    cancelMeasure();
+    buildMeasurements();
 
     document.getElementById('projectName').textContent = data.project || '配管データ';
     document.getElementById('selectedPipeInfo').style.display = 'none';
+    updateProfileRoutes(data);
+    loadAnnotationState();
+    PipeUtility.renderFilters(document.getElementById('utilityFilters'), utilityState, data.pipes, updateUtilities);
+    PipeUtility.apply(scene, utilityState);
+    if (document.getElementById('chkExcavation').checked) buildExcavations();
+    renderExcavationList();
+    if (document.getElementById('chkSection').checked) toggleSectionView(true);
+    renderClashRules();
+    runClashCheck();
+    renderTakeoffSettings();
+    updateTakeoff();
+  }
+
+  /**
+   * 配管網の平面中心に地表面・グリッドを合わせる
+   * 測量座標のデータは原点から離れた位置にあることがあるため
+   */
+  function centerGround() {
+    const box = new THREE.Box3();
+    pipeObjects.forEach(po => box.expandByObject(po.group));
+    if (box.isEmpty()) return;
+    box.getCenter(networkCenter).setY(0);
+    networkCenter.set(Math.round(networkCenter.x), 0, Math.round(networkCenter.z));
+    groundMesh.position.set(networkCenter.x, -0.01, networkCenter.z);
+    gridHelper.position.set(networkCenter.x, 0, networkCenter.z);
   }
 
   // --- Pipeline Network ---
   function createPipelineNetwork(data) {
-    const s = 0.001; // mm → m
-
-    // 本管
-    const mainPipes = data.pipes.filter(p => p.type === 'main');
-    mainPipes.forEach(pipe => {
-      const group = new THREE.Group();
-      const length = pipe.length * s;
-      const radius = (pipe.diameter * s) / 2;
-      const depth = pipe.depth * s;
-
-      const geom = new THREE.CylinderGeometry(radius, radius, length, 32, 1, true);
-      const mat = new THREE.MeshPhongMaterial({
-        color: pipe.color || 0xff8a65,
+    const layout = PipeGeometry.buildLayout(data);
+
+    layout.forEach(({ pipe, points, radius }) => {
+      const color = PipeUtility.color(pipe);
+      const group = PipeUtility.tag(new THREE.Group(), pipe);
+      group.name = pipe.label || pipe.id;
+      const material = new THREE.MeshPhongMaterial({
+        color,
         transparent: true,
         opacity: 0.6,
         side: THREE.DoubleSide,
       });
-      const mesh = new THREE.Mesh(geom, mat);
-      mesh.rotation.z = Math.PI / 2;
-      mesh.userData = { pipeData: pipe, type: 'pipe' };
-
-      const edgeGeom = new THREE.EdgesGeometry(geom);
-      const edgeMat = new THREE.LineBasicMaterial({ color: pipe.color || 0xff8a65 });
-      const edge = new THREE.LineSegments(edgeGeom, edgeMat);
-      edge.rotation.z = Math.PI / 2;
-
-      group.add(mesh, edge);
-      group.position.set(length / 2, -depth, 0);
+      const edgeMat = new THREE.LineBasicMaterial({ color });
+      const meshes = PipeGeometry.createSegmentMeshes(points, radius, material);
+      meshes.forEach(mesh => {
+        mesh.name = pipe.id;
+        mesh.userData = { pipeData: pipe, type: 'pipe' };
+        group.add(mesh);
+        if (mesh.geometry.type === 'CylinderGeometry') {
+          const edge = new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry), edgeMat);
+          edge.position.copy(mesh.position);
+          edge.quaternion.copy(mesh.quaternion);
+          group.add(edge);
+        }
+      });
 
-      const slopeAngle = Math.atan((pipe.slope || 0) / 100);
-      group.rotation.z = -slopeAngle;
+      // 管名ラベル（管の中央の上）
+      const mid = PipeGeometry.pointAtDistance(points, PipeGeometry.pathLength(points) / 2).point;
+      const label = PipeModelFactory.createTextSprite(pipe.label || pipe.id, color);
+      label.position.set(mid.x, mid.y + radius + 0.25, mid.z);
+      label.scale.set(0.5, 0.25, 1);
+      group.add(AnnotationLayers.tag(label, 'labels'));
 
       scene.add(group);
       pipeSceneObjects.push(group);
-      pipeObjects.push({ group, mesh, data: pipe });
-    });
+      pipeObjects.push({ group, meshes, material, data: pipe });
 
-    // 取付管
-    const servicePipes = data.pipes.filter(p => p.type === 'service');
-    servicePipes.forEach((pipe) => {
-      const conn = data.connections ? data.connections.find(c => c.from === pipe.id) : null;
-      const group = new THREE.Group();
-      const length = pipe.length * s;
-      const radius = (pipe.diameter * s) / 2;
-      const depth = pipe.depth * s;
-
-      const geom = new THREE.CylinderGeometry(radius, radius, length, 32, 1, true);
-      const mat = new THREE.MeshPhongMaterial({
-        color: pipe.color || 0x4fc3f7,
-        transparent: true,
-        opacity: 0.6,
-        side: THREE.DoubleSide,
-      });
-      const mesh = new THREE.Mesh(geom, mat);
-      mesh.userData = { pipeData: pipe, type: 'pipe' };
-
-      const edgeGeom = new THREE.EdgesGeometry(geom);
-      const edgeMat = new THREE.LineBasicMaterial({ color: pipe.color || 0x4fc3f7 });
-      const edge = new THREE.LineSegments(edgeGeom, edgeMat);
-
-      group.add(mesh, edge);
-
-      if (conn) {
-        const mainX = conn.position * s;
-        group.rotation.x = Math.PI / 2;
-        group.position.set(mainX, -depth, length / 2);
-        const slopeAngle = Math.atan((pipe.slope || 0) / 100);
-        group.rotation.y = slopeAngle;
-
-        // 接続線
-        const mainPipe = data.pipes.find(p => p.id === conn.to);
-        if (mainPipe) {
-          const mainDepth = mainPipe.depth * s;
-          const connLineGeom = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(mainX, 0, 0),
-            new THREE.Vector3(mainX, -depth, length),
-            new THREE.Vector3(mainX, -mainDepth, 0),
-          ]);
-          const connLine = new THREE.Line(
-            connLineGeom,
-            new THREE.LineDashedMaterial({ color: 0x888888, dashSize: 0.1, gapSize: 0.05 })
-          );
-          connLine.computeLineDistances();
-          scene.add(connLine);
-          pipeSceneObjects.push(connLine);
-        }
+      if (pipe.type === 'service') createServiceAnnotations(group, pipe, points, data);
+    });
+  }
 
-        // 深さ寸法線
-        const depthLineGeom = new THREE.BufferGeometry().setFromPoints([
-          new THREE.Vector3(mainX + 0.3, 0, length),
-          new THREE.Vector3(mainX + 0.3, -depth, length),
-        ]);
-        const depthLine = new THREE.Line(
-          depthLineGeom,
-          new THREE.LineBasicMaterial({ color: 0xffff00 })
-        );
-        scene.add(depthLine);
-        pipeSceneObjects.push(depthLine);
-
-        const depthLabel = PipeModelFactory.createTextSprite(`${pipe.depth}mm`, 0xffff00);
-        depthLabel.position.set(mainX + 0.6, -depth / 2, length);
-        depthLabel.scale.set(0.6, 0.3, 1);
-        scene.add(depthLabel);
-        pipeSceneObjects.push(depthLabel);
-      } else {
-        // 接続情報なし: 原点付近に配置
-        group.rotation.x = Math.PI / 2;
-        group.position.set(0, -depth, length / 2);
-      }
+  /**
+   * 取付管の接続線・深さ寸法線（管のグループに加え、埋設物の表示切替に従わせる）
+   */
+  function createServiceAnnotations(group, pipe, points, data) {
+    const conn = PipeGeometry.findConnection(pipe.id, data);
+    if (!conn) return;
+    const house = points[0];
+
+    // 接続線（地表面の接続位置 → 取付管上流端 → 本管の接続点）
+    const joint = PipeGeometry.getConnectionPoint(conn, data);
+    if (joint) {
+      const connLineGeom = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(joint.x, 0, joint.z),
+        house,
+        joint,
+      ]);
+      const connLine = new THREE.Line(
+        connLineGeom,
+        new THREE.LineDashedMaterial({ color: 0x888888, dashSize: 0.1, gapSize: 0.05 })
+      );
+      connLine.computeLineDistances();
+      AnnotationLayers.tag(connLine, 'connections');
+      group.add(connLine);
+    }
 
-      scene.add(group);
-      pipeSceneObjects.push(group);
-      pipeObjects.push({ group, mesh, data: pipe });
-    });
+    // 深さ（土被り）寸法線（上流端の管頂まで）
+    const crown = house.y + pipe.diameter * PipeGeometry.SCALE / 2;
+    const depthLineGeom = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(house.x + 0.3, 0, house.z),
+      new THREE.Vector3(house.x + 0.3, crown, house.z),
+    ]);
+    const depthLine = new THREE.Line(
+      depthLineGeom,
+      new THREE.LineBasicMaterial({ color: 0xffff00 })
+    );
+    AnnotationLayers.tag(depthLine, 'dimensions');
+    group.add(depthLine);
+
+    const depthLabel = PipeModelFactory.createTextSprite(`${pipe.depth}mm`, 0xffff00);
+    depthLabel.position.set(house.x + 0.6, crown / 2, house.z);
+    depthLabel.scale.set(0.6, 0.3, 1);
+    AnnotationLayers.tag(depthLabel, 'dimensions');
+    group.add(depthLabel);
   }
 
   // --- Manholes ---
@@ -231,6 +249,7 @@
     data.manholes.forEach(mh => {
       const radius = (mh.diameter * s) / 2;
       const depth = mh.depth * s;
+      const center = PipeGeometry.getManholePoint(mh, data);
 
       const geom = new THREE.CylinderGeometry(radius, radius, depth, 32, 1, true);
       const mat = new THREE.MeshPhongMaterial({
@@ -240,16 +259,20 @@
         side: THREE.DoubleSide,
       });
       const mesh = new THREE.Mesh(geom, mat);
-      mesh.position.set(mh.position * s, -depth / 2, 0);
+      mesh.name = mh.id;
+      mesh.userData = { manhole: mh, type: 'manhole' };
+      mesh.position.set(center.x, -depth / 2, center.z);
 
       const lidGeom = new THREE.CylinderGeometry(radius + 0.05, radius + 0.05, 0.05, 32);
       const lidMat = new THREE.MeshPhongMaterial({ color: 0x555555 });
       const lid = new THREE.Mesh(lidGeom, lidMat);
-      lid.position.set(mh.position * s, 0.025, 0);
+      lid.name = `${mh.id} 蓋`;
+      lid.position.set(center.x, 0.025, center.z);
 
       const label = PipeModelFactory.createTextSprite(mh.id, 0xffffff);
-      label.position.set(mh.position * s, 0.4, 0);
+      label.position.set(center.x, 0.4, center.z);
       label.scale.set(0.5, 0.25, 1);
+      AnnotationLayers.tag(label, 'manholeIds');
 
       scene.add(mesh, lid, label);
       pipeSceneObjects.push(mesh, lid, label);
@@ -260,6 +283,13 @@
 
   let importedModel = null; // 読込んだ3Dモデル
 
+  /**
+   * サンプルデータの複製（計測などの編集で SAMPLE_PIPE_DATA 自体を書き換えないため）
+   */
+  function sampleData() {
+    return JSON.parse(JSON.stringify(SAMPLE_PIPE_DATA));
+  }
+
   /**
    * ファイル形式に応じて読込を振り分け
    */
@@ -271,6 +301,13 @@
       case 'gltf':
         loadJSONOrGLTF(file, ext);
         break;
+      case 'csv':
+        loadCSV(file);
+        break;
+      case 'geojson':
+      case 'xml':
+        loadNetworkFile(file, ext);
+        break;
       case 'glb':
         loadGLB(file);
         break;
@@ -304,25 +341,14 @@
           return;
         }
 
-        // 配管JSON形式
-        if (!json.pipes || !Array.isArray(json.pipes)) {
-          alert('無効なデータ形式: "pipes" 配列が必要です');
+        // GeoJSON（GISの管路網）
+        if (json.type === 'FeatureCollection' || json.type === 'Feature') {
+          importNetwork(() => PipeNetworkImporter.fromGeoJSON(json, baseName(file.name)), file.name);
           return;
         }
-        json.pipes.forEach((p, i) => {
-          if (!p.id) p.id = `P-${i + 1}`;
-          if (!p.type) p.type = 'service';
-          if (!p.color) p.color = p.type === 'main' ? 0xff8a65 : 0x4fc3f7;
-          if (!p.label) p.label = `${p.type === 'main' ? '本管' : '取付管'} ${p.id}`;
-        });
-        if (!json.excavation) json.excavation = { width: 800, depth: 1500, length: 6000 };
-        if (!json.connections) json.connections = [];
-        if (!json.manholes) json.manholes = [];
-
-        currentData = json;
-        buildPipeScene(currentData);
-        animateCamera('perspective');
-        statusMessage(`"${json.project || 'データ'}" を読込みました (${json.pipes.length}本)`);
+
+        // 配管JSON形式
+        loadPipeData(json, file.name);
       } catch (err) {
         alert('ファイルの解析に失敗しました: ' + err.message);
       }
@@ -330,6 +356,76 @@
     reader.readAsText(file);
   }
 
+  /**
+   * 管路台帳CSVを読込（列の対応付け・プレビュー後にシーンを再構築）
+   */
+  function loadCSV(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const text = PipeCSVImporter.decode(e.target.result);
+        PipeCSVImporter.showDialog(text, file.name, data => loadPipeData(data, file.name));
+      } catch (err) {
+        alert('CSVの解析に失敗しました: ' + err.message);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+  }
+
+  /**
+   * GeoJSON / LandXML の管路網を読込
+   */
+  function loadNetworkFile(file, ext) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const text = e.target.result;
+      const name = baseName(file.name);
+      importNetwork(() => ext === 'xml'
+        ? PipeNetworkImporter.fromLandXML(text, name)
+        : PipeNetworkImporter.fromGeoJSON(JSON.parse(text), name), file.name);
+    };
+    reader.readAsText(file);
+  }
+
+  function importNetwork(convert, filename) {
+    let result;
+    try {
+      result = convert();
+    } catch (err) {
+      alert(`${filename} の取込に失敗しました: ${err.message}`);
+      return;
+    }
+    loadPipeData(result.data, filename, result.notes);
+  }
+
+  function baseName(filename) {
+    return filename.replace(/\.[^.]+$/, '');
+  }
+
+  /**
+   * 配管データを検証してシーンを再構築
+   * エラーがある場合は読込を中止し、警告のみの場合は読込後に一覧を表示
+   * @param {string[]} notes - 取込時の補足（警告として一覧に含める）
+   */
+  function loadPipeData(json, filename, notes = []) {
+    const report = PipeDataValidator.validate(json);
+    notes.forEach(message => report.warnings.push({ path: filename, message }));
+    if (!report.valid) {
+      PipeDataValidator.showReport(report, `${filename} を読込めません（エラー ${report.errors.length}件）`);
+      return;
+    }
+    GeoCoords.resolveProject(json);
+    PipeDataValidator.applyDefaults(json);
+
+    currentData = json;
+    buildPipeScene(currentData);
+    animateCamera('perspective');
+    statusMessage(`"${json.project || 'データ'}" を読込みました (${json.pipes.length}本, ${GeoCoords.describeCRS(json)})`);
+    if (report.warnings.length) {
+      PipeDataValidator.showReport(report, `${filename} を読込みました（警告 ${report.warnings.length}件）`);
+    }
+  }
+
   /**
    * GLB (バイナリGLTF) ファイルを読込
    */
@@ -546,9 +642,619 @@
     }, 3000);
   }
 
+  // --- Annotation Layers ---
+  /**
+   * プロジェクトの注記レイヤー表示状態を読込んで反映
+   */
+  function loadAnnotationState() {
+    annotationState = AnnotationLayers.load(currentData);
+    document.getElementById('chkDimensions').checked = annotationState.enabled;
+    AnnotationLayers.renderControls(document.getElementById('annotationLayers'), annotationState, updateAnnotations);
+    AnnotationLayers.apply(scene, annotationState);
+  }
+
+  /**
+   * 表示状態の変更を反映して保存
+   */
+  function updateAnnotations() {
+    AnnotationLayers.save(currentData, annotationState);
+    document.querySelectorAll('#annotationLayers input').forEach(input => {
+      input.disabled = !annotationState.enabled;
+    });
+    AnnotationLayers.apply(scene, annotationState);
+  }
+
+  /**
+   * 埋設物の種別ごとの表示を反映
+   */
+  function updateUtilities() {
+    PipeUtility.apply(scene, utilityState);
+  }
+
+  // --- Measurement ---
+  /**
+   * 計測モードの切替え（2点をクリックして距離を計測）
+   */
+  function setMeasureMode(enabled) {
+    measureMode = enabled;
+    cancelMeasure();
+    document.getElementById('btnMeasure').classList.toggle('active', enabled);
+    updateMeasurePanel();
+    if (enabled) statusMessage('計測: 1点目をクリック（Escで中止）');
+  }
+
+  function cancelMeasure() {
+    measureStart = null;
+    if (measureMarker) {
+      scene.remove(measureMarker);
+      measureMarker = null;
+    }
+  }
+
+  /**
+   * 計測点の取得（管・マンホール・地表面・読込モデル）
+   * @returns {THREE.Vector3|null}
+   */
+  function pickMeasurePoint() {
+    const targets = [];
+    pipeSceneObjects.forEach(obj => obj.traverseVisible(child => {
+      if (child.isMesh) targets.push(child);
+    }));
+    if (groundMesh.visible) targets.push(groundMesh);
+    const hit = raycaster.intersectObjects(targets, false)[0];
+    return hit ? hit.point.clone() : null;
+  }
+
+  function onMeasureClick() {
+    const point = pickMeasurePoint();
+    if (!point) return;
+    if (!measureStart) {
+      measureStart = point;
+      measureMarker = MeasureTool.createMarker(point);
+      scene.add(measureMarker);
+      statusMessage('計測: 2点目をクリック');
+      return;
+    }
+    if (!currentData.measurements) currentData.measurements = [];
+    const measurement = MeasureTool.toData(measureStart, point, currentData.measurements);
+    currentData.measurements.push(measurement);
+    cancelMeasure();
+    buildMeasurements();
+    const { a, b } = MeasureTool.fromData(measurement);
+    statusMessage(`${measurement.id}: ${MeasureTool.format(MeasureTool.compute(a, b))}`);
+  }
+
+  /**
+   * 計測の寸法線を再生成
+   */
+  function buildMeasurements() {
+    if (measureGroup) scene.remove(measureGroup);
+    measureGroup = new THREE.Group();
+    measureGroup.name = '計測';
+    (currentData.measurements || []).forEach(m => measureGroup.add(MeasureTool.createDimension(m)));
+    scene.add(measureGroup);
+    if (annotationState) AnnotationLayers.apply(measureGroup, annotationState);
+    updateMeasurePanel();
+  }
+
+  /**
+   * 計測一覧パネル（計測モード中または計測がある場合に表示）
+   */
+  function updateMeasurePanel() {
+    const measurements = currentData.measurements || [];
+    const panel = document.getElementById('measurePanel');
+    panel.style.display = measureMode || measurements.length ? 'block' : 'none';
+    document.getElementById('measureHint').style.display = measureMode ? '' : 'none';
+    const list = document.getElementById('measureList');
+    list.innerHTML = '';
+    measurements.forEach((m, i) => {
+      const { a, b } = MeasureTool.fromData(m);
+      const li = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${m.id}: ${MeasureTool.format(MeasureTool.compute(a, b))}`;
+      const del = document.createElement('button');
+      del.className = 'btn-delete';
+      del.textContent = '×';
+      del.title = '削除';
+      del.addEventListener('click', () => {
+        currentData.measurements.splice(i, 1);
+        buildMeasurements();
+      });
+      li.append(text, del);
+      list.appendChild(li);
+    });
+    document.getElementById('btnClearMeasure').disabled = measurements.length === 0;
+  }
+
+  // --- Clearance Check ---
+  /**
+   * 離隔チェックを実行して強調表示・一覧を更新
+   */
+  function runClashCheck() {
+    if (clashGroup) {
+      scene.remove(clashGroup);
+      clashGroup = null;
+    }
+    const enabled = document.getElementById('chkClash').checked;
+    document.getElementById('clashPanel').style.display = enabled ? 'block' : 'none';
+    if (!enabled) return;
+
+    // 掘削領域は表示中のみ対象
+    const excavation = visibleExcavations().map(entry => entry.mesh);
+    const results = ClashChecker.check(currentData, { excavation });
+    clashGroup = ClashChecker.createHighlights(results);
+    scene.add(clashGroup);
+    renderClashList(results);
+  }
+
+  /**
+   * 規定値の入力欄（変更はプロジェクトの clearance に保存）
+   */
+  function renderClashRules() {
+    const container = document.getElementById('clashRules');
+    const rules = ClashChecker.getRules(currentData);
+    container.innerHTML = '';
+    Object.keys(ClashChecker.RULE_LABELS).forEach(key => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.step = 50;
+      input.value = rules[key];
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value) || value < 0) {
+          input.value = ClashChecker.getRules(currentData)[key];
+          return;
+        }
+        currentData.clearance = { ...ClashChecker.getRules(currentData), [key]: value };
+        runClashCheck();
+      });
+      label.append(`${ClashChecker.RULE_LABELS[key]}: `, input, 'mm');
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * 結果一覧（クリックで該当の管を選択し、視点を移す）
+   */
+  function renderClashList(results) {
+    const clashes = results.filter(r => r.severity === 'clash').length;
+    document.getElementById('clashCount').textContent = results.length
+      ? `干渉 ${clashes}件 / 離隔不足 ${results.length - clashes}件`
+      : '問題なし';
+    const list = document.getElementById('clashList');
+    list.innerHTML = '';
+    results.forEach(result => {
+      const li = document.createElement('li');
+      li.className = result.severity;
+      li.textContent = ClashChecker.describe(result);
+      li.addEventListener('click', () => {
+        const [p, q] = result.points;
+        selectPipe(result.a);
+        controls.target.copy(p).lerp(q, 0.5);
+      });
+      list.appendChild(li);
+    });
+  }
+
+  // --- 掘削領域 ---
+  // 掘削の編集欄（mode: 管路沿い（trench）/ 単独（box）の該当する方、shape: 該当する形状のみ表示）
+  const EXCAVATION_FIELDS = [
+    { key: 'clearanceSide', label: '側方余裕', unit: 'mm', min: 0, step: 50, mode: 'trench' },
+    { key: 'clearanceBelow', label: '管底下余裕', unit: 'mm', min: 0, step: 10, mode: 'trench' },
+    { key: 'width', label: '底幅', unit: 'mm', min: 0, exclusive: true, step: 50, mode: 'box' },
+    { key: 'depth', label: '深さ', unit: 'mm', min: 0, exclusive: true, step: 50, mode: 'box' },
+    { key: 'lengthFront', label: '前方延長', unit: 'mm', min: 0, exclusive: true, step: 100, mode: 'box' },
+    { key: 'lengthBack', label: '後方延長', unit: 'mm', min: 0, exclusive: true, step: 100, mode: 'box' },
+    { key: 'slope', label: '法勾配 1:', unit: '', min: 0, max: 5, step: 0.1, shape: 'sloped' },
+    { key: 'benchHeight', label: '段高', unit: 'mm', min: 0, exclusive: true, step: 100, shape: 'benched' },
+    { key: 'benchWidth', label: '段幅', unit: 'mm', min: 0, exclusive: true, step: 50, shape: 'benched' },
+    { key: 'shoringThickness', label: '土留め厚', unit: 'mm', min: 0, exclusive: true, step: 10, shape: 'shored' },
+    { key: 'shoringEmbed', label: '根入れ', unit: 'mm', min: 0, step: 100, shape: 'shored' },
+    { key: 'spoilDistance', label: '残土の離れ', unit: 'mm', min: 0, step: 100 },
+  ];
+
+  /**
+   * 掘削領域を生成（プロジェクトの excavations の各掘削）
+   * 計画が無ければ選択中の管・最初の取付管の既定の掘削を表示する（編集するまでプロジェクトには保存しない）
+   */
+  function buildExcavations() {
+    if (excavationGroup) scene.remove(excavationGroup);
+    excavationGroup = new THREE.Group();
+    excavationGroup.name = '掘削領域';
+    if ((currentData.excavations || []).length) {
+      excavations = currentData.excavations.map(plan => createExcavation(plan));
+    } else {
+      const pipe = selectedPipe || currentData.pipes.find(p => p.type === 'service') || currentData.pipes[0];
+      excavations = [createExcavation(draftExcavation(pipe), true)];
+    }
+    if (editingExcavation && !excavations.some(e => e.plan.id === editingExcavation)) editingExcavation = null;
+    excavationGroup.visible = document.getElementById('chkExcavation').checked;
+    scene.add(excavationGroup);
+    AnnotationLayers.apply(excavationGroup, annotationState);
+  }
+
+  /**
+   * 内部: 掘削計画から掘削領域を生成（管路に沿わせない掘削は計画の位置・向きに置く）
+   * 安全基準を満たさない掘削は警告を掘削領域に描画する
+   */
+  function createExcavation(plan, draft = false) {
+    const group = ExcavationManager.create(ExcavationManager.planParams(currentData, plan), currentData);
+    const mesh = ExcavationManager.mesh;
+    const params = ExcavationManager.getParams();
+    if (!params.route) {
+      const { position, rotation } = ExcavationManager.getPlacement(plan, currentData);
+      group.position.copy(position);
+      group.rotation.y = rotation;
+    }
+    const name = excavationName(plan);
+    const { route, ...rest } = params;
+    group.name = name;
+    group.userData = {
+      type: 'excavation',
+      id: plan.id,
+      ...rest,
+      volume: ExcavationManager.getVolume(), // m³
+    };
+    mesh.userData.id = plan.id;
+    mesh.userData.label = name;
+    mesh.userData.pipe = plan.pipe || null; // 管路に沿わせない掘削も対象管は離隔チェックの対象外
+    const warnings = ExcavationSafety.check(params, ExcavationSafety.getRules(currentData));
+    group.add(ExcavationSafety.createMarkers(mesh, warnings));
+    group.visible = !hiddenExcavations.has(plan.id);
+    excavationGroup.add(group);
+    return { plan, group, mesh, params, warnings, draft };
+  }
+
+  /**
+   * 掘削計画を追加（管を指定すると管路に沿わせる）
+   */
+  function addExcavation(pipe) {
+    return ExcavationManager.storePlan(currentData, draftExcavation(pipe));
+  }
+
+  /**
+   * 内部: 保存前の掘削計画
+   */
+  function draftExcavation(pipe) {
+    const plan = ExcavationManager.draftPlan(currentData, { pipe: pipe ? pipe.id : null });
+    plan.name = pipe ? `${pipe.label || pipe.id} 掘削` : `掘削 ${plan.id}`;
+    return plan;
+  }
+
+  function excavationName(plan) {
+    return plan.name || plan.id;
+  }
+
+  /**
+   * 表示中の掘削（掘削領域の表示中のみ）
+   */
+  function visibleExcavations() {
+    if (!excavationGroup || !excavationGroup.visible) return [];
+    return excavations.filter(entry => entry.group.visible);
+  }
+
+  /**
+   * 掘削の追加・変更・削除後に掘削領域と関連表示を更新
+   */
+  function refreshExcavations() {
+    if (document.getElementById('chkExcavation').checked) buildExcavations();
+    renderExcavationList();
+    renderSection();
+    runClashCheck();
+    updateTakeoff();
+  }
+
+  /**
+   * 掘削一覧パネル（表示切替・編集・削除と、表示中の掘削の合計）
+   */
+  function renderExcavationList() {
+    const enabled = document.getElementById('chkExcavation').checked;
+    document.getElementById('excavationListPanel').style.display = enabled ? 'block' : 'none';
+    if (!enabled) return;
+
+    const list = document.getElementById('excavationList');
+    list.innerHTML = '';
+    excavations.forEach(entry => {
+      const { plan, group } = entry;
+      const li = document.createElement('li');
+      if (plan.id === editingExcavation) li.className = 'editing';
+
+      const visible = document.createElement('input');
+      visible.type = 'checkbox';
+      visible.checked = group.visible;
+      visible.title = '表示';
+      visible.addEventListener('change', () => {
+        if (visible.checked) hiddenExcavations.delete(plan.id);
+        else hiddenExcavations.add(plan.id);
+        group.visible = visible.checked;
+        renderExcavationList();
+        renderSection();
+        runClashCheck();
+        updateTakeoff();
+      });
+
+      // 名称クリックで掘削に視点を移す
+      const name = document.createElement('span');
+      name.className = 'excavation-name';
+      name.textContent = excavationName(plan);
+      name.title = `${plan.id} ${ExcavationManager.describeShape(entry.params)}${entry.draft ? '（未保存）' : ''}`;
+      name.addEventListener('click', () => {
+        new THREE.Box3().setFromObject(group).getCenter(controls.target);
+      });
+
+      const volume = document.createElement('span');
+      volume.className = 'excavation-volume';
+      volume.textContent = `${ExcavationManager.getVolume(entry.params).toFixed(2)}m³`;
+
+      const warning = document.createElement('span');
+      warning.className = 'excavation-warning';
+      warning.textContent = entry.warnings.length ? `⚠${entry.warnings.length}` : '';
+      warning.title = entry.warnings.map(w => `${w.title}: ${w.message}`).join('\n');
+
+      const edit = document.createElement('button');
+      edit.className = 'btn-small';
+      edit.textContent = '編集';
+      edit.addEventListener('click', () => {
+        editingExcavation = editingExcavation === plan.id ? null : plan.id;
+        renderExcavationList();
+      });
+
+      const remove = document.createElement('button');
+      remove.className = 'btn-small';
+      remove.textContent = '削除';
+      remove.disabled = entry.draft;
+      remove.addEventListener('click', () => {
+        if (!confirm(`${excavationName(plan)} を削除しますか？`)) return;
+        ExcavationManager.removePlan(currentData, plan.id);
+        hiddenExcavations.delete(plan.id);
+        if (editingExcavation === plan.id) editingExcavation = null;
+        refreshExcavations();
+        statusMessage(`${excavationName(plan)} を削除しました`);
+      });
+
+      li.append(visible, name, warning, volume, edit, remove);
+      list.appendChild(li);
+    });
+
+    const shown = visibleExcavations();
+    const volume = shown.reduce((acc, entry) => acc + ExcavationManager.getVolume(entry.params), 0);
+    const area = shown.reduce((acc, entry) => acc + ExcavationManager.getPlan(entry.params).area, 0);
+    document.getElementById('excavationCount').textContent = `${excavations.length}件`;
+    document.getElementById('excavationTotal').textContent = shown.length
+      ? `合計（表示中 ${shown.length}件）: 掘削 ${volume.toFixed(2)}m³ / 舗装取壊し ${area.toFixed(2)}m²`
+      : '表示中の掘削はありません';
+    renderSafetyRules();
+    renderExcavationEditor();
+  }
+
+  /**
+   * 安全基準の入力欄（変更はプロジェクトの safety に保存）
+   */
+  function renderSafetyRules() {
+    const container = document.getElementById('safetyRules');
+    const rules = ExcavationSafety.getRules(currentData);
+    const save = (key, value) => {
+      currentData.safety = { ...ExcavationSafety.getRules(currentData), [key]: value };
+      refreshExcavations();
+    };
+    container.innerHTML = '';
+
+    const soilLabel = document.createElement('label');
+    const soil = document.createElement('select');
+    Object.keys(ExcavationSafety.SOILS).forEach(key => soil.add(new Option(ExcavationSafety.SOILS[key].label, key)));
+    soil.value = rules.soil;
+    soil.addEventListener('change', () => save('soil', soil.value));
+    soilLabel.append('地山: ', soil);
+    container.appendChild(soilLabel);
+
+    Object.keys(ExcavationSafety.RULE_LABELS).forEach(key => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.step = 100;
+      input.value = rules[key];
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value) || value < 0) {
+          input.value = ExcavationSafety.getRules(currentData)[key];
+          return;
+        }
+        save(key, value);
+      });
+      label.append(`${ExcavationSafety.RULE_LABELS[key]}: `, input, 'mm');
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * 編集中の掘削の入力欄（変更はプロジェクトの excavations に保存）
+   */
+  function renderExcavationEditor() {
+    const editor = document.getElementById('excavationEditor');
+    const entry = excavations.find(e => e.plan.id === editingExcavation);
+    editor.style.display = entry ? 'block' : 'none';
+    editor.innerHTML = '';
+    if (!entry) return;
+
+    const { plan, params, draft } = entry;
+    if (entry.warnings.length) {
+      const warnings = document.createElement('ul');
+      warnings.className = 'safety-list';
+      ExcavationSafety.renderList(warnings, entry.warnings);
+      editor.appendChild(warnings);
+    }
+    const save = changes => {
+      // 既定の掘削は編集した時点でプロジェクトに保存する
+      if (draft) ExcavationManager.storePlan(currentData, plan);
+      const updated = ExcavationManager.updatePlan(currentData, plan.id, changes);
+      // 管路に沿わせなくなった掘削は現在の底幅・深さを引き継ぐ
+      ['width', 'depth'].forEach(key => {
+        if (updated[key] == null) updated[key] = Math.round(params[key]);
+      });
+      refreshExcavations();
+    };
+    const row = (text, input, unit = '') => {
+      const label = document.createElement('label');
+      label.append(`${text}: `, input, unit);
+      editor.appendChild(label);
+    };
+    const numberInput = (value, field, onChange) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = field.step;
+      input.value = value;
+      input.addEventListener('change', () => {
+        const v = parseFloat(input.value);
+        const tooSmall = field.min != null && (field.exclusive ? v <= field.min : v < field.min);
+        if (!Number.isFinite(v) || tooSmall || (field.max != null && v > field.max)) {
+          input.value = value;
+          return;
+        }
+        onChange(v);
+      });
+      return input;
+    };
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = plan.name || '';
+    name.placeholder = plan.id;
+    name.addEventListener('change', () => save({ name: name.value.trim() }));
+    row('名称', name);
+
+    const pipe = document.createElement('select');
+    pipe.add(new Option('（なし）', ''));
+    currentData.pipes.forEach(p => pipe.add(new Option(p.label || p.id, p.id)));
+    pipe.value = plan.pipe || '';
+    pipe.addEventListener('change', () => save({ pipe: pipe.value }));
+    row('対象管', pipe);
+
+    const followLabel = document.createElement('label');
+    const follow = document.createElement('input');
+    follow.type = 'checkbox';
+    follow.checked = !!plan.pipe && plan.follow !== false;
+    follow.disabled = !plan.pipe;
+    follow.addEventListener('change', () => save({ follow: follow.checked ? null : false }));
+    followLabel.append(follow, ' 管路に沿わせる');
+    editor.appendChild(followLabel);
+
+    const shape = document.createElement('select');
+    Object.keys(ExcavationManager.SHAPES).forEach(key => shape.add(new Option(ExcavationManager.SHAPES[key], key)));
+    shape.value = params.shape;
+    shape.addEventListener('change', () => save({ shape: shape.value }));
+    row('形状', shape);
+
+    const mode = params.route ? 'trench' : 'box';
+    EXCAVATION_FIELDS
+      .filter(field => (!field.mode || field.mode === mode) && (!field.shape || field.shape === params.shape))
+      .forEach(field => {
+        row(field.label, numberInput(params[field.key], field, value => {
+          // 延長は前後を揃えて保存（旧形式の length を置き換える）
+          const changes = field.key === 'lengthFront' || field.key === 'lengthBack'
+            ? { lengthFront: params.lengthFront, lengthBack: params.lengthBack, length: null } : {};
+          save({ ...changes, [field.key]: value });
+        }), field.unit);
+      });
+
+    // 管路に沿わせない掘削の位置（中心, mm）・向き（前方。北から時計回り）
+    if (mode === 'box') {
+      const { position } = ExcavationManager.getPlacement(plan, currentData);
+      const [x, y] = PipeGeometry.fromScene(position);
+      row('位置 X', numberInput(x, { step: 100 }, value => save({ position: [value, y] })), 'mm');
+      row('位置 Y', numberInput(y, { step: 100 }, value => save({ position: [x, value] })), 'mm');
+      row('向き', numberInput(plan.rotation || 0, { step: 5 }, value => save({ rotation: value })), '°');
+    }
+  }
+
+  // --- 土量計算書 ---
+  /**
+   * 表示中の掘削の土量計算書を更新（掘削ごとの数量の合計）
+   */
+  function updateTakeoff() {
+    const enabled = document.getElementById('chkTakeoff').checked;
+    document.getElementById('takeoffPanel').style.display = enabled ? 'block' : 'none';
+    if (!enabled) return;
+
+    const table = document.getElementById('takeoffTable');
+    const entries = computeTakeoff();
+    document.getElementById('btnTakeoffCSV').disabled = !entries.length;
+    if (!entries.length) {
+      table.innerHTML = '<tr><td class="takeoff-note">掘削領域を表示すると数量を算出します</td></tr>';
+      return;
+    }
+    ExcavationTakeoff.renderTable(table, ExcavationTakeoff.total(entries.map(e => e.result)));
+  }
+
+  /**
+   * 表示中の掘削ごとの数量
+   * 布設管は掘削の対象管（対象管の無い掘削は掘削領域内の下水道管）
+   * @returns {Object[]} [{ name, params, result }]
+   */
+  function computeTakeoff() {
+    const settings = ExcavationTakeoff.getSettings(currentData);
+    const sewer = currentData.pipes.filter(p => PipeUtility.of(p) === PipeUtility.DEFAULT).map(p => p.id);
+    return visibleExcavations().map(({ plan, mesh, params }) => ({
+      name: excavationName(plan),
+      params,
+      result: ExcavationTakeoff.compute(params, {
+        data: currentData,
+        mesh,
+        pipeIds: plan.pipe ? [plan.pipe] : sewer,
+        settings,
+      }),
+    }));
+  }
+
+  /**
+   * 設定値の入力欄（変更はプロジェクトの takeoff に保存）
+   */
+  function renderTakeoffSettings() {
+    const container = document.getElementById('takeoffSettings');
+    const settings = ExcavationTakeoff.getSettings(currentData);
+    const save = (key, value) => {
+      currentData.takeoff = { ...ExcavationTakeoff.getSettings(currentData), [key]: value };
+      updateTakeoff();
+    };
+    container.innerHTML = '';
+    Object.keys(ExcavationTakeoff.SETTING_LABELS).forEach(key => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      const isFactor = key === 'loosening';
+      const min = isFactor ? 1 : 0;
+      input.type = 'number';
+      input.min = min;
+      input.step = isFactor ? 0.05 : 10;
+      input.value = settings[key];
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value) || value < min) {
+          input.value = ExcavationTakeoff.getSettings(currentData)[key];
+          return;
+        }
+        save(key, value);
+      });
+      label.append(`${ExcavationTakeoff.SETTING_LABELS[key]}: `, input, isFactor ? '' : 'mm');
+      container.appendChild(label);
+    });
+
+    const label = document.createElement('label');
+    const reuse = document.createElement('input');
+    reuse.type = 'checkbox';
+    reuse.checked = settings.reuseBackfill;
+    reuse.addEventListener('change', () => save('reuseBackfill', reuse.checked));
+    label.append(reuse, ' 発生土を埋戻しに流用');
+    container.appendChild(label);
+  }
+
   // --- Event Listeners ---
   function setupEventListeners() {
     canvas.addEventListener('click', onCanvasClick);
+    canvas.addEventListener('pointerdown', onSectionPointerDown);
+    canvas.addEventListener('pointermove', onSectionPointerMove);
+    canvas.addEventListener('pointerup', onSectionPointerUp);
 
     document.getElementById('chkGround').addEventListener('change', e => {
       if (groundMesh) groundMesh.visible = e.target.checked;
@@ -556,25 +1262,62 @@
     });
 
     document.getElementById('chkExcavation').addEventListener('change', e => {
-      if (e.target.checked && !excavationGroup) {
-        excavationGroup = ExcavationManager.create(currentData.excavation);
-        excavationGroup.position.set(5, 0, 3);
-        scene.add(excavationGroup);
-      }
-      if (excavationGroup) excavationGroup.visible = e.target.checked;
+      if (e.target.checked) buildExcavations();
+      else if (excavationGroup) excavationGroup.visible = false;
+      renderExcavationList();
+      renderSection();
+      runClashCheck();
+      updateTakeoff();
+    });
+
+    document.getElementById('chkDimensions').addEventListener('change', e => {
+      annotationState.enabled = e.target.checked;
+      updateAnnotations();
     });
 
     document.getElementById('chkSection').addEventListener('change', e => {
       toggleSectionView(e.target.checked);
     });
 
-    document.querySelectorAll('.btn-view').forEach(btn => {
+    document.getElementById('sectionChainage').addEventListener('input', e => {
+      updateSection(parseFloat(e.target.value));
+    });
+
+    document.getElementById('chkProfile').addEventListener('change', e => {
+      document.getElementById('profilePanel').style.display = e.target.checked ? 'block' : 'none';
+      if (selectedPipe) showProfileFor(selectedPipe.id);
+      renderProfile();
+    });
+
+    document.getElementById('profileRoute').addEventListener('change', () => renderProfile());
+
+    document.getElementById('chkClash').addEventListener('change', () => runClashCheck());
+    document.getElementById('chkTakeoff').addEventListener('change', () => updateTakeoff());
+
+    document.querySelectorAll('.btn-view[data-view]').forEach(btn => {
       btn.addEventListener('click', () => animateCamera(btn.dataset.view));
     });
 
+    // 計測
+    document.getElementById('btnMeasure').addEventListener('click', () => setMeasureMode(!measureMode));
+    document.getElementById('btnClearMeasure').addEventListener('click', () => {
+      currentData.measurements = [];
+      buildMeasurements();
+    });
+    window.addEventListener('keydown', e => {
+      if (e.key === 'Escape' && measureMode) setMeasureMode(false);
+    });
+
     document.getElementById('btnOpenAR').addEventListener('click', () => {
       if (selectedPipe) {
-        const qr = QRDataCodec.encode(selectedPipe.id, currentData);
+        // 接続先の本管に加え、近くの他種別の埋設物も同梱する
+        const qr = QRDataCodec.encodeProject(currentData, {
+          pipeIds: [
+            ...QRDataCodec.relatedPipeIds(selectedPipe.id, currentData),
+            ...PipeUtility.nearbyPipeIds(selectedPipe.id, currentData),
+          ],
+          focus: selectedPipe.id,
+        });
         window.location.href = `ar.html?qr=${encodeURIComponent(qr)}`;
       }
     });
@@ -588,7 +1331,7 @@
 
     // サンプルデータに戻す
     document.getElementById('btnSampleData').addEventListener('click', () => {
-      currentData = SAMPLE_PIPE_DATA;
+      currentData = sampleData();
       buildPipeScene(currentData);
       animateCamera('perspective');
       statusMessage('サンプルデータに戻しました');
@@ -599,26 +1342,100 @@
       exportPipeData();
     });
 
+    // GLB書出し（表示中の管・マンホール・ラベル・掘削領域・計測・離隔チェック・読込モデル）
+    document.getElementById('btnExportGLB').addEventListener('click', () => {
+      const filename = `${currentData.project || 'pipe-data'}.glb`;
+      SceneExporter.exportGLB([...pipeSceneObjects, excavationGroup, measureGroup, clashGroup], currentData, filename)
+        .then(() => statusMessage(`${filename} を書出しました`))
+        .catch(err => alert('GLBの書出しに失敗しました: ' + (err && err.message || err)));
+    });
+
+    // DXF書出し（平面図・縦断図）
+    document.getElementById('btnExportDXF').addEventListener('click', () => {
+      const filename = `${currentData.project || 'pipe-data'}.dxf`;
+      try {
+        DXFExporter.download(currentData, filename);
+        statusMessage(`${filename} を書出しました`);
+      } catch (err) {
+        alert('DXFの書出しに失敗しました: ' + err.message);
+      }
+    });
+
+    // 掘削の追加（選択中の管の掘削。未選択時は管を指定しない掘削）
+    document.getElementById('btnAddExcavation').addEventListener('click', () => {
+      const plan = addExcavation(selectedPipe);
+      editingExcavation = plan.id;
+      refreshExcavations();
+      statusMessage(`${excavationName(plan)} を追加しました`);
+    });
+
+    // 土量計算書のCSV書出し（表示中の掘削ごとの数量と合計）
+    document.getElementById('btnTakeoffCSV').addEventListener('click', () => {
+      const entries = computeTakeoff();
+      if (!entries.length) return;
+      const title = `${currentData.project || '配管データ'} 土量計算書`;
+      const filename = `${currentData.project || 'pipe-data'}-takeoff.csv`;
+      ExcavationTakeoff.download(ExcavationTakeoff.toSummaryCSV(entries, title), filename);
+      statusMessage(`${filename} を書出しました`);
+    });
+
+    // QRシート印刷（全管のQRコードをA4に配置）
+    document.getElementById('btnQRSheet').addEventListener('click', () => {
+      if (typeof qrcode === 'undefined') {
+        alert('QRコード生成ライブラリが読み込まれていません');
+        return;
+      }
+      if (!QRSheetGenerator.open(currentData)) {
+        alert('ポップアップがブロックされました。許可してから再度お試しください');
+      }
+    });
+
     // リサイズ
     window.addEventListener('resize', () => {
       camera.aspect = window.innerWidth / window.innerHeight;
       camera.updateProjectionMatrix();
       renderer.setSize(window.innerWidth, window.innerHeight);
+      renderProfile();
+      renderSection();
     });
   }
 
-  function onCanvasClick(event) {
+  function setPointer(event) {
     pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
     pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  }
+
+  function onCanvasClick(event) {
+    if (sectionDragged) {
+      sectionDragged = false;
+      return;
+    }
+    setPointer(event);
+
+    if (measureMode) {
+      raycaster.setFromCamera(pointer, camera);
+      onMeasureClick();
+      return;
+    }
 
     raycaster.setFromCamera(pointer, camera);
-    const meshes = pipeObjects.map(p => p.mesh);
+    const meshes = pipeObjects.filter(p => p.group.visible).flatMap(p => p.meshes);
     const intersects = raycaster.intersectObjects(meshes);
 
     if (intersects.length > 0) {
       const hit = intersects[0].object;
       const pipeData = hit.userData.pipeData;
       selectPipe(pipeData);
+      return;
+    }
+
+    // 測量座標のデータでは地表面のクリック位置の座標を表示
+    if (GeoCoords.isGeoreferenced(currentData) && groundMesh.visible) {
+      const ground = raycaster.intersectObject(groundMesh);
+      if (ground.length > 0) {
+        const local = PipeGeometry.fromScene(ground[0].point);
+        statusMessage(`地点: ${GeoCoords.formatLocal([local[0], local[1], 0], currentData)}`);
+      }
     }
   }
 
@@ -627,8 +1444,8 @@
 
     pipeObjects.forEach(po => {
       const isSelected = po.data.id === pipeData.id;
-      po.mesh.material.opacity = isSelected ? 0.9 : 0.4;
-      po.mesh.material.emissive = isSelected
+      po.material.opacity = isSelected ? 0.9 : 0.4;
+      po.material.emissive = isSelected
         ? new THREE.Color(0x333333)
         : new THREE.Color(0x000000);
     });
@@ -636,20 +1453,45 @@
     const panel = document.getElementById('selectedPipeInfo');
     panel.style.display = 'block';
     document.getElementById('selPipeName').textContent = pipeData.label || pipeData.id;
+    document.getElementById('selUtility').textContent = PipeUtility.describe(pipeData);
     document.getElementById('selDiameter').textContent = `φ${pipeData.diameter}mm`;
     document.getElementById('selLength').textContent = `${pipeData.length.toLocaleString()}mm`;
     document.getElementById('selDepth').textContent = `${pipeData.depth.toLocaleString()}mm`;
     document.getElementById('selSlope').textContent = `${pipeData.slope}%`;
     document.getElementById('selMaterial').textContent = pipeData.material || '-';
+
+    const georeferenced = GeoCoords.isGeoreferenced(currentData);
+    panel.querySelectorAll('.coord-row').forEach(el => {
+      el.style.display = georeferenced ? '' : 'none';
+    });
+    if (georeferenced) {
+      const start = PipeGeometry.fromScene(PipeGeometry.getPath(pipeData, currentData)[0]);
+      document.getElementById('selCoord').textContent = GeoCoords.formatLocal(start, currentData);
+    }
+
+    showProfileFor(pipeData.id);
+    renderProfile();
+
+    // 断面表示中は選択した管のルートに断面を移す
+    if (document.getElementById('chkSection').checked) {
+      const route = PipeProfile.findRoute(pipeData.id, currentData);
+      if (route && (!sectionProfile || route.join() !== sectionProfile.route.join())) {
+        setSectionRoute(route);
+      } else {
+        renderSection();
+      }
+    }
+    updateTakeoff();
   }
 
   // --- Camera Animation ---
   function animateCamera(view) {
+    // 配管網の中心からの相対位置
     const targets = {
-      top:         { pos: [10, 15, 0],   target: [10, 0, 0] },
-      front:       { pos: [10, -1, 10],  target: [10, -1, 0] },
-      side:        { pos: [-5, -1, 0],   target: [10, -1, 0] },
-      perspective: { pos: [8, 6, 12],    target: [5, -1, 0] },
+      top:         { pos: [0, 15, 0],    target: [0, 0, 0] },
+      front:       { pos: [0, -1, 10],   target: [0, -1, 0] },
+      side:        { pos: [-15, -1, 0],  target: [0, -1, 0] },
+      perspective: { pos: [-2, 6, 12],   target: [-5, -1, 0] },
     };
 
     const t = targets[view];
@@ -657,8 +1499,8 @@
 
     const startPos = camera.position.clone();
     const startTarget = controls.target.clone();
-    const endPos = new THREE.Vector3(...t.pos);
-    const endTarget = new THREE.Vector3(...t.target);
+    const endPos = new THREE.Vector3(...t.pos).add(networkCenter);
+    const endTarget = new THREE.Vector3(...t.target).add(networkCenter);
     const duration = 500;
     const start = Date.now();
 
@@ -676,27 +1518,174 @@
     step();
   }
 
+  // --- Longitudinal Profile ---
+  /**
+   * 縦断図のルート選択肢を更新
+   */
+  function updateProfileRoutes(data) {
+    profileRoutes = PipeProfile.buildRoutes(data);
+    const select = document.getElementById('profileRoute');
+    select.innerHTML = '';
+    profileRoutes.forEach((route, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = route.length > 1 ? `${route[0]} → ${route[route.length - 1]}` : route[0];
+      select.appendChild(option);
+    });
+    if (profileRoutes.length === 0) {
+      const option = document.createElement('option');
+      option.textContent = '本管がありません';
+      select.appendChild(option);
+    }
+    select.disabled = profileRoutes.length === 0;
+    renderProfile();
+  }
+
+  /**
+   * 管を含むルートを縦断図で選択
+   */
+  function showProfileFor(pipeId) {
+    const route = PipeProfile.findRoute(pipeId, currentData);
+    const index = route ? profileRoutes.findIndex(r => r.join() === route.join()) : -1;
+    if (index >= 0) document.getElementById('profileRoute').value = index;
+  }
+
+  /**
+   * 縦断図を描画（パネル表示中のみ）
+   * 縦断図上の管をクリックすると3Dシーンでも選択する
+   */
+  function renderProfile() {
+    if (document.getElementById('profilePanel').style.display === 'none') return;
+    const svg = document.getElementById('profileSvg');
+    const route = profileRoutes[Number(document.getElementById('profileRoute').value)];
+    if (!route) {
+      while (svg.firstChild) svg.removeChild(svg.firstChild);
+      return;
+    }
+    ProfileView.render(svg, PipeProfile.build(route, currentData), {
+      selectedId: selectedPipe && selectedPipe.id,
+      onSelect: id => {
+        const pipe = currentData.pipes.find(p => p.id === id);
+        if (pipe) selectPipe(pipe);
+      },
+    });
+  }
+
   // --- Section View ---
+  /**
+   * 断面表示の切替え
+   * 本管ルートに直交する鉛直面でシーンをクリップし（上流側を残す）、横断図パネルを表示する
+   */
   function toggleSectionView(enabled) {
-    if (enabled) {
-      if (!sectionPlane) {
-        const geom = new THREE.PlaneGeometry(0.1, 5);
-        const mat = new THREE.MeshBasicMaterial({
-          color: 0xff0000,
-          transparent: true,
-          opacity: 0.3,
-          side: THREE.DoubleSide,
-        });
-        sectionPlane = new THREE.Mesh(geom, mat);
-        sectionPlane.position.set(5, -1.5, 0);
-        sectionPlane.rotation.y = Math.PI / 2;
-        sectionPlane.scale.set(80, 1, 1);
-        scene.add(sectionPlane);
-      }
-      sectionPlane.visible = true;
-    } else {
+    document.getElementById('sectionPanel').style.display = enabled ? 'block' : 'none';
+    if (!enabled) {
+      renderer.clippingPlanes = [];
       if (sectionPlane) sectionPlane.visible = false;
+      return;
+    }
+    if (!sectionPlane) {
+      const geom = new THREE.PlaneGeometry(1, 1);
+      const mat = new THREE.MeshBasicMaterial({
+        color: 0xff0000,
+        transparent: true,
+        opacity: 0.2,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+      });
+      sectionPlane = new THREE.Mesh(geom, mat);
+      sectionPlane.name = '断面';
+      sectionPlane.scale.set(10, 6, 1);
+      scene.add(sectionPlane);
+    }
+    const route = selectedPipe && PipeProfile.findRoute(selectedPipe.id, currentData);
+    setSectionRoute(route || profileRoutes[0]);
+  }
+
+  /**
+   * 断面を移動させる本管ルートを設定
+   */
+  function setSectionRoute(route) {
+    sectionProfile = route ? PipeProfile.build(route, currentData) : null;
+    const slider = document.getElementById('sectionChainage');
+    slider.max = sectionProfile ? sectionProfile.length.toFixed(2) : 0;
+    slider.disabled = !sectionProfile;
+    document.getElementById('sectionRoute').textContent = route ? route.join(' → ') : '本管がありません';
+    updateSection(sectionProfile ? Math.min(sectionChainage, sectionProfile.length) : 0);
+  }
+
+  /**
+   * 追加距離 s に断面を移動
+   */
+  function updateSection(s) {
+    sectionChainage = s;
+    document.getElementById('sectionChainage').value = s;
+    document.getElementById('sectionChainageValue').textContent = `${s.toFixed(2)}m`;
+
+    const frame = sectionProfile && PipeSection.frameAt(sectionProfile, s);
+    if (!frame) {
+      renderer.clippingPlanes = [];
+      sectionPlane.visible = false;
+      const svg = document.getElementById('sectionSvg');
+      while (svg.firstChild) svg.removeChild(svg.firstChild);
+      return;
     }
+    // 断面を示す板（クリップされないよう僅かに上流側へ）
+    sectionPlane.position.copy(frame.origin).addScaledVector(frame.direction, -0.002).setY(-2);
+    sectionPlane.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), frame.direction);
+    sectionPlane.visible = true;
+    PipeSection.clippingPlane(frame, sectionClip);
+    renderer.clippingPlanes = [sectionClip];
+    renderSection();
+  }
+
+  /**
+   * 横断図パネルを描画（断面表示中のみ）
+   */
+  function renderSection() {
+    if (!sectionPlane || !sectionPlane.visible || !sectionProfile) return;
+    const frame = PipeSection.frameAt(sectionProfile, sectionChainage);
+    const meshes = visibleExcavations().map(entry => entry.mesh);
+    ProfileView.renderSection(document.getElementById('sectionSvg'), PipeSection.build(currentData, frame, meshes), {
+      selectedId: selectedPipe && selectedPipe.id,
+      onSelect: id => {
+        const pipe = currentData.pipes.find(p => p.id === id);
+        if (pipe) selectPipe(pipe);
+      },
+    });
+  }
+
+  /**
+   * 断面の板をドラッグして本管に沿って移動
+   */
+  function onSectionPointerDown(event) {
+    if (!sectionPlane || !sectionPlane.visible) return;
+    setPointer(event);
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObject(sectionPlane)[0];
+    if (!hit) return;
+    sectionDrag = { height: hit.point.y, moved: false };
+    controls.enabled = false;
+    canvas.setPointerCapture(event.pointerId);
+  }
+
+  function onSectionPointerMove(event) {
+    if (!sectionDrag) return;
+    setPointer(event);
+    raycaster.setFromCamera(pointer, camera);
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -sectionDrag.height);
+    const point = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!point) return;
+    sectionDrag.moved = true;
+    updateSection(PipeProfile.chainageAt(sectionProfile, point));
+  }
+
+  function onSectionPointerUp(event) {
+    if (!sectionDrag) return;
+    // ドラッグ直後のクリックで管の選択が変わらないように
+    sectionDragged = sectionDrag.moved;
+    sectionDrag = null;
+    controls.enabled = true;
+    canvas.releasePointerCapture(event.pointerId);
   }
 
   // --- Animation Loop ---